@@ -2,6 +2,11 @@ import express from 'express';
 import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { DocumentReconstructor } from '../src/lib/documentReconstructor.js';
+import { SplitManifest } from '../src/lib/splitManifest.js';
+import { HashResolver } from '../src/lib/hashResolver.js';
+import { HashGenerator } from '../src/lib/hashGenerator.js';
+import { IdStrategy } from '../src/lib/idStrategy.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -12,6 +17,15 @@ const PORT = process.env.PORT || 3000;
 // Configuration
 const OUTPUT_DIR = path.join(__dirname, '..', '_out');
 const PUBLIC_DIR = path.join(__dirname, 'public');
+// Section ID strategy the files were split with (sha256, base32, ulid, slug, explicit)
+const ID_STRATEGY = IdStrategy.create(process.env.ID_STRATEGY || 'sha256');
+// Divider timestamp format the files were split with (default, iso or tokens)
+const TIMESTAMP_FORMAT = process.env.TIMESTAMP_FORMAT || 'default';
+const reconstructor = new DocumentReconstructor({
+  inputDir: OUTPUT_DIR,
+  idStrategy: ID_STRATEGY,
+  timestampFormat: TIMESTAMP_FORMAT
+});
 
 // Middleware
 app.use(express.json());
@@ -33,13 +47,22 @@ async function getOutputFiles() {
         
         // Extract hash from filename (if it's a hash-based name)
         const baseName = path.basename(file, '.md');
-        const isHashFile = /^[A-F0-9]{8}$/i.test(baseName);
+        const { header } = reconstructor.splitSectionHeader(content);
+        const divider = header ? reconstructor.parseReferenceLine(header) : null;
+        // Any name a hash could have is a section file; other IDs (slugs, ...)
+        // also need the file's own divider so main files are not mistaken for one
+        const isHashFile = ID_STRATEGY.isValidId(baseName) &&
+          (ID_STRATEGY.contentAddressed ||
+            (divider !== null && divider.hash === ID_STRATEGY.normalizeId(baseName)));
         
         // Extract hash from content if it has a divider line
         let contentHash = null;
-        const dividerMatch = content.match(/^---:\s+([A-F0-9]+)(?:\s+.*)?$/m);
-        if (dividerMatch) {
-          contentHash = dividerMatch[1];
+        const dividerLine = content
+          .split('\n')
+          .map(line => reconstructor.parseReferenceLine(line))
+          .find(parsed => parsed && parsed.level === 1);
+        if (dividerLine) {
+          contentHash = dividerLine.hash;
         }
 
         fileInfos.push({
@@ -68,16 +91,117 @@ async function getOutputFiles() {
   }
 }
 
+/**
+ * Get all split manifests in the output directory
+ */
+async function getManifests() {
+  try {
+    const files = await fs.readdir(OUTPUT_DIR);
+    const manifests = [];
+
+    for (const file of files) {
+      if (SplitManifest.isManifestPath(file)) {
+        try {
+          const manifest = await SplitManifest.load(path.join(OUTPUT_DIR, file));
+          manifests.push({
+            name: file.slice(0, -'.manifest.json'.length),
+            manifest: file,
+            source: manifest.source,
+            createdAt: manifest.createdAt,
+            sectionCount: manifest.sections.length
+          });
+        } catch (error) {
+          console.error(`Skipping manifest ${file}:`, error.message);
+        }
+      }
+    }
+
+    return manifests.sort((a, b) => a.name.localeCompare(b.name));
+  } catch (error) {
+    console.error('Error reading output directory:', error);
+    return [];
+  }
+}
+
 /**
  * API Routes
  */
 
+// List documents that have a split manifest
+app.get('/api/documents', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      documents: await getManifests()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Load a document's sections in order from its manifest
+app.get('/api/documents/:name', async (req, res) => {
+  try {
+    const name = req.params.name;
+
+    // Security check - names map to manifests directly inside the output directory
+    if (name !== path.basename(name) || name.startsWith('.')) {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied'
+      });
+    }
+
+    const manifestPath = path.join(OUTPUT_DIR, `${name}.manifest.json`);
+    const { manifest, sections } = await reconstructor.loadManifestDocument(manifestPath);
+
+    res.json({
+      success: true,
+      document: {
+        name,
+        source: manifest.source,
+        options: manifest.options,
+        createdAt: manifest.createdAt,
+        sections: sections.map(section => ({
+          index: section.index,
+          hash: section.hash,
+          filename: section.filename,
+          level: section.level,
+          parentIndex: section.parentIndex,
+          lineStart: section.lineStart,
+          lineEnd: section.lineEnd,
+          size: section.size,
+          timestamp: section.timestamp,
+          missing: section.missing,
+          content: section.content
+        }))
+      }
+    });
+  } catch (error) {
+    if (error.message.startsWith('Manifest not found')) {
+      res.status(404).json({
+        success: false,
+        error: `No manifest found for document: ${req.params.name}`
+      });
+    } else {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+});
+
 // Get all files
 app.get('/api/files', async (req, res) => {
   try {
     const files = await getOutputFiles();
     res.json({
       success: true,
+      idStrategy: ID_STRATEGY.describe(),
       files: files.map(f => ({
         filename: f.filename,
         basename: f.basename,
@@ -143,41 +267,79 @@ app.get('/api/files/:filename', async (req, res) => {
 // Get file by hash
 app.get('/api/hash/:hash', async (req, res) => {
   try {
-    const hash = req.params.hash.toUpperCase();
-    
-    // First try to find a file with the hash as filename
-    const hashFilename = `${hash}.md`;
-    const hashFilePath = path.join(OUTPUT_DIR, hashFilename);
-    
-    try {
-      const content = await fs.readFile(hashFilePath, 'utf-8');
-      const stats = await fs.stat(hashFilePath);
-      
+    const query = ID_STRATEGY.normalizeId(req.params.hash);
+    const files = await getOutputFiles();
+
+    // Hashes: a full hash, a unique prefix of 4+ characters or the full digest;
+    // other IDs (ULIDs, slugs, explicit ids) only match in full
+    let found = null;
+    let foundBy = 'filename';
+
+    if (ID_STRATEGY.resolvesPrefixes) {
+      // Digests as the split computed them
+      const hashGenerator = new HashGenerator({
+        normalization: await SplitManifest.findNormalization(OUTPUT_DIR)
+      });
+      const resolver = new HashResolver();
+      files
+        .filter(f => f.isHashFile)
+        .forEach(f => resolver.add(f.hash, {
+          digest: hashGenerator.generateFileDigest(f.content, f.hash),
+          file: f
+        }));
+
+      const match = resolver.resolve(query);
+
+      if (match.status === 'found') {
+        found = match.entry.file;
+        foundBy = match.matchedBy === 'hash' ? 'filename' : match.matchedBy;
+      }
+
+      if (match.status === 'ambiguous') {
+        return res.status(409).json({
+          success: false,
+          error: `Ambiguous hash prefix: ${query}`,
+          candidates: match.candidates.map(hash => ({
+            hash,
+            filename: resolver.entries.get(hash).file.filename
+          }))
+        });
+      }
+
+      // Too short to be a prefix; non-hex names may still match below
+      if (match.status === 'invalid' && /^[A-F0-9]+$/.test(query)) {
+        return res.status(400).json({
+          success: false,
+          error: match.error
+        });
+      }
+    } else {
+      found = files.find(f => f.isHashFile && f.hash === query) || null;
+    }
+
+    if (found) {
       return res.json({
         success: true,
         file: {
-          filename: hashFilename,
-          hash,
-          content,
-          size: stats.size,
-          modified: stats.mtime,
-          foundBy: 'filename'
+          filename: found.filename,
+          hash: ID_STRATEGY.normalizeId(found.hash),
+          content: found.content,
+          size: found.size,
+          modified: found.modified,
+          foundBy
         }
       });
-    } catch (error) {
-      // File not found by hash filename, search in content
     }
 
-    // Search for hash in file content
-    const files = await getOutputFiles();
-    const fileWithHash = files.find(f => f.hash === hash);
-    
+    // Search for hash in file content (divider line of a non-hash file)
+    const fileWithHash = files.find(f => f.hash && ID_STRATEGY.normalizeId(f.hash) === query);
+
     if (fileWithHash) {
       res.json({
         success: true,
         file: {
           filename: fileWithHash.filename,
-          hash,
+          hash: query,
           content: fileWithHash.content,
           size: fileWithHash.size,
           modified: fileWithHash.modified,
@@ -187,7 +349,7 @@ app.get('/api/hash/:hash', async (req, res) => {
     } else {
       res.status(404).json({
         success: false,
-        error: `No file found with hash: ${hash}`
+        error: `No file found with hash: ${query}`
       });
     }
   } catch (error) {
@@ -217,11 +379,15 @@ app.get('/', (req, res) => {
 app.listen(PORT, () => {
   console.log(`🚀 Multi-Source Document Server running on http://localhost:${PORT}`);
   console.log(`📁 Serving files from: ${OUTPUT_DIR}`);
+  console.log(`🆔 Section IDs: ${ID_STRATEGY.name}`);
+  console.log(`🕒 Divider timestamps: ${reconstructor.timestampUtils.format}`);
   console.log(`🌐 Web interface: http://localhost:${PORT}`);
   console.log(`📡 API endpoints:`);
   console.log(`   GET /api/files - List all files`);
   console.log(`   GET /api/files/:filename - Get file by name`);
-  console.log(`   GET /api/hash/:hash - Get file by hash`);
+  console.log(`   GET /api/hash/:hash - Get file by hash, unique prefix (4+) or digest`);
+  console.log(`   GET /api/documents - List split documents (manifests)`);
+  console.log(`   GET /api/documents/:name - Get a document's sections from its manifest`);
   console.log(`   GET /api/health - Health check`);
 });
 
@@ -1,6 +1,13 @@
 class DocumentCanvas {
   constructor() {
     this.files = [];
+    // How section files are named; sent by the server with the file list
+    this.idStrategy = {
+      name: "sha256",
+      caseInsensitive: true,
+      contentAddressed: true,
+      resolvesPrefixes: true,
+    };
     this.nodes = new Map();
     this.connections = [];
     this.selectedNode = null;
@@ -71,6 +78,7 @@ class DocumentCanvas {
 
       if (data.success) {
         this.files = data.files;
+        this.idStrategy = data.idStrategy || this.idStrategy;
         this.createNodesFromFiles();
         this.hideLoading();
       } else {
@@ -136,10 +144,14 @@ class DocumentCanvas {
       return;
     }
 
-    // Find and highlight node with this hash
-    const node = Array.from(this.nodes.values()).find(
-      (n) => n.data.hash === hash.toUpperCase()
-    );
+    // Find and highlight node with this hash, or the only one it is a prefix of
+    const query = this.idStrategy.caseInsensitive ? hash.toUpperCase() : hash;
+    const nodes = Array.from(this.nodes.values());
+    let node = nodes.find((n) => n.data.hash === query);
+    if (!node && this.idStrategy.resolvesPrefixes && query.length >= 4) {
+      const matches = nodes.filter((n) => n.data.hash?.startsWith(query));
+      node = matches.length === 1 ? matches[0] : null;
+    }
     if (node) {
       this.selectNode(node);
       this.centerOnNode(node);
@@ -150,9 +162,16 @@ class DocumentCanvas {
         const data = await response.json();
 
         if (data.success) {
-          const newNode = this.createNodeFromFile(data.file);
+          // The prefix may belong to a file that already has a node
+          const existing = nodes.find((n) => n.data.hash === data.file.hash);
+          const newNode = existing || this.createNodeFromFile(data.file);
           this.selectNode(newNode);
           this.centerOnNode(newNode);
+        } else if (data.candidates) {
+          alert(
+            `${data.error}\nMatches:\n` +
+              data.candidates.map((c) => `  ${c.hash} (${c.filename})`).join("\n")
+          );
         } else {
           alert("File not found: " + data.error);
         }
@@ -196,7 +215,11 @@ class DocumentCanvas {
     const size = node.querySelector(".node-size");
 
     filename.textContent = file.filename;
-    badge.textContent = file.isMainFile ? "MAIN" : "HASH";
+    badge.textContent = file.isMainFile
+      ? "MAIN"
+      : this.idStrategy.contentAddressed
+        ? "HASH"
+        : "ID";
     badge.className = `node-badge ${file.isMainFile ? "main" : "hash"}`;
     text.value = file.content || "";
     hash.textContent = file.hash || "";
@@ -0,0 +1,238 @@
+#!/usr/bin/env node
+
+import { GarbageCollector } from './lib/garbageCollector.js';
+
+/**
+ * Section File Garbage Collector
+ * Removes section files that no main file or manifest references any more
+ */
+class SectionGarbageCollector {
+  constructor(options = {}) {
+    this.options = {
+      outputDir: options.outputDir || '_out',
+      dryRun: options.dryRun || false,
+      gracePeriodMs: options.gracePeriodMs ?? 60 * 60 * 1000,
+      verbose: options.verbose || false,
+      ...options
+    };
+
+    this.collector = new GarbageCollector({
+      outputDir: this.options.outputDir,
+      fileExtension: '.md',
+      gracePeriodMs: this.options.gracePeriodMs,
+      idStrategy: this.options.idStrategy,
+      timestampFormat: this.options.timestampFormat
+    });
+  }
+
+  /**
+   * Main collection process
+   */
+  async run() {
+    try {
+      console.log('🧹 Section File Garbage Collector');
+      console.log(`📁 Output directory: ${this.options.outputDir}`);
+      console.log(`⏳ Grace period: ${SectionGarbageCollector.formatDuration(this.options.gracePeriodMs)}`);
+      if (this.options.dryRun) {
+        console.log('🔍 Dry run: no files will be removed');
+      }
+      console.log('');
+
+      const result = await this.collector.collect({ dryRun: this.options.dryRun });
+
+      if (this.options.verbose) {
+        console.log('🌱 Roots:');
+        result.roots.forEach(root => console.log(`   - ${root}`));
+        console.log('');
+      }
+
+      if (result.missing.length > 0) {
+        console.log(`⚠️  Warning: ${result.missing.length} referenced files are missing:`);
+        result.missing.forEach(hash => console.log(`   - ${hash}.md`));
+        console.log('');
+      }
+
+      if (result.corrupt.length > 0) {
+        console.log(`⚠️  Warning: ${result.corrupt.length} section files do not start with their own divider:`);
+        result.corrupt.forEach(file => console.log(`   - ${file.filename}`));
+        console.log('');
+      }
+
+      if (result.removed.length > 0) {
+        console.log(this.options.dryRun ? '🗑️  Would remove:' : '🗑️  Removed:');
+        result.removed.forEach(file => console.log(`   - ${file.filename} (${file.size} bytes)`));
+        console.log('');
+      }
+
+      if (result.retained.length > 0) {
+        console.log('⏳ Unreferenced but inside the grace period:');
+        result.retained.forEach(file => console.log(`   - ${file.filename} (modified ${file.mtime.toISOString()})`));
+        console.log('');
+      }
+
+      const freed = result.removed.reduce((sum, file) => sum + file.size, 0);
+
+      console.log('📊 Collection Summary:');
+      console.log(`   🌱 Roots: ${result.roots.length}`);
+      console.log(`   🔗 Reachable sections: ${result.reachable.size}`);
+      console.log(`   ${this.options.dryRun ? '🔍 Would remove' : '🗑️  Removed'}: ${result.removed.length} (${freed} bytes)`);
+      console.log(`   ⏳ Retained by grace period: ${result.retained.length}`);
+      if (result.missing.length > 0) {
+        console.log(`   ❌ Missing sections: ${result.missing.length}`);
+      }
+      if (result.corrupt.length > 0) {
+        console.log(`   ⚠️  Corrupt sections: ${result.corrupt.length}`);
+      }
+
+    } catch (error) {
+      console.error('❌ Error:', error.message);
+      process.exit(1);
+    }
+  }
+
+  /**
+   * Parse a duration such as 90, 30s, 15m, 1h or 2d
+   * @param {string} value - Duration text (plain numbers are seconds)
+   * @returns {number|null} Milliseconds, or null if the text is not a duration
+   */
+  static parseDuration(value) {
+    const match = /^(\d+)(s|m|h|d)?$/.exec(value || '');
+    if (!match) {
+      return null;
+    }
+
+    const units = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+    return parseInt(match[1], 10) * units[match[2] || 's'];
+  }
+
+  /**
+   * Format milliseconds with the largest whole unit
+   * @param {number} ms - Duration in milliseconds
+   * @returns {string} Duration such as "1h" or "90s"
+   */
+  static formatDuration(ms) {
+    if (ms === 0) {
+      return 'none';
+    }
+
+    const units = [['d', 24 * 60 * 60 * 1000], ['h', 60 * 60 * 1000], ['m', 60 * 1000], ['s', 1000]];
+    for (const [unit, size] of units) {
+      if (ms >= size && ms % size === 0) {
+        return `${ms / size}${unit}`;
+      }
+    }
+    return `${ms}ms`;
+  }
+
+  /**
+   * Show help information
+   */
+  static showHelp() {
+    console.log(`
+Section File Garbage Collector
+
+Usage: node src/gc.js [options]
+
+Walks every main file and split manifest in the output directory, follows
+their references (including nested ones) and removes section files that
+nothing reaches any more.
+
+Options:
+  --dir, -d <dir>        Output directory to collect (default: _out)
+  --dry-run              List unreferenced files without removing them
+  --grace <duration>     Keep unreferenced files modified within this period
+                         (e.g. 90, 30s, 15m, 1h, 2d; default: 1h, 0 disables)
+  --id-strategy <name>   ID strategy the document was split with (sha256,
+                         base32, ulid, slug or explicit; default: from the manifest)
+  --timestamp-format <fmt> Divider timestamp format of the split: default,
+                         iso or tokens (e.g. "YYYY-MM-DD HH:mm:ss")
+  --verbose, -v          Verbose output
+  --help, -h             Show this help
+
+Examples:
+  node src/gc.js --dry-run
+  node src/gc.js -d results --grace 0
+  node src/gc.js --grace 2d --verbose
+`);
+  }
+}
+
+/**
+ * Parse command line arguments
+ */
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const options = {};
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+
+    switch (arg) {
+      case '--help':
+      case '-h':
+        SectionGarbageCollector.showHelp();
+        process.exit(0);
+
+      case '--dir':
+      case '-d':
+        options.outputDir = args[++i];
+        break;
+
+      case '--dry-run':
+        options.dryRun = true;
+        break;
+
+      case '--grace':
+        options.gracePeriodMs = SectionGarbageCollector.parseDuration(args[++i]);
+        if (options.gracePeriodMs === null) {
+          console.error('--grace must be a duration such as 90, 30s, 15m, 1h or 2d');
+          process.exit(1);
+        }
+        break;
+
+      case '--id-strategy':
+        options.idStrategy = args[++i];
+        break;
+
+      case '--timestamp-format':
+        options.timestampFormat = args[++i];
+        break;
+
+      case '--verbose':
+      case '-v':
+        options.verbose = true;
+        break;
+
+      default:
+        if (arg.startsWith('-')) {
+          console.error(`Unknown option: ${arg}`);
+          console.error('Use --help for usage information');
+          process.exit(1);
+        }
+        break;
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Main entry point
+ */
+async function main() {
+  try {
+    const options = parseArgs();
+    const collector = new SectionGarbageCollector(options);
+    await collector.run();
+  } catch (error) {
+    console.error('Fatal error:', error.message);
+    process.exit(1);
+  }
+}
+
+// Run if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main();
+}
+
+export { SectionGarbageCollector };
@@ -2,6 +2,7 @@
 
 import { HybridFileProcessor } from "./lib/hybridFileProcessor.js";
 import { FileWriter } from "./lib/fileWriter.js";
+import { SourceDate } from "./lib/sourceDate.js";
 
 /**
  * Multi-Source Document Processor
@@ -18,17 +19,39 @@ class MultiSourceProcessor {
       clean: options.clean || false,
       sharedTimestamp: options.sharedTimestamp || false,
       addReferences: options.addReferences !== false, // Default to true
+      incremental: options.incremental || false,
+      storeDir: options.storeDir || null,
+      strictHashes: options.strictHashes || false,
+      idStrategy: options.idStrategy || "sha256",
+      normalization: options.normalization || "strict",
+      // Reproducible output: one fixed time (from sourceDate) and UTC
+      deterministic: options.deterministic || !!options.sourceDate,
+      sourceDate: options.sourceDate || "auto",
       ...options,
     };
+    this.sourceDate = null; // { date, source } once resolved
+
+    const hashOptions = {
+      length: this.options.hashLength,
+      normalization: this.options.normalization,
+    };
 
     this.fileProcessor = new HybridFileProcessor({
       streamingThreshold: options.streamingThreshold || 10 * 1024 * 1024, // 10MB default
+      hashOptions,
     });
     this.fileWriter = new FileWriter({
       outputDir: this.options.outputDir,
       overwriteExisting: this.options.overwrite,
-      hashOptions: { length: this.options.hashLength },
-      timestampOptions: {},
+      storeDir: this.options.storeDir,
+      strictHashes: this.options.strictHashes,
+      idStrategy: this.options.idStrategy,
+      hashOptions,
+      timestampOptions: {
+        format: this.options.timestampFormat,
+        timezone:
+          this.options.timezone || (this.options.deterministic ? "utc" : undefined),
+      },
     });
   }
 
@@ -40,14 +63,22 @@ class MultiSourceProcessor {
       console.log("🚀 Multi-Source Document Processor");
       console.log(`📄 Input file: ${this.options.inputFile}`);
       console.log(`📁 Output directory: ${this.options.outputDir}`);
-      console.log("");
-
-      // Clean output directory if requested
-      if (this.options.clean) {
-        console.log("🧹 Cleaning output directory...");
-        await this.fileWriter.cleanOutputDirectory();
-        console.log("");
+      if (this.options.storeDir) {
+        console.log(`🗄️  Section store: ${this.options.storeDir}`);
+      }
+      if (this.options.idStrategy !== "sha256") {
+        console.log(`🆔 Section IDs: ${this.options.idStrategy}`);
+      }
+      if (this.options.normalization !== "strict") {
+        console.log(`🧮 Hash normalization: ${this.options.normalization}`);
       }
+      if (this.options.timestampFormat) {
+        console.log(`🕒 Divider timestamps: ${this.options.timestampFormat}`);
+      }
+      if (this.options.timezone) {
+        console.log(`🌍 Timezone: ${this.options.timezone}`);
+      }
+      console.log("");
 
       // Validate input file
       const isValid = await this.fileProcessor.validateInputFile(
@@ -59,6 +90,25 @@ class MultiSourceProcessor {
         );
       }
 
+      if (this.options.deterministic) {
+        this.sourceDate = await SourceDate.resolve(this.options.inputFile, {
+          source: this.options.sourceDate,
+        });
+        console.log(
+          `📌 Reproducible output: timestamps from ${this.sourceDate.source} (${this.sourceDate.date.toISOString()})`
+        );
+        console.log("");
+      }
+
+      // Large files use pipeline mode: sections flow from the streaming
+      // reader straight into the writer instead of being collected first
+      if (
+        await this.fileProcessor.shouldUseStreaming(this.options.inputFile)
+      ) {
+        await this.processPipeline();
+        return;
+      }
+
       // Read and split the document
       console.log("📖 Reading and splitting document...");
       const sections = await this.fileProcessor.readAndSplit(
@@ -85,11 +135,10 @@ class MultiSourceProcessor {
 
       // Write sections to files
       console.log("💾 Writing sections to files...");
-      const results = await this.fileWriter.writeSections(sections, {
-        useSharedTimestamp: this.options.sharedTimestamp,
-        addReferences: this.options.addReferences,
-        sourceFilename: this.options.inputFile,
-      });
+      const results = await this.fileWriter.writeSections(
+        sections,
+        this.getWriteOptions()
+      );
 
       // Summary
       console.log("");
@@ -100,24 +149,67 @@ class MultiSourceProcessor {
     }
   }
 
+  /**
+   * Split and write a large document section by section
+   * Peak memory stays at about one section regardless of file size
+   */
+  async processPipeline() {
+    console.log("🚰 Streaming sections into output files...");
+    const results = await this.fileWriter.writeSectionStream(
+      this.fileProcessor.streamSections(this.options.inputFile),
+      this.getWriteOptions()
+    );
+
+    if (results.length === 0) {
+      console.log("⚠️  No sections found in the document");
+      return;
+    }
+
+    console.log(`📋 Processed ${results.length} sections`);
+    console.log("");
+    this.printSummary(results);
+  }
+
+  /**
+   * Options passed to the file writer
+   * @returns {Object} Writing options
+   */
+  getWriteOptions() {
+    return {
+      useSharedTimestamp: this.options.sharedTimestamp,
+      addReferences: this.options.addReferences,
+      sourceFilename: this.options.inputFile,
+      incremental: this.options.incremental,
+      clean: this.options.clean,
+      timestamp: this.sourceDate ? this.sourceDate.date : undefined,
+    };
+  }
+
   /**
    * Print processing summary
    */
   printSummary(results) {
     const successful = results.filter((r) => r.success);
+    const unchanged = successful.filter((r) => r.status === "unchanged");
+    const shared = successful.filter((r) => r.deduplicated);
     const failed = results.filter((r) => !r.success);
     const skipped = failed.filter((r) => r.reason === "file_exists");
-    const errors = failed.filter((r) => r.reason === "write_error");
 
     console.log("📊 Processing Summary:");
-    console.log(`   ✅ Successfully written: ${successful.length} files`);
+    console.log(
+      `   ✅ Successfully written: ${successful.length - unchanged.length} files`
+    );
 
-    if (skipped.length > 0) {
-      console.log(`   ⏭️  Skipped (already exist): ${skipped.length} files`);
+    if (unchanged.length > 0) {
+      console.log(`   = Unchanged (kept): ${unchanged.length} files`);
+    }
+
+    if (shared.length > 0) {
+      console.log(`   ≡ Shared (already in store): ${shared.length} files`);
     }
 
-    if (errors.length > 0) {
-      console.log(`   ❌ Failed: ${errors.length} files`);
+    if (skipped.length > 0) {
+      console.log(`   ⏭️  Skipped (already exist): ${skipped.length} files`);
     }
 
     if (this.options.verbose && successful.length > 0) {
@@ -144,11 +236,35 @@ Options:
   --input, -i <file>     Input file path (default: multi-source.md)
   --output, -o <dir>     Output directory (default: _out)
   --hash-length <num>    Hash length in characters (default: 8)
+  --strict-hashes        Fail on a hash collision instead of lengthening the hash
+  --id-strategy <name>   How section files are named: sha256 (default), base32,
+                         ulid, slug (first heading) or explicit (divider id=)
+  --timestamp-format <fmt>  Divider timestamp format: default (HH:MM:SS
+                         YYYY/MM/DD), iso (YYYY-MM-DDTHH:mm:ssZ) or tokens
+                         YYYY MM DD HH mm SS Z (MM after "HH:" is minutes)
+  --timezone <zone>      Time zone of divider timestamps: local (default), utc
+                         or an IANA name such as Europe/Berlin; the UTC offset
+                         is always written, so timestamps read back the same
+                         everywhere
+  --deterministic        Reproducible output: every timestamp is one fixed time
+                         (SOURCE_DATE_EPOCH, else the input's last git commit,
+                         else its modification time), written in UTC
+  --source-date <src>    Where that time comes from: auto (default), env
+                         (SOURCE_DATE_EPOCH), git or mtime; implies
+                         --deterministic
+  --normalization <name> What hashes ignore: strict (default; surrounding
+                         whitespace and line endings), whitespace-insensitive
+                         or markdown-canonical
   --streaming-threshold <mb>  File size threshold for streaming (default: 10MB)
   --overwrite           Overwrite existing files
-  --clean               Clean output directory before processing
+  --incremental         Only write sections that changed since the last split
+                        (uses <name>.manifest.json in the output directory)
+  --store <dir>         Write sections to a shared content-addressed store;
+                        sections already stored are reused and ref-counted
+  --clean               Replace the files in the output directory (removed
+                        only if the split succeeds)
   --shared-timestamp    Use same timestamp for all files
-  --no-references       Don't add reference lines to first file
+  --no-references       Don't add reference lines to parent files
   --verbose, -v         Verbose output
   --help, -h            Show this help
 
@@ -157,6 +273,12 @@ Examples:
   node src/index.js --input document.md --output results
   node src/index.js --clean --overwrite --verbose
   node src/index.js -i multi-source.md -o _out --hash-length 10
+  node src/index.js -i guide.md -o docs/guide --store docs/store
+  node src/index.js -i guide.md --id-strategy slug --incremental
+  node src/index.js -i guide.md --normalization whitespace-insensitive
+  node src/index.js -i guide.md --timestamp-format iso
+  node src/index.js -i guide.md --timezone Europe/Berlin
+  SOURCE_DATE_EPOCH=1755360750 node src/index.js -i guide.md --deterministic
 `);
   }
 }
@@ -191,10 +313,46 @@ function parseArgs() {
         options.hashLength = parseInt(args[++i], 10);
         break;
 
+      case "--strict-hashes":
+        options.strictHashes = true;
+        break;
+
+      case "--id-strategy":
+        options.idStrategy = args[++i];
+        break;
+
+      case "--timestamp-format":
+        options.timestampFormat = args[++i];
+        break;
+
+      case "--deterministic":
+        options.deterministic = true;
+        break;
+
+      case "--source-date":
+        options.sourceDate = args[++i];
+        break;
+
+      case "--timezone":
+        options.timezone = args[++i];
+        break;
+
+      case "--normalization":
+        options.normalization = args[++i];
+        break;
+
       case "--overwrite":
         options.overwrite = true;
         break;
 
+      case "--incremental":
+        options.incremental = true;
+        break;
+
+      case "--store":
+        options.storeDir = args[++i];
+        break;
+
       case "--clean":
         options.clean = true;
         break;
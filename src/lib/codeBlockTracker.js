@@ -0,0 +1,89 @@
+/**
+ * Tracks Markdown code block state line by line
+ * Lines inside fenced (``` or ~~~) and indented code blocks are literal text,
+ * so a `---:` divider or reference line inside a code sample is not treated
+ * as document structure
+ */
+export class CodeBlockTracker {
+  constructor() {
+    this.fencePattern = /^ {0,3}(`{3,}|~{3,})(.*)$/;
+    this.indentPattern = /^(?: {4}| {0,3}\t)/;
+    this.reset();
+  }
+
+  /**
+   * Forget any open code block (e.g. when starting a new file)
+   */
+  reset() {
+    this.fence = null; // { char, length } of the open fence
+    this.inIndentedBlock = false;
+    this.previousBlank = true; // Start of input behaves like a blank line
+  }
+
+  /**
+   * Feed the next line and report whether it is literal code text
+   * Must be called for every line, in order
+   * @param {string} line - Line text (a trailing CR is ignored)
+   * @returns {boolean} True if the line belongs to a code block
+   */
+  isCode(line) {
+    const text = line.endsWith("\r") ? line.slice(0, -1) : line;
+    const blank = text.trim().length === 0;
+
+    if (this.fence) {
+      if (this.closesFence(text)) {
+        this.fence = null;
+      }
+      this.previousBlank = false;
+      return true;
+    }
+
+    const fenceMatch = text.match(this.fencePattern);
+    if (fenceMatch) {
+      const [, marker, info] = fenceMatch;
+      // Backtick fences cannot have backticks in their info string
+      if (marker[0] === "~" || !info.includes("`")) {
+        this.fence = { char: marker[0], length: marker.length };
+        this.inIndentedBlock = false;
+        this.previousBlank = false;
+        return true;
+      }
+    }
+
+    if (blank) {
+      // Blank lines neither start nor end an indented block
+      this.previousBlank = true;
+      return this.inIndentedBlock;
+    }
+
+    // Indented code cannot interrupt a paragraph
+    const indented = this.indentPattern.test(text);
+    this.inIndentedBlock =
+      indented && (this.inIndentedBlock || this.previousBlank);
+    this.previousBlank = false;
+
+    return this.inIndentedBlock;
+  }
+
+  /**
+   * Check whether a line closes the currently open fence
+   * @param {string} text - Line text
+   * @returns {boolean} True if the fence is closed by this line
+   */
+  closesFence(text) {
+    const match = text.match(/^ {0,3}(`{3,}|~{3,})\s*$/);
+    return (
+      !!match &&
+      match[1][0] === this.fence.char &&
+      match[1].length >= this.fence.length
+    );
+  }
+
+  /**
+   * Whether a fenced block is still open (e.g. unterminated at end of input)
+   * @returns {boolean} True inside a fenced block
+   */
+  isInFence() {
+    return this.fence !== null;
+  }
+}
@@ -0,0 +1,127 @@
+/**
+ * Parser and formatter for divider attributes
+ * A divider may carry key=value metadata after the colon:
+ *   ---: title="Intro" tags=draft,api id=intro
+ * Values are bare words or double-quoted strings (with \" and \\ escapes).
+ * Every token must be a key=value pair, so `---: A1B2C3D4` is never mistaken
+ * for an attribute list.
+ */
+export class DividerAttributes {
+  constructor() {
+    this.keyPattern = /^[A-Za-z_][\w.-]*$/;
+    this.bareValuePattern = /^[^\s"'=]+$/;
+  }
+
+  /**
+   * Parse an attribute list
+   * @param {string} text - Text after the divider marker
+   * @returns {Object|null} Attributes in source order, or null if the text is
+   *   not a valid attribute list
+   */
+  parse(text) {
+    if (typeof text !== "string") {
+      return null;
+    }
+
+    const attributes = {};
+    let position = 0;
+    const length = text.length;
+
+    const skipWhitespace = () => {
+      while (position < length && /\s/.test(text[position])) {
+        position++;
+      }
+    };
+
+    skipWhitespace();
+    if (position === length) {
+      return null; // An empty list is a bare divider, not attributes
+    }
+
+    while (position < length) {
+      const equals = text.indexOf("=", position);
+      if (equals === -1) {
+        return null;
+      }
+
+      const key = text.slice(position, equals);
+      if (!this.keyPattern.test(key)) {
+        return null;
+      }
+      position = equals + 1;
+
+      let value = "";
+      if (text[position] === '"') {
+        position++;
+        let closed = false;
+        while (position < length) {
+          const char = text[position++];
+          if (char === "\\" && position < length) {
+            value += text[position++];
+          } else if (char === '"') {
+            closed = true;
+            break;
+          } else {
+            value += char;
+          }
+        }
+        if (!closed) {
+          return null;
+        }
+      } else {
+        while (position < length && !/\s/.test(text[position])) {
+          value += text[position++];
+        }
+        if (value.includes('"')) {
+          return null;
+        }
+      }
+
+      // Tokens must be separated by whitespace
+      if (position < length && !/\s/.test(text[position])) {
+        return null;
+      }
+
+      attributes[key] = value;
+      skipWhitespace();
+    }
+
+    return attributes;
+  }
+
+  /**
+   * Format attributes back into divider syntax
+   * @param {Object} attributes - Attribute key/value pairs
+   * @returns {string} Attribute list (empty string if there are none)
+   */
+  format(attributes) {
+    if (!attributes) {
+      return "";
+    }
+
+    return Object.entries(attributes)
+      .map(([key, value]) => `${key}=${this.formatValue(String(value))}`)
+      .join(" ");
+  }
+
+  /**
+   * Quote a value if it cannot be written as a bare word
+   * @param {string} value - Attribute value
+   * @returns {string} Bare or quoted value
+   */
+  formatValue(value) {
+    if (this.bareValuePattern.test(value)) {
+      return value;
+    }
+    return `"${value.replace(/\\/g, "\\\\").replace(/"/g, '\\"')}"`;
+  }
+
+  /**
+   * Check whether an object has any attributes
+   * @param {Object|null} attributes - Attributes to check
+   * @returns {boolean} True if at least one attribute is present
+   */
+  hasAttributes(attributes) {
+    return !!attributes && Object.keys(attributes).length > 0;
+  }
+}
@@ -1,5 +1,13 @@
 import fs from "fs/promises";
 import path from "path";
+import crypto from "crypto";
+import { CodeBlockTracker } from "./codeBlockTracker.js";
+import { DividerAttributes } from "./dividerAttributes.js";
+import { SplitManifest } from "./splitManifest.js";
+import { HashResolver } from "./hashResolver.js";
+import { HashGenerator } from "./hashGenerator.js";
+import { IdStrategy } from "./idStrategy.js";
+import { TimestampUtils } from "./timestampUtils.js";
 
 /**
  * Document reconstruction utility for combining referenced files back into original source
@@ -7,9 +15,52 @@ import path from "path";
 export class DocumentReconstructor {
   constructor(options = {}) {
     this.inputDir = options.inputDir || "_out";
+    this.storeDir = options.storeDir || null; // Shared section store, if any
     this.fileExtension = options.fileExtension || ".md";
-    this.referencePattern =
-      /^---:\s+([A-F0-9]+)(?:\s+\d{2}:\d{2}:\d{2}\s+\d{4}\/\d{2}\/\d{2})?$/i;
+    // Section IDs as the split wrote them (sha256 hashes by default)
+    this.idStrategy = IdStrategy.create(options.idStrategy);
+    // Divider timestamps as the split wrote them (HH:MM:SS YYYY/MM/DD by default)
+    this.timestampUtils = new TimestampUtils({
+      format: options.timestampFormat,
+      idStrategy: this.idStrategy,
+    });
+    // ---: HASH [timestamp] [key=value ...] (---:: for level 2, ...)
+    this.referencePattern = this.idStrategy.createReferencePattern(
+      this.timestampUtils.getPatternSource()
+    );
+    this.dividerAttributes = new DividerAttributes();
+    this.maxDepth = options.maxDepth || 32; // Maximum reference nesting depth
+    this.minPrefixLength = options.minPrefixLength || 4; // Shortest hash prefix
+    this.hashResolvers = new Map(); // searchDir -> HashResolver
+  }
+
+  /**
+   * Parse a reference or enhanced divider line
+   * @param {string} line - Line to parse
+   * @returns {Object|null} { hash, level, timestampStr, attributes } or null
+   *   if the line is not a reference
+   */
+  parseReferenceLine(line) {
+    const match = line.match(this.referencePattern);
+    if (!match) {
+      return null;
+    }
+
+    const [, colons, hash, timestampStr = null, attributeText] = match;
+    const attributes = attributeText
+      ? this.dividerAttributes.parse(attributeText)
+      : {};
+
+    if (!attributes) {
+      return null; // Trailing text that is not an attribute list
+    }
+
+    return {
+      hash: this.idStrategy.normalizeId(hash),
+      level: colons.length,
+      timestampStr,
+      attributes,
+    };
   }
 
   /**
@@ -24,6 +75,11 @@ export class DocumentReconstructor {
       throw new Error("Main file path must be a non-empty string");
     }
 
+    // A manifest lists the sections directly; no reference scraping needed
+    if (SplitManifest.isManifestPath(mainFilePath)) {
+      return await this.reconstructFromManifest(mainFilePath);
+    }
+
     try {
       // Read the main file
       const mainContent = await fs.readFile(mainFilePath, "utf-8");
@@ -39,9 +95,7 @@ export class DocumentReconstructor {
       console.log(`Found ${references.length} references to reconstruct`);
 
       // Read referenced files and combine
-      // Use configured inputDir if available, otherwise use the directory of the main file
-      const searchDir =
-        this.inputDir !== "_out" ? this.inputDir : path.dirname(mainFilePath);
+      const searchDir = this.getSearchDir(mainFilePath);
       const reconstructedContent = await this.combineReferencedFiles(
         baseContent,
         references,
@@ -60,6 +114,175 @@ export class DocumentReconstructor {
     }
   }
 
+  /**
+   * Load a split document from its manifest
+   * Sections come back in document order with their readable content:
+   * appended reference lines are dropped and divider timestamps removed
+   * @param {string} manifestPath - Path to the split manifest
+   * @returns {Promise<Object>} { manifest, sections } where each section is the
+   *   manifest entry plus `content` (null and `missing: true` if the file is gone)
+   */
+  async loadManifestDocument(manifestPath) {
+    const manifest = await SplitManifest.load(manifestPath);
+    const entries = [...manifest.sections].sort((a, b) => a.index - b.index);
+    const sections = [];
+
+    for (const entry of entries) {
+      let text;
+      try {
+        text = await fs.readFile(
+          this.getManifestEntryPath(manifestPath, manifest, entry),
+          "utf-8"
+        );
+      } catch (error) {
+        console.warn(`⚠️  Section file not found: ${entry.filename}`);
+        sections.push({ ...entry, content: null, missing: true });
+        continue;
+      }
+
+      if (entry.referenceBlockLength > 0) {
+        text = text.slice(0, text.length - entry.referenceBlockLength);
+      }
+
+      sections.push({
+        ...entry,
+        content: this.cleanReferencedContent(text),
+        missing: false,
+      });
+    }
+
+    return { manifest, sections };
+  }
+
+  /**
+   * Reconstruct a document from its manifest instead of its reference lines
+   * @param {string} manifestPath - Path to the split manifest
+   * @returns {Promise<string>} Reconstructed document content
+   */
+  async reconstructFromManifest(manifestPath) {
+    const { sections } = await this.loadManifestDocument(manifestPath);
+    console.log(`Found ${sections.length} sections in manifest`);
+
+    return this.joinManifestSections(sections);
+  }
+
+  /**
+   * Join sections loaded from a manifest into one document
+   * @param {Array} sections - Sections from loadManifestDocument
+   * @returns {string} Document content (missing sections are skipped)
+   */
+  joinManifestSections(sections) {
+    return sections
+      .filter((section) => !section.missing)
+      .map((section) => section.content)
+      .join("\n\n");
+  }
+
+  /**
+   * Restore the exact source of a split from its manifest
+   * Unlike reconstructDocument, this puts back the original divider lines and
+   * the whitespace that was trimmed when references were added, then checks the
+   * SHA-256 of the result against the digest recorded for the source
+   * @param {string} manifestPath - Path to the split manifest
+   * @returns {Promise<Object>} { content, verified, expectedHash, actualHash }
+   */
+  async restoreOriginal(manifestPath) {
+    const manifest = await SplitManifest.load(manifestPath);
+    const entries = [...manifest.sections].sort((a, b) => a.index - b.index);
+
+    if (entries.length !== manifest.source.sectionCount) {
+      throw new Error(
+        `Manifest lists ${entries.length} of ${manifest.source.sectionCount} sections; the split was incomplete`
+      );
+    }
+
+    const parts = [];
+    for (const entry of entries) {
+      parts.push(
+        await this.restoreSection(
+          entry,
+          this.getManifestEntryPath(manifestPath, manifest, entry)
+        )
+      );
+    }
+
+    const content = parts.join("\n");
+    const actualHash = crypto
+      .createHash("sha256")
+      .update(content, "utf8")
+      .digest("hex");
+
+    return {
+      content,
+      verified: actualHash === manifest.source.sha256,
+      expectedHash: manifest.source.sha256,
+      actualHash,
+    };
+  }
+
+  /**
+   * Restore one section's original text from its file
+   * @param {Object} entry - Section entry from the manifest
+   * @param {string} filePath - Path of the section file
+   * @returns {Promise<string>} Section text as it appeared in the source
+   */
+  async restoreSection(entry, filePath) {
+    let text;
+    try {
+      text = await fs.readFile(filePath, "utf-8");
+    } catch (error) {
+      throw new Error(
+        `Failed to read section file ${entry.filename}: ${error.message}`
+      );
+    }
+
+    // Drop appended references and put back the trimmed whitespace
+    text = SplitManifest.removeReferenceBlock(text, entry);
+
+    // Replace the rewritten divider (hash, timestamp) with the original line
+    if (entry.hasDivider && entry.originalDividerLine !== null) {
+      const newlineIndex = text.indexOf("\n");
+      text =
+        entry.originalDividerLine +
+        (newlineIndex === -1 ? "" : text.slice(newlineIndex));
+    }
+
+    return text;
+  }
+
+  /**
+   * Path of a section file listed in a manifest
+   * Splits written to a shared store keep hash-named sections in the store
+   * recorded in the manifest (relative to the manifest's directory)
+   * @param {string} manifestPath - Path to the split manifest
+   * @param {Object} manifest - Manifest data
+   * @param {Object} entry - Section entry
+   * @returns {string} Section file path
+   */
+  getManifestEntryPath(manifestPath, manifest, entry) {
+    const manifestDir = path.dirname(manifestPath);
+    const storeDir = manifest.options?.storeDir;
+
+    if (storeDir && entry.filename === `${entry.hash}${this.fileExtension}`) {
+      return path.join(manifestDir, storeDir, entry.filename);
+    }
+    return path.join(manifestDir, entry.filename);
+  }
+
+  /**
+   * Directory holding the files referenced from a main file
+   * Uses the shared store if configured, then the configured inputDir,
+   * otherwise the main file's directory
+   * @param {string} mainFilePath - Path to the main file
+   * @returns {string} Directory to search for referenced files
+   */
+  getSearchDir(mainFilePath) {
+    if (this.storeDir) {
+      return this.storeDir;
+    }
+    return this.inputDir !== "_out" ? this.inputDir : path.dirname(mainFilePath);
+  }
+
   /**
    * Extract reference lines from content
    * @param {string} content - File content
@@ -69,18 +292,26 @@ export class DocumentReconstructor {
     const lines = content.split("\n");
     const references = [];
     const baseContentLines = [];
+    const codeBlocks = new CodeBlockTracker();
     let referenceStartIndex = -1;
 
     // First pass: find all references and determine where they start
     for (let i = 0; i < lines.length; i++) {
       const line = lines[i];
-      const match = line.match(this.referencePattern);
 
-      if (match) {
+      // Reference-like lines inside code samples are literal text
+      if (codeBlocks.isCode(line)) {
+        continue;
+      }
+
+      const reference = this.parseReferenceLine(line);
+
+      if (reference) {
         // Found a reference line
-        const hash = match[1].toUpperCase();
         references.push({
-          hash,
+          hash: reference.hash,
+          level: reference.level,
+          attributes: reference.attributes,
           originalLine: line,
           lineNumber: i + 1,
         });
@@ -123,56 +354,194 @@ export class DocumentReconstructor {
 
   /**
    * Combine referenced files with base content
+   * Referenced files that list references of their own are expanded
+   * recursively, up to `maxDepth` levels
    * @param {string} baseContent - Main file content without references
    * @param {Array} references - Array of reference objects
    * @param {string} searchDir - Directory to search for referenced files
+   * @param {Array<string>} [chain] - Hashes of the files currently being expanded
    * @returns {Promise<string>} Combined content
    */
-  async combineReferencedFiles(baseContent, references, searchDir) {
+  async combineReferencedFiles(baseContent, references, searchDir, chain = []) {
     const sections = [baseContent];
 
     for (const reference of references) {
-      try {
-        const referencedFilePath = path.join(
-          searchDir,
-          `${reference.hash}${this.fileExtension}`
+      // Check if referenced file exists (a short prefix resolves to its full hash)
+      const resolved = await this.resolveReference(reference.hash, searchDir);
+      if (!resolved) {
+        console.warn(
+          `⚠️  Referenced file not found: ${reference.hash}${this.fileExtension} in ${searchDir}`
         );
+        continue;
+      }
 
-        // Check if referenced file exists
-        try {
-          await fs.access(referencedFilePath);
-        } catch (error) {
-          console.warn(
-            `⚠️  Referenced file not found: ${reference.hash}${this.fileExtension}`
-          );
-          continue;
-        }
+      this.checkReferenceChain(resolved.hash, chain);
 
+      let cleanedContent;
+      try {
         // Read referenced file content
         const referencedContent = await fs.readFile(
-          referencedFilePath,
+          resolved.filePath,
           "utf-8"
         );
 
         // Remove timestamp from divider line but preserve hash for immutable reference
-        const cleanedContent = this.cleanReferencedContent(referencedContent);
-
-        sections.push(cleanedContent);
-        console.log(
-          `✓ Added content from: ${reference.hash}${this.fileExtension}`
-        );
+        cleanedContent = this.cleanReferencedContent(referencedContent);
       } catch (error) {
         console.error(
           `✗ Failed to read referenced file ${reference.hash}: ${error.message}`
         );
+        continue;
       }
+
+      // Referenced files may list references of their own; expand them in place
+      sections.push(
+        await this.expandNestedSections(cleanedContent, searchDir, [
+          ...chain,
+          resolved.hash,
+        ])
+      );
+      console.log(
+        `✓ Added content from: ${resolved.hash}${this.fileExtension}`
+      );
     }
 
     return sections.join("\n\n");
   }
 
   /**
-   * Clean referenced content by removing timestamp but preserving hash
+   * Find the file a reference points to
+   * An exact file name is used as is; otherwise the hash is treated as a
+   * unique prefix (or full digest) and looked up among the directory's files
+   * @param {string} hash - Hash, hash prefix or digest from a reference line
+   * @param {string} searchDir - Directory to search for referenced files
+   * @returns {Promise<Object|null>} { hash, filePath } or null if nothing matches
+   * @throws {Error} If a prefix matches more than one section
+   */
+  async resolveReference(hash, searchDir) {
+    const filePath = path.join(searchDir, `${hash}${this.fileExtension}`);
+    try {
+      await fs.access(filePath);
+      return { hash, filePath };
+    } catch (error) {
+      // Not a full hash; try it as a prefix
+    }
+
+    if (!this.idStrategy.resolvesPrefixes) {
+      return null;
+    }
+
+    const match = (await this.getHashResolver(searchDir)).resolve(hash);
+    if (match.status === "ambiguous") {
+      throw new Error(
+        `Ambiguous hash prefix ${hash}: matches ${match.candidates.join(", ")}`
+      );
+    }
+
+    return match.status === "found"
+      ? { hash: match.hash, filePath: match.entry.filePath }
+      : null;
+  }
+
+  /**
+   * Hash resolver for a directory, built once per reconstructor
+   * Digests are computed with the normalization profile recorded by the
+   * directory's split manifests
+   * @param {string} searchDir - Directory holding section files
+   * @returns {Promise<HashResolver>} Resolver over the directory's sections
+   */
+  async getHashResolver(searchDir) {
+    if (!this.hashResolvers.has(searchDir)) {
+      this.hashResolvers.set(
+        searchDir,
+        await HashResolver.fromDirectory(searchDir, {
+          fileExtension: this.fileExtension,
+          minPrefixLength: this.minPrefixLength,
+          hashGenerator: new HashGenerator({
+            normalization: await SplitManifest.findNormalization(searchDir),
+          }),
+        })
+      );
+    }
+    return this.hashResolvers.get(searchDir);
+  }
+
+  /**
+   * Make sure following a reference neither loops nor goes too deep
+   * @param {string} hash - Hash about to be expanded
+   * @param {Array<string>} chain - Hashes of the files currently being expanded
+   * @throws {Error} On a reference cycle or when the depth limit is exceeded
+   */
+  checkReferenceChain(hash, chain) {
+    if (chain.includes(hash)) {
+      const cycle = [...chain.slice(chain.indexOf(hash)), hash];
+      throw new Error(`Reference cycle detected: ${cycle.join(" → ")}`);
+    }
+
+    if (chain.length >= this.maxDepth) {
+      throw new Error(
+        `Reference depth limit of ${this.maxDepth} exceeded: ${[
+          ...chain,
+          hash,
+        ].join(" → ")}`
+      );
+    }
+  }
+
+  /**
+   * Split a referenced file into its own divider line and the rest
+   * @param {string} content - Content of a referenced file
+   * @returns {Object} { header, body } (header is null if there is no divider)
+   */
+  splitSectionHeader(content) {
+    const newlineIndex = content.indexOf("\n");
+    const firstLine =
+      newlineIndex === -1 ? content : content.slice(0, newlineIndex);
+
+    if (!this.parseReferenceLine(firstLine)) {
+      return { header: null, body: content };
+    }
+
+    return {
+      header: firstLine,
+      body: newlineIndex === -1 ? "" : content.slice(newlineIndex + 1),
+    };
+  }
+
+  /**
+   * Replace a section file's own references with the referenced subsections
+   * The first line of a section file is its divider, which is kept as is
+   * @param {string} content - Cleaned content of a referenced file
+   * @param {string} searchDir - Directory to search for referenced files
+   * @param {Array<string>} [chain] - Hashes of the files currently being expanded
+   * @returns {Promise<string>} Section content with subsections expanded
+   */
+  async expandNestedSections(content, searchDir, chain = []) {
+    const { header, body } = this.splitSectionHeader(content);
+    const { baseContent, references } = this.extractReferences(body);
+
+    if (references.length === 0) {
+      return content;
+    }
+
+    // Keep the blank lines between the divider and the section text
+    const leading = baseContent
+      ? body.slice(0, body.length - body.trimStart().length)
+      : "";
+    const expanded = await this.combineReferencedFiles(
+      baseContent,
+      references,
+      searchDir,
+      chain
+    );
+
+    return header === null
+      ? `${leading}${expanded}`
+      : `${header}\n${leading}${expanded}`;
+  }
+
+  /**
+   * Clean referenced content by removing timestamp but preserving hash and attributes
    * @param {string} content - Content from referenced file
    * @returns {string} Cleaned content with hash-only divider
    */
@@ -181,15 +550,14 @@ export class DocumentReconstructor {
 
     // Check if first line is an enhanced divider (with hash and timestamp)
     if (lines.length > 0) {
-      const firstLine = lines[0];
-      const enhancedDividerPattern =
-        /^---:\s+([A-F0-9]+)\s+\d{2}:\d{2}:\d{2}\s+\d{4}\/\d{2}\/\d{2}$/i;
-      const match = firstLine.match(enhancedDividerPattern);
-
-      if (match) {
-        // Replace enhanced divider with hash-only divider (preserve hash, remove timestamp)
-        const hash = match[1];
-        lines[0] = `---: ${hash}`;
+      const divider = this.parseReferenceLine(lines[0]);
+
+      if (divider && divider.timestampStr) {
+        // Replace enhanced divider with hash-only divider (preserve hash and
+        // attributes, remove timestamp)
+        const marker = `---${":".repeat(divider.level)} ${divider.hash}`;
+        const attributes = this.dividerAttributes.format(divider.attributes);
+        lines[0] = attributes ? `${marker} ${attributes}` : marker;
       }
     }
 
@@ -207,26 +575,112 @@ export class DocumentReconstructor {
     const missing = [];
 
     for (const reference of references) {
-      const filePath = path.join(
-        searchDir,
-        `${reference.hash}${this.fileExtension}`
+      try {
+        const resolved = await this.resolveReference(reference.hash, searchDir);
+        (resolved ? found : missing).push(reference);
+      } catch (error) {
+        missing.push(reference); // Ambiguous prefix
+      }
+    }
+
+    return { found, missing };
+  }
+
+  /**
+   * Build the full tree of references reachable from a file
+   * Cycles and branches deeper than `maxDepth` are marked instead of followed
+   * @param {string} filePath - Path to the main file
+   * @returns {Promise<Object>} Root node: { name, references: [node] }, where
+   *   each node is { hash, level, name, found, cycle, truncated, references }
+   *   (plus `candidates` when a hash prefix is ambiguous)
+   */
+  async buildReferenceTree(filePath) {
+    try {
+      const content = await fs.readFile(filePath, "utf-8");
+      const { references } = this.extractReferences(content);
+      const searchDir = this.getSearchDir(filePath);
+
+      return {
+        name: path.basename(filePath),
+        references: await this.buildReferenceNodes(references, searchDir, []),
+      };
+    } catch (error) {
+      throw new Error(
+        `Failed to build reference tree for ${filePath}: ${error.message}`
       );
+    }
+  }
+
+  /**
+   * Build tree nodes for a list of references
+   * @param {Array} references - Reference objects
+   * @param {string} searchDir - Directory to search for referenced files
+   * @param {Array<string>} chain - Hashes of the files above these references
+   * @returns {Promise<Array>} Tree nodes
+   */
+  async buildReferenceNodes(references, searchDir, chain) {
+    const nodes = [];
+
+    for (const reference of references) {
+      let resolved = null;
+      let candidates = null;
+      try {
+        resolved = await this.resolveReference(reference.hash, searchDir);
+      } catch (error) {
+        candidates = (
+          await this.getHashResolver(searchDir)
+        ).resolve(reference.hash).candidates;
+      }
+
+      const hash = resolved ? resolved.hash : reference.hash;
+      const node = {
+        hash,
+        level: reference.level,
+        name: `${hash}${this.fileExtension}`,
+        found: false,
+        cycle: chain.includes(hash),
+        truncated: false,
+        references: [],
+      };
+      if (candidates) {
+        node.candidates = candidates; // Ambiguous prefix
+      }
+      nodes.push(node);
 
+      if (node.cycle || !resolved) {
+        continue;
+      }
+
+      let content;
       try {
-        await fs.access(filePath);
-        found.push(reference);
+        content = await fs.readFile(resolved.filePath, "utf-8");
+        node.found = true;
       } catch (error) {
-        missing.push(reference);
+        continue;
       }
+
+      const { body } = this.splitSectionHeader(content);
+      const nested = this.extractReferences(body).references;
+
+      if (nested.length > 0 && chain.length + 1 >= this.maxDepth) {
+        node.truncated = true;
+        continue;
+      }
+
+      node.references = await this.buildReferenceNodes(nested, searchDir, [
+        ...chain,
+        hash,
+      ]);
     }
 
-    return { found, missing };
+    return nodes;
   }
 
   /**
    * Get information about a file with references
    * @param {string} filePath - Path to file to analyze
-   * @returns {Promise<Object>} Analysis result
+   * @returns {Promise<Object>} Analysis result, including the `searchDir`
+   *   its references were looked up in
    */
   async analyzeFile(filePath) {
     try {
@@ -234,12 +688,13 @@ export class DocumentReconstructor {
       const { baseContent, references } = this.extractReferences(content);
 
       const stats = await fs.stat(filePath);
-      const searchDir = path.dirname(filePath);
+      const searchDir = this.getSearchDir(filePath);
       const validation = await this.validateReferences(references, searchDir);
 
       return {
         filePath,
         fileSize: stats.size,
+        searchDir,
         baseContentLength: baseContent.length,
         totalReferences: references.length,
         foundReferences: validation.found.length,
@@ -1,12 +1,13 @@
 import fs from "fs/promises";
 import path from "path";
+import { SectionBuilder } from "./sectionBuilder.js";
 
 /**
  * Core file processing module for splitting multi-source documents
  */
 export class FileProcessor {
   constructor() {
-    this.dividerPattern = /^---:\s*$/;
+    this.dividerPattern = /^---(:+)(?:\s+(.*?))?\s*$/; // Level (colons) and optional key=value attributes
   }
 
   /**
@@ -60,6 +61,7 @@ export class FileProcessor {
 
   /**
    * Split content into sections based on ---: dividers
+   * Deeper dividers (---::, ---:::) nest sections under the preceding ones
    * @param {string} content - The full document content
    * @returns {Array} Array of section objects
    */
@@ -75,55 +77,24 @@ export class FileProcessor {
 
     try {
       const lines = content.split("\n");
+      const builder = new SectionBuilder({
+        dividerPattern: this.dividerPattern,
+      });
       const sections = [];
-      let currentSection = [];
-      let sectionIndex = 0;
-      let currentSectionStartsWithDivider = false;
-      let currentSectionDividerLine = null;
-
-      for (let i = 0; i < lines.length; i++) {
-        const line = lines[i];
-
-        if (this.dividerPattern.test(line)) {
-          // If we have content before this divider, save it as a section
-          if (currentSection.length > 0) {
-            sections.push({
-              index: sectionIndex++,
-              content: currentSection.join("\n"),
-              hasDivider: currentSectionStartsWithDivider,
-              originalDividerLine: currentSectionDividerLine,
-              lineStart: i - currentSection.length + 1,
-              lineEnd: i,
-            });
-            currentSection = [];
-            // Reset the divider tracking for the next section
-            currentSectionStartsWithDivider = false;
-            currentSectionDividerLine = null;
-          }
-
-          // Start new section with the divider line
-          currentSection.push(line);
-          currentSectionStartsWithDivider = true;
-          currentSectionDividerLine = line;
-
-          // Continue collecting content after the divider
-          continue;
-        }
 
-        currentSection.push(line);
+      for (const line of lines) {
+        const completed = builder.addLine(line);
+        if (completed) {
+          sections.push(completed);
+        }
       }
 
       // Add the final section if there's remaining content
-      if (currentSection.length > 0) {
-        sections.push({
-          index: sectionIndex,
-          content: currentSection.join("\n"),
-          hasDivider: currentSectionStartsWithDivider,
-          originalDividerLine: currentSectionDividerLine,
-          lineStart: lines.length - currentSection.length + 1,
-          lineEnd: lines.length,
-        });
+      const finalSection = builder.finish();
+      if (finalSection) {
+        sections.push(finalSection);
       }
+      builder.attachChildren(sections);
 
       // Validate sections
       this.validateSections(sections);
@@ -2,6 +2,10 @@ import fs from "fs/promises";
 import path from "path";
 import { HashGenerator } from "./hashGenerator.js";
 import { TimestampUtils } from "./timestampUtils.js";
+import { SplitManifest } from "./splitManifest.js";
+import { SectionStore } from "./sectionStore.js";
+import { IdStrategy } from "./idStrategy.js";
+import { WriteTransaction } from "./writeTransaction.js";
 
 /**
  * File writing and output directory management
@@ -11,8 +15,23 @@ export class FileWriter {
     this.outputDir = options.outputDir || "_out";
     this.fileExtension = options.fileExtension || ".md";
     this.hashGenerator = new HashGenerator(options.hashOptions);
-    this.timestampUtils = new TimestampUtils(options.timestampOptions);
     this.overwriteExisting = options.overwriteExisting || false;
+    this.storeDir = options.storeDir || null; // Shared content-addressed store
+    this.strictHashes = options.strictHashes || false; // Fail on hash collisions
+    // How section IDs (file names) are made: sha256, base32, ulid, slug or explicit
+    this.idStrategy = IdStrategy.create(options.idStrategy, {
+      hashGenerator: this.hashGenerator,
+    });
+    this.timestampUtils = new TimestampUtils({
+      ...options.timestampOptions,
+      idStrategy: this.idStrategy,
+    });
+
+    if (this.storeDir && !this.idStrategy.contentAddressed) {
+      throw new Error(
+        `A shared store needs a content-addressed ID strategy, not ${this.idStrategy.name}`
+      );
+    }
   }
 
   /**
@@ -37,15 +56,25 @@ export class FileWriter {
 
   /**
    * Write a section to a file
+   * The file is written to a temp file and renamed into place; with
+   * `options.transaction` it is only staged, and committed with the split
    * @param {Object} section - Section object with content and metadata
    * @param {Object} options - Writing options
    * @returns {Promise<Object>} Result object with file info
    */
   async writeSection(section, options = {}) {
     await this.ensureOutputDirectory();
+    const transaction = options.transaction || new WriteTransaction();
 
-    // Generate hash for the section
-    const hash = this.hashGenerator.generateSectionHash(section);
+    // Generate the section's ID, and the full digest of its content
+    let hash = this.idStrategy.generate(section, {
+      timestamp: options.timestamp,
+      previousSections: options.previousSplit || options.previousSections,
+      reproducible: options.reproducible,
+    });
+    const digest = this.hashGenerator.generateDigest(
+      this.hashGenerator.getSectionContent(section)
+    );
 
     // Create filename - use original source name for first section, hash for others
     let filename;
@@ -56,24 +85,89 @@ export class FileWriter {
         path.extname(options.sourceFilename)
       );
       filename = `${baseName}${this.fileExtension}`;
+    } else if (this.idStrategy.contentAddressed) {
+      // Use hash for other sections, lengthened if it collides with another section
+      hash = await this.resolveHashCollision(
+        section,
+        hash,
+        options.store ? options.store.storeDir : this.outputDir,
+        digest,
+        transaction
+      );
+      filename = `${hash}${this.fileExtension}`;
     } else {
-      // Use hash for other sections
+      // Stable IDs name the same file whatever the section's content
       filename = `${hash}${this.fileExtension}`;
     }
 
-    const filePath = path.join(this.outputDir, filename);
+    // With a store, hash-named section files live there instead of outputDir
+    const stored = !!options.store && filename === `${hash}${this.fileExtension}`;
+    const filePath = stored
+      ? options.store.getFilePath(hash)
+      : path.join(this.outputDir, filename);
+
+    // Incremental mode: files from the previous split may be kept or replaced
+    const previousEntry = options.previousSections
+      ? options.previousSections.get(filename)
+      : null;
+
+    if (previousEntry && previousEntry.hash === hash) {
+      const unchanged = await this.checkUnchanged(
+        section,
+        hash,
+        transaction.resolve(filePath),
+        previousEntry
+      );
+      if (unchanged) {
+        return {
+          ...unchanged,
+          hash,
+          digest,
+          filename,
+          filePath,
+          stored,
+          section: this.describeSection(section),
+        };
+      }
+    }
+
+    // A section another document already put in the store is shared, not skipped
+    if (stored) {
+      const storeEntry = await options.store.get(hash);
+      if (storeEntry) {
+        return await this.reuseStoredSection(
+          section,
+          storeEntry,
+          {
+            hash,
+            digest,
+            filename,
+            filePath,
+            section: this.describeSection(section),
+            status: options.previousSections
+              ? previousEntry
+                ? "unchanged"
+                : "added"
+              : undefined,
+          },
+          transaction
+        );
+      }
+    }
 
     // Check if file already exists
-    if (!this.overwriteExisting) {
+    if (!this.overwriteExisting && !previousEntry && !stored) {
       try {
-        await fs.access(filePath);
+        await fs.access(transaction.resolve(filePath));
         console.warn(`File ${filename} already exists, skipping...`);
         return {
           success: false,
           reason: "file_exists",
           hash,
+          digest,
           filename,
           filePath,
+          section: this.describeSection(section),
         };
       } catch (error) {
         // File doesn't exist, continue with writing
@@ -88,29 +182,275 @@ export class FileWriter {
     );
 
     try {
-      await fs.writeFile(filePath, modifiedContent, "utf-8");
-
-      const stats = await fs.stat(filePath);
+      await transaction.writeFile(filePath, modifiedContent);
+      if (!options.transaction) {
+        await transaction.commit();
+      }
 
-      return {
+      const result = {
         success: true,
         hash,
+        digest,
         filename,
         filePath,
-        size: stats.size,
+        size: Buffer.byteLength(modifiedContent, "utf-8"),
         timestamp: options.timestamp || new Date(),
-        section: {
-          index: section.index,
-          hasDivider: section.hasDivider,
-        },
+        stored,
+        section: this.describeSection(section),
       };
+
+      if (options.previousSections) {
+        result.status = previousEntry ? "updated" : "added";
+      }
+
+      return result;
     } catch (error) {
+      if (!options.transaction) {
+        await transaction.rollback();
+      }
       throw new Error(`Failed to write file ${filePath}: ${error.message}`);
     }
   }
 
+  /**
+   * Pick a hash for a section that no other section's file is using
+   * A file with the same name but different content is a collision of the
+   * truncated hash: the new section gets a longer hash (two characters at a
+   * time) until it is unique, or an error is thrown in strict mode. The
+   * existing file keeps its name, so references to it stay valid
+   * @param {Object} section - Section object
+   * @param {string} hash - Section hash at the configured length
+   * @param {string} dir - Directory the section file is written to
+   * @param {string} digest - Full digest of the section
+   * @param {WriteTransaction} [transaction] - Transaction with files staged
+   *   earlier in the split
+   * @returns {Promise<string>} Hash to use for the section
+   */
+  async resolveHashCollision(section, hash, dir, digest, transaction = null) {
+    let candidate = hash;
+    while (true) {
+      const filePath = path.join(dir, `${candidate}${this.fileExtension}`);
+      const existingDigest = await this.readExistingDigest(
+        transaction ? transaction.resolve(filePath) : filePath,
+        candidate
+      );
+      if (existingDigest === null || existingDigest === digest) {
+        return candidate;
+      }
+
+      if (this.strictHashes) {
+        throw new Error(
+          `Hash collision: ${candidate}${this.fileExtension} already holds different content (strict mode)`
+        );
+      }
+
+      const longer = this.idStrategy.generate(section, {
+        length: candidate.length + 2,
+      });
+      if (longer.length <= candidate.length) {
+        throw new Error(
+          `Hash collision: ${candidate}${this.fileExtension} cannot be disambiguated`
+        );
+      }
+      console.warn(
+        `⚠️  Hash collision on ${candidate}${this.fileExtension}: using ${longer}`
+      );
+      candidate = longer;
+    }
+  }
+
+  /**
+   * Digest of the section held by an existing file
+   * @param {string} filePath - Path of the existing file
+   * @param {string} hash - Hash the file is named after
+   * @returns {Promise<string|null>} Full digest, or null if there is no file
+   */
+  async readExistingDigest(filePath, hash) {
+    let content;
+    try {
+      content = await fs.readFile(filePath, "utf-8");
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return null;
+      }
+      throw new Error(`Failed to read existing file ${filePath}: ${error.message}`);
+    }
+
+    return this.hashGenerator.generateFileDigest(
+      content,
+      hash,
+      this.idStrategy.idPattern
+    );
+  }
+
+  /**
+   * Check whether a file from the previous split already holds this section
+   * The file is rebuilt with its recorded timestamp (reference block removed)
+   * and compared byte for byte, so whitespace-only edits are still rewritten
+   * @param {Object} section - Section object
+   * @param {string} hash - Section hash
+   * @param {string} filePath - Existing file path
+   * @param {Object} previousEntry - Section entry from the previous manifest
+   * @returns {Promise<Object|null>} Partial result if unchanged, otherwise null
+   */
+  async checkUnchanged(section, hash, filePath, previousEntry) {
+    const timestamp = previousEntry.timestamp
+      ? new Date(previousEntry.timestamp)
+      : null;
+    if (!timestamp) {
+      return null;
+    }
+
+    let existingContent;
+    try {
+      existingContent = await fs.readFile(filePath, "utf-8");
+    } catch (error) {
+      return null; // Missing file must be written again
+    }
+
+    const expectedContent = this.modifyDividerInContent(
+      section,
+      hash,
+      timestamp
+    );
+    if (
+      SplitManifest.removeReferenceBlock(existingContent, previousEntry) !==
+      expectedContent
+    ) {
+      return null;
+    }
+
+    return {
+      success: true,
+      status: "unchanged",
+      size: Buffer.byteLength(existingContent, "utf-8"),
+      timestamp,
+      // Describes the reference block currently in the file
+      restore: {
+        leadingWhitespace: previousEntry.leadingWhitespace,
+        trailingWhitespace: previousEntry.trailingWhitespace,
+        referenceBlockLength: previousEntry.referenceBlockLength,
+      },
+    };
+  }
+
+  /**
+   * Build the write result for a section that is already in the store
+   * The stored file is left as it is; its timestamp is taken from the store
+   * index. Sections with equal hashes may still differ in trailing whitespace,
+   * so `restore` describes how to get this document's text back from the
+   * shared file
+   * @param {Object} section - Section object
+   * @param {Object} storeEntry - Entry from the store's refs index
+   * @param {Object} result - Partial result (hash, filename, filePath, section, status)
+   * @param {WriteTransaction} [transaction] - Transaction with files staged
+   *   earlier in the split
+   * @returns {Promise<Object>} Write result marked `deduplicated`
+   */
+  async reuseStoredSection(section, storeEntry, result, transaction = null) {
+    const fileContent = await fs.readFile(
+      transaction ? transaction.resolve(result.filePath) : result.filePath,
+      "utf-8"
+    );
+    const storedContent = SplitManifest.removeReferenceBlock(
+      fileContent,
+      storeEntry.restore
+    );
+
+    const reused = {
+      ...result,
+      success: true,
+      deduplicated: true,
+      stored: true,
+      size: Buffer.byteLength(fileContent, "utf-8"),
+      timestamp: storeEntry.timestamp ? new Date(storeEntry.timestamp) : null,
+    };
+    if (reused.status === undefined) {
+      delete reused.status;
+    }
+
+    // The divider line is restored from the manifest; compare what follows it
+    const body = (text) => {
+      const newlineIndex = text.indexOf("\n");
+      return newlineIndex === -1 ? "" : text.slice(newlineIndex);
+    };
+    const storedBody = body(storedContent);
+    const ownBody = body(section.content);
+
+    if (storedBody === ownBody) {
+      if (storeEntry.restore) {
+        reused.restore = { ...storeEntry.restore };
+      }
+    } else if (storedBody.trimEnd() === ownBody.trimEnd()) {
+      const keptLength = storedContent.trimEnd().length;
+      reused.restore = {
+        leadingWhitespace: "",
+        trailingWhitespace: ownBody.slice(ownBody.trimEnd().length),
+        referenceBlockLength: fileContent.length - keptLength,
+      };
+    } else {
+      // The hash normalized away a difference inside the body (line endings,
+      // inner whitespace), which the shared file cannot reproduce
+      console.warn(
+        `⚠️  ${result.filename} is shared with content that differs from this document's (whitespace or line endings); --restore-original will not be byte-exact`
+      );
+      if (storeEntry.restore) {
+        reused.restore = { ...storeEntry.restore };
+      }
+    }
+
+    return reused;
+  }
+
+  /**
+   * Load the previous split of a source for incremental writing
+   * @param {string} sourceFilename - Source document path
+   * @param {WriteTransaction} [transaction] - Transaction of the split
+   * @returns {Promise<Map|null>} filename -> manifest entry, or null if there
+   *   is no previous manifest
+   */
+  async loadPreviousSplit(sourceFilename, transaction = null) {
+    const manifestPath = SplitManifest.getManifestPath(
+      this.outputDir,
+      sourceFilename
+    );
+
+    let manifest;
+    try {
+      manifest = await SplitManifest.load(
+        transaction ? transaction.resolve(manifestPath) : manifestPath
+      );
+    } catch (error) {
+      if (error.message.startsWith("Manifest not found")) {
+        return null;
+      }
+      throw error;
+    }
+
+    return new Map(manifest.sections.map((entry) => [entry.filename, entry]));
+  }
+
+  /**
+   * Section metadata kept in write results (content is left out)
+   * @param {Object} section - Section object
+   * @returns {Object} Section summary
+   */
+  describeSection(section) {
+    return {
+      index: section.index,
+      hasDivider: section.hasDivider,
+      originalDividerLine: section.originalDividerLine ?? null,
+      level: section.level ?? 0,
+      parentIndex: section.parentIndex ?? null,
+      lineStart: section.lineStart,
+      lineEnd: section.lineEnd,
+      heading: this.idStrategy.getHeading(section),
+    };
+  }
+
   /**
    * Modify divider line in content to include hash and timestamp
+   * Divider attributes (title, tags, ...) are carried over after the timestamp
    * @param {Object} section - Section object
    * @param {string} hash - Generated hash
    * @param {Date} [timestamp] - Optional timestamp
@@ -123,7 +463,9 @@ export class FileWriter {
 
     const newDividerLine = this.timestampUtils.createDividerLine(
       hash,
-      timestamp
+      timestamp,
+      section.attributes,
+      section.level || 1
     );
 
     // Replace the original divider line with the new one
@@ -137,115 +479,494 @@ export class FileWriter {
    * @returns {Promise<Array>} Array of write results
    */
   async writeSections(sections, options = {}) {
+    return await this.writeSectionStream(sections, options);
+  }
+
+  /**
+   * Write sections as they arrive from an (async) iterable
+   * Each section is written before the next one is pulled from the source, so
+   * a streaming reader is paused while the writer catches up. Only the small
+   * result records are kept; references are appended to parent files at the end.
+   * The split is one write transaction: files are staged as temp files and
+   * renamed into place once every section, reference block, the store index
+   * and the manifest are ready. If anything fails, nothing in the output
+   * directory or store changes
+   * @param {AsyncIterable|Iterable} sections - Section objects in document order
+   * @param {Object} options - Writing options
+   * @param {Date} [options.timestamp] - Fixed time for every divider and the
+   *   manifest, for reproducible output (see SourceDate)
+   * @param {boolean} [options.clean] - Remove the files already in the output
+   *   directory, together with writing the new ones
+   * @returns {Promise<Array>} Array of write results
+   */
+  async writeSectionStream(sections, options = {}) {
     const results = [];
-    const timestamp = options.useSharedTimestamp ? new Date() : null;
+    const timestamp =
+      options.timestamp || (options.useSharedTimestamp ? new Date() : null);
+    const manifest = new SplitManifest({
+      sourceFilename: options.sourceFilename,
+      options: this.getManifestOptions(options),
+      createdAt: options.timestamp,
+    });
+
+    // Stable IDs must not repeat within a split or take the main file's name
+    this.idStrategy.reset({
+      reserved: options.sourceFilename
+        ? [
+            path.basename(
+              options.sourceFilename,
+              path.extname(options.sourceFilename)
+            ),
+          ]
+        : [],
+    });
+
+    await this.sweepStaleTransactions();
+
+    const store = this.storeDir
+      ? await new SectionStore({
+          storeDir: this.storeDir,
+          fileExtension: this.fileExtension,
+        }).load()
+      : null;
+
+    const transaction = new WriteTransaction();
+    try {
+      // Stable IDs are looked up in the previous split, incremental or not
+      // (before --clean removes its manifest)
+      const previousSplit =
+        !this.idStrategy.contentAddressed && options.sourceFilename
+          ? await this.loadPreviousSplit(options.sourceFilename)
+          : null;
+
+      if (options.clean) {
+        console.log("🧹 Cleaning output directory...");
+        await this.cleanOutputDirectory(transaction);
+      }
+
+      let previousSections = null;
+      if (options.incremental && options.sourceFilename) {
+        previousSections = await this.loadPreviousSplit(
+          options.sourceFilename,
+          transaction
+        );
+        if (!previousSections) {
+          console.log("ℹ️  No previous manifest found, writing a full split");
+          previousSections = new Map();
+        }
+      }
+
+      // First pass: write all sections and collect results
+      for await (const section of sections) {
+        manifest.addSource(section);
 
-    // First pass: write all sections and collect results
-    for (const section of sections) {
-      try {
         const writeOptions = {
           ...options,
-          timestamp: options.useSharedTimestamp ? timestamp : new Date(),
+          timestamp: timestamp || new Date(),
+          reproducible: !!options.timestamp,
           sourceFilename: options.sourceFilename,
+          previousSections,
+          previousSplit,
+          store,
+          transaction,
         };
 
-        const result = await this.writeSection(section, writeOptions);
+        let result;
+        try {
+          result = await this.writeSection(section, writeOptions);
+        } catch (error) {
+          // Hash collision errors already name the colliding file
+          throw error.message.startsWith("Hash collision")
+            ? error
+            : new Error(`Failed to write section ${section.index}: ${error.message}`);
+        }
         results.push(result);
 
-        if (result.success) {
+        if (result.deduplicated) {
+          console.log(`≡ Shared: ${result.filename} (already in store)`);
+        } else if (result.status === "unchanged") {
+          console.log(`= Unchanged: ${result.filename}`);
+        } else if (result.success) {
           console.log(`✓ Written: ${result.filename} (${result.size} bytes)`);
         } else {
           console.log(`⚠ Skipped: ${result.filename} (${result.reason})`);
         }
-      } catch (error) {
-        console.error(
-          `✗ Failed to write section ${section.index}: ${error.message}`
+      }
+
+      // Second pass: add references to every parent section's file
+      if (options.addReferences !== false) {
+        await this.addReferencesToParentFiles(results, options, transaction);
+      }
+
+      if (previousSections) {
+        this.reportIncrementalChanges(results, previousSections);
+      }
+
+      if (store) {
+        await this.updateStore(store, results, options, transaction);
+      }
+
+      // Record what is needed to restore the source byte for byte
+      if (
+        options.writeManifest !== false &&
+        options.sourceFilename &&
+        results.length > 0 &&
+        (await this.describeSkippedSections(
+          results,
+          options.sourceFilename,
+          transaction
+        ))
+      ) {
+        const manifestPath = await manifest.save(
+          this.outputDir,
+          results,
+          transaction
         );
-        results.push({
-          success: false,
-          reason: "write_error",
-          error: error.message,
-          section: { index: section.index },
+        console.log(`✓ Written manifest: ${path.basename(manifestPath)}`);
+      }
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      console.error("↩️  Split rolled back, previous output left unchanged");
+      throw error;
+    }
+
+    return results;
+  }
+
+  /**
+   * Fill in skipped sections from the previous manifest
+   * A section skipped because its file already exists keeps the file of an
+   * earlier split, so its size, timestamp and reference block are taken from
+   * that split's manifest. If the file may hold other content (no previous
+   * entry, or a different digest), the previous manifest is kept instead of
+   * being replaced by one that cannot restore the source
+   * @param {Array} results - Write results
+   * @param {string} sourceFilename - Source document path
+   * @param {WriteTransaction} [transaction] - Transaction of the split
+   * @returns {Promise<boolean>} True if the manifest can be written
+   */
+  async describeSkippedSections(results, sourceFilename, transaction = null) {
+    const skipped = results.filter((result) => result.reason === "file_exists");
+    if (skipped.length === 0) {
+      return true;
+    }
+
+    const previousSections = await this.loadPreviousSplit(
+      sourceFilename,
+      transaction
+    );
+    const unknown = skipped.filter((result) => {
+      const entry = previousSections?.get(result.filename);
+      return !entry || !entry.digest || entry.digest !== result.digest;
+    });
+
+    if (unknown.length > 0) {
+      console.warn(
+        `⚠️  Keeping the previous manifest: ${unknown.length} skipped files may not match this split (use --overwrite or --incremental)`
+      );
+      return false;
+    }
+
+    for (const result of skipped) {
+      const entry = previousSections.get(result.filename);
+      result.size = entry.size;
+      result.timestamp = entry.timestamp ? new Date(entry.timestamp) : null;
+      result.restore = {
+        leadingWhitespace: entry.leadingWhitespace,
+        trailingWhitespace: entry.trailingWhitespace,
+        referenceBlockLength: entry.referenceBlockLength,
+      };
+    }
+    return true;
+  }
+
+  /**
+   * Record this split's sections in the store and update reference counts
+   * @param {SectionStore} store - Loaded section store
+   * @param {Array} results - Write results
+   * @param {Object} options - Writing options
+   * @param {WriteTransaction} [transaction] - Transaction of the split
+   * @returns {Promise<void>}
+   */
+  async updateStore(store, results, options = {}, transaction = null) {
+    const owned = results.filter((result) => result.stored && result.success);
+
+    for (const result of owned) {
+      if (!result.deduplicated) {
+        store.record(result.hash, {
+          timestamp: result.timestamp ? result.timestamp.toISOString() : null,
+          restore: result.restore ?? null,
         });
       }
     }
 
-    // Second pass: add references to the first file if enabled and it exists and doesn't have a divider
-    if (options.addReferences !== false) {
-      await this.addReferencesToFirstFile(results, options);
+    const owner = store.getOwnerId(
+      SplitManifest.getManifestPath(
+        this.outputDir,
+        options.sourceFilename || "document"
+      )
+    );
+    const released = await store.setOwner(
+      owner,
+      owned.map((result) => result.hash),
+      transaction
+    );
+    await store.save(transaction);
+
+    const shared = owned.filter((result) => result.deduplicated).length;
+    console.log(
+      `✓ Updated store index: ${owned.length} sections (${shared} shared)`
+    );
+    released.forEach((hash) =>
+      console.log(`🗑️  Released: ${hash}${this.fileExtension} (no documents reference it)`)
+    );
+  }
+
+  /**
+   * Print which sections were added, updated, kept or dropped since the last split
+   * Files of removed sections are left in place
+   * @param {Array} results - Write results
+   * @param {Map} previousSections - filename -> entry from the previous manifest
+   * @returns {Object} Filenames grouped by change
+   */
+  reportIncrementalChanges(results, previousSections) {
+    const report = { added: [], updated: [], unchanged: [], removed: [] };
+
+    for (const result of results) {
+      if (result.status) {
+        report[result.status].push(result.filename);
+      }
     }
 
-    return results;
+    const current = new Set(results.map((result) => result.filename));
+    for (const filename of previousSections.keys()) {
+      if (!current.has(filename)) {
+        report.removed.push(filename);
+      }
+    }
+
+    console.log("🔁 Incremental split:");
+    console.log(`   ➕ Added: ${report.added.length}`);
+    console.log(`   ✏️  Updated: ${report.updated.length}`);
+    console.log(`   = Unchanged: ${report.unchanged.length}`);
+    console.log(`   ➖ Removed: ${report.removed.length}`);
+    report.removed.forEach((filename) =>
+      console.log(`      - ${filename} (no longer part of the document)`)
+    );
+
+    return report;
   }
 
   /**
-   * Add reference lines to the first file (the one without a divider)
+   * Tool options recorded in the split manifest
+   * @param {Object} options - Writing options
+   * @returns {Object} Options that shaped the generated files
+   */
+  getManifestOptions(options = {}) {
+    return {
+      hash: this.hashGenerator.getOptions(),
+      idStrategy: this.idStrategy.name,
+      timestampFormat: this.timestampUtils.format,
+      timezone: this.timestampUtils.timezone,
+      fileExtension: this.fileExtension,
+      overwriteExisting: this.overwriteExisting,
+      strictHashes: this.strictHashes,
+      addReferences: options.addReferences !== false,
+      useSharedTimestamp: !!options.useSharedTimestamp,
+      reproducible: !!options.timestamp,
+      // Relative to the output directory, where the manifest lives
+      storeDir: this.storeDir
+        ? path.relative(this.outputDir, this.storeDir).split(path.sep).join("/")
+        : null,
+    };
+  }
+
+  /**
+   * Add reference lines for each section's direct children to its file
+   * The root file (first section, no divider) lists the chapters, and each
+   * chapter file lists its subsections with the matching divider level
+   * (`---: HASH` for level 1, `---:: HASH` for level 2, ...)
    * @param {Array} results - Array of write results
    * @param {Object} options - Writing options
+   * @param {WriteTransaction} [transaction] - Transaction of the split
    * @returns {Promise<void>}
    */
-  async addReferencesToFirstFile(results, options = {}) {
-    // Find the first file (section index 0) that doesn't have a divider
-    const firstFileResult = results.find(
-      (result) =>
-        result.success &&
-        result.section &&
-        result.section.index === 0 &&
-        !result.section.hasDivider
+  async addReferencesToParentFiles(results, options = {}, transaction = null) {
+    const written = results.filter((result) => result.success && result.section);
+    const byIndex = new Map(
+      written.map((result) => [result.section.index, result])
     );
 
-    if (!firstFileResult) {
-      return; // No first file without divider found
+    // Group children under their parent, keeping document order
+    const childrenByParent = new Map();
+    for (const result of written) {
+      const parentIndex = result.section.parentIndex;
+      if (parentIndex === null || !byIndex.has(parentIndex)) {
+        continue;
+      }
+      if (!childrenByParent.has(parentIndex)) {
+        childrenByParent.set(parentIndex, []);
+      }
+      childrenByParent.get(parentIndex).push(result);
     }
 
-    // Get all other successful files to reference
-    const otherFiles = results.filter(
-      (result) => result.success && result.section && result.section.index !== 0
-    );
+    for (const [parentIndex, children] of childrenByParent) {
+      await this.addReferencesToFile(
+        byIndex.get(parentIndex),
+        children,
+        transaction
+      );
+    }
 
-    if (otherFiles.length === 0) {
-      return; // No other files to reference
+    // Kept files that lost all their children drop their old reference block
+    for (const result of written) {
+      if (
+        !childrenByParent.has(result.section.index) &&
+        result.restore?.referenceBlockLength > 0
+      ) {
+        await this.addReferencesToFile(result, [], transaction);
+      }
     }
+  }
+
+  /**
+   * Append reference lines to a written file
+   * A reference block left by a previous split (kept file) is replaced, and the
+   * file is only rewritten if its content actually changes
+   * @param {Object} parentResult - Write result of the file to update
+   * @param {Array} children - Write results of the referenced sections
+   * @param {WriteTransaction} [transaction] - Stage the file in this
+   *   transaction instead of replacing it right away
+   * @returns {Promise<void>}
+   */
+  async addReferencesToFile(parentResult, children, transaction = null) {
+    const owned = !transaction;
+    transaction = transaction || new WriteTransaction();
 
     try {
-      // Read the current content of the first file
-      const currentContent = await fs.readFile(
-        firstFileResult.filePath,
+      // Read the current content of the parent file (staged or on disk)
+      const fileContent = await fs.readFile(
+        transaction.resolve(parentResult.filePath),
         "utf-8"
       );
+      const currentContent = SplitManifest.removeReferenceBlock(
+        fileContent,
+        parentResult.restore
+      );
+
+      if (children.length === 0) {
+        if (parentResult.deduplicated) {
+          // Only whitespace differs from the shared file: nothing to remove
+          if (fileContent.trimEnd() !== currentContent.trimEnd()) {
+            this.warnSharedReferences(parentResult);
+          }
+          return;
+        }
+        delete parentResult.restore;
+        await transaction.writeFile(parentResult.filePath, currentContent);
+        if (owned) {
+          await transaction.commit();
+        }
+        parentResult.size = Buffer.byteLength(currentContent, "utf-8");
+        console.log(`✓ Removed references from: ${parentResult.filename}`);
+        return;
+      }
 
       // Create reference lines
-      const referenceLines = otherFiles.map((file) => {
+      const referenceLines = children.map((file) => {
         const hash = path.basename(file.filename, this.fileExtension);
-        return `---: ${hash}`;
+        const marker = ":".repeat(Math.max(file.section.level, 1));
+        return `---${marker} ${hash}`;
       });
 
       // Add references at the end of the file
-      const updatedContent =
-        currentContent.trim() + "\n\n" + referenceLines.join("\n") + "\n";
+      const trimmedContent = currentContent.trim();
+      const referenceBlock = "\n\n" + referenceLines.join("\n") + "\n";
+      const updatedContent = trimmedContent + referenceBlock;
+
+      // Remember what was changed so the original can be restored exactly
+      const leadingWhitespace = currentContent.match(/^\s*/)[0];
+      const restore = {
+        leadingWhitespace,
+        trailingWhitespace: currentContent.slice(
+          leadingWhitespace.length + trimmedContent.length
+        ),
+        referenceBlockLength: referenceBlock.length,
+      };
+
+      if (updatedContent === fileContent) {
+        parentResult.restore = restore;
+        return; // Same references as before
+      }
+
+      // Rewriting a shared file would change it for the documents owning it
+      if (parentResult.deduplicated) {
+        this.warnSharedReferences(parentResult);
+        return;
+      }
+
+      parentResult.restore = restore;
 
       // Write the updated content back
-      await fs.writeFile(firstFileResult.filePath, updatedContent, "utf-8");
+      await transaction.writeFile(parentResult.filePath, updatedContent);
+      if (owned) {
+        await transaction.commit();
+      }
 
       // Update the file size in the result
-      const stats = await fs.stat(firstFileResult.filePath);
-      firstFileResult.size = stats.size;
+      parentResult.size = Buffer.byteLength(updatedContent, "utf-8");
 
       console.log(
-        `✓ Added ${otherFiles.length} references to: ${firstFileResult.filename}`
+        `✓ Added ${children.length} references to: ${parentResult.filename}`
       );
     } catch (error) {
-      console.error(
-        `✗ Failed to add references to ${firstFileResult.filename}: ${error.message}`
+      if (owned) {
+        await transaction.rollback();
+      }
+      // References to files that are not there would break the split
+      throw new Error(
+        `Failed to add references to ${parentResult.filename}: ${error.message}`
       );
     }
   }
 
+  /**
+   * Warn that a shared store file keeps the references of its first writer
+   * @param {Object} parentResult - Write result of the shared file
+   */
+  warnSharedReferences(parentResult) {
+    console.warn(
+      `⚠️  ${parentResult.filename} is shared in the store with different references; keeping the stored file`
+    );
+  }
+
+  /**
+   * Undo the commits of interrupted splits and remove their leftover files
+   * @returns {Promise<void>}
+   */
+  async sweepStaleTransactions() {
+    for (const dir of [this.outputDir, this.storeDir].filter(Boolean)) {
+      const { swept, rolledBack } = await WriteTransaction.sweep(dir);
+      if (rolledBack.length > 0) {
+        console.log(`↩️  Rolled back an interrupted split in ${dir}`);
+      }
+      if (swept.length > 0) {
+        console.log(
+          `🧹 Cleaned up ${swept.length} files of an interrupted split in ${dir}`
+        );
+      }
+    }
+  }
+
   /**
    * Clean output directory (remove all files)
+   * @param {WriteTransaction} [transaction] - Stage the removals in this
+   *   transaction instead of removing the files right away
    * @returns {Promise<void>}
    */
-  async cleanOutputDirectory() {
+  async cleanOutputDirectory(transaction = null) {
     try {
       const files = await fs.readdir(this.outputDir);
 
@@ -253,8 +974,12 @@ export class FileWriter {
         const filePath = path.join(this.outputDir, file);
         const stats = await fs.stat(filePath);
 
-        if (stats.isFile()) {
-          await fs.unlink(filePath);
+        if (stats.isFile() && !WriteTransaction.isTransactionFile(file)) {
+          if (transaction) {
+            await transaction.remove(filePath);
+          } else {
+            await fs.unlink(filePath);
+          }
           console.log(`Removed: ${file}`);
         }
       }
@@ -311,6 +1036,6 @@ export class FileWriter {
    */
   isValidHashFilename(filename) {
     const baseName = path.basename(filename, this.fileExtension);
-    return this.hashGenerator.isValidHash(baseName);
+    return this.idStrategy.isValidId(baseName);
   }
 }
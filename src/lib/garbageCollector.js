@@ -0,0 +1,297 @@
+import fs from "fs/promises";
+import path from "path";
+import { DocumentReconstructor } from "./documentReconstructor.js";
+import { SplitManifest } from "./splitManifest.js";
+import { WriteTransaction } from "./writeTransaction.js";
+
+/**
+ * Garbage collection of orphaned section files
+ * Walks every main file (and every split manifest) in an output directory,
+ * follows references recursively, and finds section files that nothing
+ * reaches any more. Files named like a section ID are section files unless a
+ * manifest lists them as its main file; only section files are ever
+ * collected. Section files whose first line is not their own `---: ID`
+ * divider are reported as corrupt, and only kept while something references
+ * them.
+ */
+export class GarbageCollector {
+  constructor(options = {}) {
+    this.outputDir = options.outputDir || "_out";
+    this.fileExtension = options.fileExtension || ".md";
+    this.gracePeriodMs = options.gracePeriodMs ?? 60 * 60 * 1000; // 1 hour default
+    this.timestampFormat = options.timestampFormat;
+    // Without a given strategy, the one recorded in the manifests is used
+    this.idStrategyGiven = !!options.idStrategy;
+    this.useIdStrategy(options.idStrategy);
+  }
+
+  /**
+   * Recognise section files and references by an ID strategy
+   * @param {string|IdStrategy} [idStrategy] - Strategy name or instance
+   */
+  useIdStrategy(idStrategy) {
+    this.reconstructor = new DocumentReconstructor({
+      inputDir: this.outputDir,
+      fileExtension: this.fileExtension,
+      idStrategy,
+      timestampFormat: this.timestampFormat,
+    });
+    this.idStrategy = this.reconstructor.idStrategy;
+  }
+
+  /**
+   * Switch to the ID strategy the splits in the directory recorded, unless a
+   * strategy was given
+   * @returns {Promise<void>}
+   */
+  async useRecordedIdStrategy() {
+    if (this.idStrategyGiven) {
+      return;
+    }
+
+    const recorded = await SplitManifest.findIdStrategy(this.outputDir);
+    if (recorded && recorded !== this.idStrategy.name) {
+      this.useIdStrategy(recorded);
+    }
+  }
+
+  /**
+   * Find unreferenced section files and remove them unless this is a dry run
+   * @param {Object} options - Collection options
+   * @param {boolean} [options.dryRun] - Only report what would be removed
+   * @param {Date} [options.now] - Reference time for the grace period
+   * @returns {Promise<Object>} { roots, reachable, missing, corrupt,
+   *   removed, retained }
+   */
+  async collect(options = {}) {
+    const now = options.now || new Date();
+    const scan = await this.scan();
+
+    const removed = [];
+    const retained = []; // Unreferenced but still inside the grace period
+
+    for (const file of scan.unreferenced) {
+      if (now.getTime() - file.mtime.getTime() < this.gracePeriodMs) {
+        retained.push(file);
+        continue;
+      }
+
+      if (!options.dryRun) {
+        try {
+          await fs.unlink(file.filePath);
+        } catch (error) {
+          if (error.code !== "ENOENT") {
+            throw new Error(
+              `Failed to remove ${file.filename}: ${error.message}`
+            );
+          }
+        }
+      }
+      removed.push(file);
+    }
+
+    return {
+      roots: scan.roots,
+      reachable: scan.reachable,
+      missing: scan.missing,
+      corrupt: scan.corrupt,
+      removed,
+      retained,
+    };
+  }
+
+  /**
+   * Compute reachable hashes and list unreferenced section files
+   * @returns {Promise<Object>} { roots, reachable, missing, corrupt (section
+   *   files without their own divider), unreferenced }
+   */
+  async scan() {
+    let entries;
+    try {
+      entries = await fs.readdir(this.outputDir);
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        throw new Error(`Output directory not found: ${this.outputDir}`);
+      }
+      throw new Error(
+        `Failed to read output directory ${this.outputDir}: ${error.message}`
+      );
+    }
+    await this.useRecordedIdStrategy();
+
+    const roots = [];
+    const documents = [];
+    const sectionFiles = [];
+    const reachable = new Set();
+    const missing = new Set();
+    const mainFiles = new Set(); // Main files named in a manifest
+
+    const files = [];
+    for (const filename of entries.sort()) {
+      const filePath = path.join(this.outputDir, filename);
+      const stats = await fs.stat(filePath);
+      // Files of a split in progress (or an interrupted one) are not sections
+      if (!stats.isFile() || WriteTransaction.isTransactionFile(filename)) {
+        continue;
+      }
+
+      if (SplitManifest.isManifestPath(filename)) {
+        roots.push(filename);
+        const main = await this.markManifest(filePath, reachable, missing);
+        main.forEach((name) => mainFiles.add(name));
+      } else if (filename.endsWith(this.fileExtension)) {
+        files.push({ filename, filePath, stats });
+      }
+    }
+
+    for (const { filename, filePath, stats } of files) {
+      const content = await fs.readFile(filePath, "utf-8");
+      const hash = mainFiles.has(filename)
+        ? null
+        : this.getSectionHash(filename);
+
+      if (hash) {
+        sectionFiles.push({
+          filename,
+          filePath,
+          hash,
+          size: stats.size,
+          mtime: stats.mtime,
+          corrupt: !this.hasOwnDivider(hash, content),
+        });
+      } else {
+        roots.push(filename);
+        documents.push(content);
+      }
+    }
+
+    for (const content of documents) {
+      const { references } = this.reconstructor.extractReferences(content);
+      await this.markReferences(references, reachable, missing);
+    }
+
+    const describe = ({ corrupt, ...file }) => file;
+    return {
+      roots: roots.sort(),
+      reachable,
+      missing: [...missing],
+      corrupt: sectionFiles.filter((file) => file.corrupt).map(describe),
+      unreferenced: sectionFiles
+        .filter((file) => !reachable.has(file.hash))
+        .map(describe),
+    };
+  }
+
+  /**
+   * Identify a section file by its name
+   * @param {string} filename - File name
+   * @returns {string|null} Section ID, or null for other documents
+   */
+  getSectionHash(filename) {
+    const baseName = path.basename(filename, this.fileExtension);
+    return this.idStrategy.isValidId(baseName)
+      ? this.idStrategy.normalizeId(baseName)
+      : null;
+  }
+
+  /**
+   * Check that a section file starts with its own `---: ID` divider
+   * @param {string} hash - Section ID from the file name
+   * @param {string} content - File content
+   * @returns {boolean} True if the first line is the file's divider
+   */
+  hasOwnDivider(hash, content) {
+    const { header } = this.reconstructor.splitSectionHeader(content);
+    const divider = header ? this.reconstructor.parseReferenceLine(header) : null;
+    return !!divider && divider.hash === hash;
+  }
+
+  /**
+   * Mark every section listed in a manifest, and what it references, as reachable
+   * @param {string} manifestPath - Path to the manifest
+   * @param {Set} reachable - Reachable hashes
+   * @param {Set} missing - Referenced hashes without a file
+   * @returns {Promise<Array<string>>} Names of the manifest's main files
+   */
+  async markManifest(manifestPath, reachable, missing) {
+    let manifest;
+    try {
+      manifest = await SplitManifest.load(manifestPath);
+    } catch (error) {
+      console.warn(`⚠️  Skipping manifest: ${error.message}`);
+      return [];
+    }
+
+    // The main file is a root of its own; only hash-named sections are marked
+    const isSection = (entry) =>
+      path.basename(entry.filename, this.fileExtension) === entry.hash;
+    const references = manifest.sections
+      .filter(isSection)
+      .map((entry) => ({ hash: entry.hash }));
+    await this.markReferences(references, reachable, missing);
+
+    return manifest.sections
+      .filter((entry) => !isSection(entry))
+      .map((entry) => entry.filename);
+  }
+
+  /**
+   * Follow references recursively and record every hash they reach
+   * Already visited hashes are skipped, so reference cycles terminate
+   * @param {Array} references - Reference objects with a hash
+   * @param {Set} reachable - Reachable hashes
+   * @param {Set} missing - Referenced hashes without a file
+   * @returns {Promise<void>}
+   */
+  async markReferences(references, reachable, missing) {
+    const pending = references.map((reference) => reference.hash);
+    const visited = new Set(); // Hashes and prefixes already looked up
+
+    while (pending.length > 0) {
+      const hash = pending.pop();
+      if (visited.has(hash) || reachable.has(hash) || missing.has(hash)) {
+        continue;
+      }
+      visited.add(hash);
+
+      // References may use a short prefix of the hash
+      let resolved;
+      try {
+        resolved = await this.reconstructor.resolveReference(
+          hash,
+          this.outputDir
+        );
+      } catch (error) {
+        // An ambiguous prefix keeps every candidate
+        const { candidates } = (
+          await this.reconstructor.getHashResolver(this.outputDir)
+        ).resolve(hash);
+        pending.push(...candidates);
+        continue;
+      }
+
+      if (resolved && reachable.has(resolved.hash)) {
+        continue;
+      }
+
+      let content;
+      try {
+        content = resolved
+          ? await fs.readFile(resolved.filePath, "utf-8")
+          : null;
+      } catch (error) {
+        content = null;
+      }
+      if (content === null) {
+        missing.add(hash);
+        continue;
+      }
+
+      reachable.add(resolved.hash);
+
+      const { body } = this.reconstructor.splitSectionHeader(content);
+      const { references: nested } = this.reconstructor.extractReferences(body);
+      pending.push(...nested.map((reference) => reference.hash));
+    }
+  }
+}
@@ -1,5 +1,141 @@
 import crypto from 'crypto';
 
+// Section IDs of any built-in ID strategy (hex, base32, ULID, slug, explicit id=)
+export const ANY_ID_PATTERN = '[A-Za-z0-9][A-Za-z0-9_-]*';
+
+// Typographic quotes and spaces folded to ASCII by markdown-canonical hashing
+const QUOTE_REPLACEMENTS = [
+  [/[\u2018\u2019\u201A\u201B\u2032]/g, "'"],
+  [/[\u201C\u201D\u201E\u201F\u2033]/g, '"'],
+  [/[\u00A0\u2007\u202F]/g, ' ']
+];
+
+/**
+ * Collapse whitespace: runs of spaces, tabs and line breaks inside a
+ * paragraph become one space, paragraphs are separated by one blank line
+ * @param {string} content - Content with LF line endings
+ * @returns {string} Content in one line per paragraph
+ */
+function collapseWhitespace(content) {
+  return content
+    .split(/\n[ \t]*\n\s*/)
+    .map(paragraph => paragraph.replace(/\s+/g, ' ').trim())
+    .filter(paragraph => paragraph !== '')
+    .join('\n\n');
+}
+
+/**
+ * Bring markdown into a canonical form: reflowed paragraphs joined into one
+ * line, ATX headings (`# Title`) for setext ones, `-` as bullet marker, no
+ * trailing whitespace or closing `#`s, and one blank line between blocks.
+ * Fenced code blocks are kept as they are apart from trailing whitespace.
+ * @param {string} content - Content with LF line endings
+ * @returns {string} Canonical markdown
+ */
+function canonicalizeMarkdown(content) {
+  const blocks = [];
+  let paragraph = null; // Lines of the paragraph being joined
+  let fence = null; // Opening fence while inside a code block
+  let blankBefore = false;
+
+  const push = (line) => {
+    if (blankBefore && blocks.length > 0) {
+      blocks.push('');
+    }
+    blocks.push(line);
+    blankBefore = false;
+  };
+  const flush = () => {
+    if (paragraph) {
+      push(paragraph.join(' '));
+      paragraph = null;
+    }
+  };
+
+  for (const rawLine of content.split('\n')) {
+    const line = rawLine.replace(/\s+$/, '');
+
+    if (fence) {
+      blocks.push(line);
+      if (line.trim().startsWith(fence)) {
+        fence = null;
+      }
+      continue;
+    }
+
+    const fenceMatch = line.trim().match(/^(`{3,}|~{3,})/);
+    if (fenceMatch) {
+      flush();
+      fence = fenceMatch[1];
+      push(line.trim());
+      continue;
+    }
+
+    if (line.trim() === '') {
+      flush();
+      blankBefore = true;
+      continue;
+    }
+
+    // Setext underline turns the paragraph above it into a heading
+    if (paragraph && /^ {0,3}(=+|-+)$/.test(line)) {
+      const level = line.trim()[0] === '=' ? 1 : 2;
+      const heading = `${'#'.repeat(level)} ${paragraph.join(' ')}`;
+      paragraph = null;
+      push(heading);
+      continue;
+    }
+
+    const text = line.trim().replace(/[ \t]+/g, ' ');
+    const heading = text.match(/^(#{1,6}) (.*?)(?: #+)?$/);
+    if (heading) {
+      flush();
+      push(`${heading[1]} ${heading[2]}`);
+      continue;
+    }
+
+    // Quotes, tables, rules and HTML keep their own lines
+    if (/^(>|\||<|([-*_] ?){3,}$)/.test(text)) {
+      flush();
+      push(text);
+      continue;
+    }
+
+    const listItem = line.match(/^(\s*)([-*+]|\d+[.)]) (.*)$/);
+    if (listItem) {
+      flush();
+      const marker = /\d/.test(listItem[2]) ? listItem[2] : '-';
+      const indent = ' '.repeat(Math.floor(listItem[1].replace(/\t/g, '    ').length / 2) * 2);
+      paragraph = [`${indent}${marker} ${listItem[3].trim().replace(/[ \t]+/g, ' ')}`];
+      continue;
+    }
+
+    if (paragraph) {
+      paragraph.push(text);
+    } else {
+      paragraph = [text];
+    }
+  }
+  flush();
+
+  return blocks.join('\n');
+}
+
+const NORMALIZATION_PROFILES = {
+  // Line endings and surrounding whitespace only (the original behaviour)
+  strict: content => content,
+  // Reflowed paragraphs, indentation and trailing spaces hash the same
+  'whitespace-insensitive': content => collapseWhitespace(content),
+  // Unicode NFC, straight quotes and canonical markdown layout
+  'markdown-canonical': content =>
+    canonicalizeMarkdown(
+      QUOTE_REPLACEMENTS.reduce(
+        (text, [pattern, replacement]) => text.replace(pattern, replacement),
+        content.normalize('NFC')
+      )
+    )
+};
+
 /**
  * Hash generation utilities for content identification
  */
@@ -8,36 +144,165 @@ export class HashGenerator {
     this.algorithm = options.algorithm || 'sha256';
     this.length = options.length || 8; // Default to 8 characters for readability
     this.encoding = options.encoding || 'hex';
+    // Which differences in content still change the hash
+    this.normalization = options.normalization || 'strict';
+
+    if (!NORMALIZATION_PROFILES[this.normalization]) {
+      throw new Error(
+        `Unknown normalization profile: ${this.normalization} (expected one of ${HashGenerator.normalizationProfiles().join(', ')})`
+      );
+    }
+  }
+
+  /**
+   * Names of the normalization profiles
+   * @returns {Array<string>} Profile names
+   */
+  static normalizationProfiles() {
+    return Object.keys(NORMALIZATION_PROFILES);
+  }
+
+  /**
+   * Hash options to record with generated files
+   * @returns {Object} { algorithm, length, encoding, normalization }
+   */
+  getOptions() {
+    return {
+      algorithm: this.algorithm,
+      length: this.length,
+      encoding: this.encoding,
+      normalization: this.normalization
+    };
   }
 
   /**
    * Generate a hash for the given content
    * @param {string} content - Content to hash
+   * @param {number} [length] - Characters to keep (default: configured length);
+   *   longer hashes are used to tell colliding sections apart
    * @returns {string} Truncated hash string
    */
-  generateHash(content) {
+  generateHash(content, length = this.length) {
+    // Return truncated hash for readability
+    return this.generateDigest(content).substring(0, length).toUpperCase();
+  }
+
+  /**
+   * Generate the full, untruncated digest of the given content
+   * @param {string} content - Content to hash
+   * @returns {string} Complete digest in the configured encoding
+   */
+  generateDigest(content) {
     if (typeof content !== 'string') {
       throw new Error('Content must be a string');
     }
 
     // Normalize content by trimming whitespace and ensuring consistent line endings
     const normalizedContent = this.normalizeContent(content);
-    
-    const hash = crypto
+
+    return crypto
       .createHash(this.algorithm)
       .update(normalizedContent, 'utf8')
       .digest(this.encoding);
+  }
 
-    // Return truncated hash for readability
-    return hash.substring(0, this.length).toUpperCase();
+  /**
+   * Generate the full digest of the section held by a written section file
+   * The file's own divider line and the reference block the writer appended
+   * are left out, so the result matches generateDigest() of the section's content
+   * @param {string} fileContent - Content of a section file
+   * @param {string} [hash] - Hash the file is named after; the first line is
+   *   only treated as the divider if it carries this hash
+   * @param {string} [idPattern] - Pattern of section IDs in divider and
+   *   reference lines (see IdStrategy; default: IDs of any built-in strategy)
+   * @param {number} [referenceBlockLength] - Length of the reference block
+   *   recorded in the manifest, if the file is listed in one
+   * @returns {string} Complete digest in the configured encoding
+   */
+  generateFileDigest(fileContent, hash = null, idPattern = ANY_ID_PATTERN, referenceBlockLength = null) {
+    return this.generateDigest(
+      this.getFileSectionContent(fileContent, hash, idPattern, referenceBlockLength)
+    );
+  }
+
+  /**
+   * Content of a written section file that goes into its hash
+   * Only the reference block the writer appended is dropped: the recorded
+   * number of characters if a manifest knows it, otherwise the trailing
+   * reference lines, and only if a blank line separates them from the content
+   * (content that merely ends in a `---: word` line is kept)
+   * @param {string} fileContent - Content of a section file
+   * @param {string} [hash] - Hash the file is named after; the first line is
+   *   only treated as the divider if it carries this hash
+   * @param {string} [idPattern] - Pattern of section IDs in divider and
+   *   reference lines (default: IDs of any built-in strategy)
+   * @param {number} [referenceBlockLength] - Length of the reference block
+   *   recorded in the manifest, if the file is listed in one
+   * @returns {string} File content without its divider and reference lines
+   */
+  getFileSectionContent(fileContent, hash = null, idPattern = ANY_ID_PATTERN, referenceBlockLength = null) {
+    const referencePattern = new RegExp(`^---:+\\s+(?:${idPattern})$`, 'i');
+    const isBlockLine = line => line.trim() === '' || referencePattern.test(line.trim());
+
+    // The recorded block is only trusted while it still holds reference lines
+    let text = fileContent;
+    let blockRemoved = false;
+    if (
+      Number.isInteger(referenceBlockLength) &&
+      referenceBlockLength >= 0 &&
+      referenceBlockLength <= fileContent.length
+    ) {
+      const block = fileContent.slice(fileContent.length - referenceBlockLength);
+      if (block.split('\n').every(isBlockLine)) {
+        text = fileContent.slice(0, fileContent.length - referenceBlockLength);
+        blockRemoved = true;
+      }
+    }
+
+    const lines = text.split('\n');
+    const divider = lines[0].match(new RegExp(`^---:+\\s+(${idPattern})(?:\\s|$)`, 'i'));
+    if (divider && (!hash || divider[1].toUpperCase() === hash.toUpperCase())) {
+      lines.shift();
+    }
+    if (blockRemoved) {
+      return lines.join('\n');
+    }
+
+    // Trailing reference lines, after a blank line (or right after the divider)
+    let end = lines.length;
+    while (end > 0 && lines[end - 1].trim() === '') {
+      end--;
+    }
+    let start = end;
+    while (start > 0 && referencePattern.test(lines[start - 1].trim())) {
+      start--;
+    }
+    if (start < end && (start === 0 || lines[start - 1].trim() === '')) {
+      while (start > 0 && lines[start - 1].trim() === '') {
+        start--;
+      }
+      return lines.slice(0, start).join('\n');
+    }
+
+    return lines.join('\n');
   }
 
   /**
    * Generate hash specifically for a document section
    * @param {Object} section - Section object with content and metadata
+   * @param {number} [length] - Characters to keep (default: configured length)
    * @returns {string} Hash for the section
    */
-  generateSectionHash(section) {
+  generateSectionHash(section, length = this.length) {
+    return this.generateHash(this.getSectionContent(section), length);
+  }
+
+  /**
+   * Content of a section that goes into its hash
+   * @param {Object} section - Section object with content and metadata
+   * @returns {string} Section content without its divider line
+   */
+  getSectionContent(section) {
     if (!section || !section.content) {
       throw new Error('Section must have content property');
     }
@@ -59,20 +324,33 @@ export class HashGenerator {
       }
     }
 
-    return this.generateHash(contentToHash);
+    return contentToHash;
+  }
+
+  /**
+   * Create an incremental hasher that produces the same result as
+   * generateHash() without holding the whole content in memory
+   * @returns {IncrementalHash} Hasher fed with successive content chunks
+   */
+  createIncrementalHash() {
+    return new IncrementalHash(this);
   }
 
   /**
    * Normalize content for consistent hashing
+   * Line endings and surrounding whitespace never count; the normalization
+   * profile decides what else is ignored
    * @param {string} content - Raw content
    * @returns {string} Normalized content
    */
   normalizeContent(content) {
-    return content
+    const normalized = content
       .trim()                           // Remove leading/trailing whitespace
       .replace(/\r\n/g, '\n')          // Normalize line endings to LF
       .replace(/\r/g, '\n')            // Convert CR to LF
       .replace(/\n+$/, '\n');          // Ensure single trailing newline
+
+    return NORMALIZATION_PROFILES[this.normalization](normalized);
   }
 
   /**
@@ -85,8 +363,9 @@ export class HashGenerator {
       return false;
     }
 
-    // Check if hash matches expected length and contains only valid hex characters
-    const hexPattern = new RegExp(`^[0-9A-F]{${this.length}}$`, 'i');
+    // Check if hash has at least the expected length (longer if it was
+    // lengthened to resolve a collision) and contains only valid hex characters
+    const hexPattern = new RegExp(`^[0-9A-F]{${this.length},}$`, 'i');
     return hexPattern.test(hash);
   }
 
@@ -117,3 +396,83 @@ export class HashGenerator {
     return hashes;
   }
 }
+
+
+/**
+ * Incremental hash over content fed in chunks (e.g. line by line)
+ * Applies the same normalization as HashGenerator.normalizeContent on the fly:
+ * line endings are converted to LF and leading/trailing whitespace is dropped.
+ * Profiles other than strict look across lines (reflowed paragraphs, code
+ * fences), so their content is buffered and hashed as a whole in digest()
+ */
+export class IncrementalHash {
+  constructor(hashGenerator) {
+    this.hashGenerator = hashGenerator;
+    this.chunks = hashGenerator.normalization === 'strict' ? null : [];
+    this.hash = crypto.createHash(hashGenerator.algorithm);
+    this.started = false; // true once a non-whitespace character was seen
+    this.pendingWhitespace = ''; // whitespace held back until more content arrives
+    this.pendingCR = false; // CR at the end of the previous chunk
+  }
+
+  /**
+   * Feed a chunk of content
+   * @param {string} chunk - Next piece of content
+   * @returns {IncrementalHash} This hasher, for chaining
+   */
+  update(chunk) {
+    if (typeof chunk !== 'string') {
+      throw new Error('Content must be a string');
+    }
+
+    if (this.chunks) {
+      this.chunks.push(chunk);
+      return this;
+    }
+
+    let text = chunk;
+    if (this.pendingCR) {
+      text = '\r' + text;
+      this.pendingCR = false;
+    }
+
+    // A trailing CR may be the first half of a CRLF split across chunks
+    if (text.endsWith('\r')) {
+      this.pendingCR = true;
+      text = text.slice(0, -1);
+    }
+
+    text = text.replace(/\r\n/g, '\n').replace(/\r/g, '\n');
+
+    if (!this.started) {
+      text = text.trimStart();
+      if (text.length === 0) {
+        return this;
+      }
+      this.started = true;
+    }
+
+    const body = text.trimEnd();
+    if (body.length === 0) {
+      this.pendingWhitespace += text;
+      return this;
+    }
+
+    this.hash.update(this.pendingWhitespace + body, 'utf8');
+    this.pendingWhitespace = text.slice(body.length);
+    return this;
+  }
+
+  /**
+   * Finish hashing (trailing whitespace is discarded, as with trim())
+   * @returns {string} Truncated hash string
+   */
+  digest() {
+    if (this.chunks) {
+      return this.hashGenerator.generateHash(this.chunks.join(''));
+    }
+
+    const hash = this.hash.digest(this.hashGenerator.encoding);
+    return hash.substring(0, this.hashGenerator.length).toUpperCase();
+  }
+}
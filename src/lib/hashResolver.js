@@ -0,0 +1,127 @@
+import fs from "fs/promises";
+import path from "path";
+import { HashGenerator } from "./hashGenerator.js";
+
+/**
+ * Git-style resolution of short hashes
+ * Accepts any unique prefix of a known section hash (at least
+ * `minPrefixLength` characters), the full hash, or the section's full content
+ * digest (or a prefix of it longer than the hash). An exact hash always wins,
+ * so a hash that was lengthened after a collision stays reachable by both IDs.
+ */
+export class HashResolver {
+  constructor(options = {}) {
+    this.minPrefixLength = options.minPrefixLength || 4;
+    this.entries = new Map(); // hash -> { hash, digest, ...details }
+  }
+
+  /**
+   * Index every hash-named section file in a directory
+   * @param {string} dir - Directory holding section files
+   * @param {Object} [options] - Options
+   * @param {string} [options.fileExtension] - Section file extension
+   * @param {HashGenerator} [options.hashGenerator] - Generator matching the split
+   * @param {number} [options.minPrefixLength] - Shortest accepted prefix
+   * @returns {Promise<HashResolver>} Resolver over the directory's sections
+   */
+  static async fromDirectory(dir, options = {}) {
+    const fileExtension = options.fileExtension || ".md";
+    const hashGenerator = options.hashGenerator || new HashGenerator();
+    const resolver = new HashResolver(options);
+
+    let files;
+    try {
+      files = await fs.readdir(dir);
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return resolver;
+      }
+      throw new Error(`Failed to read directory ${dir}: ${error.message}`);
+    }
+
+    for (const file of files.sort()) {
+      const hash = path.basename(file, fileExtension);
+      if (!file.endsWith(fileExtension) || !/^[A-F0-9]+$/i.test(hash)) {
+        continue;
+      }
+
+      const filePath = path.join(dir, file);
+      const content = await fs.readFile(filePath, "utf-8");
+      resolver.add(hash, {
+        digest: hashGenerator.generateFileDigest(content, hash, "[A-F0-9]+"),
+        filename: file,
+        filePath,
+      });
+    }
+
+    return resolver;
+  }
+
+  /**
+   * Add a known hash
+   * @param {string} hash - Section hash
+   * @param {Object} [details] - Extra data returned with matches
+   * @param {string} [details.digest] - Full content digest of the section
+   */
+  add(hash, details = {}) {
+    const key = hash.toUpperCase();
+    this.entries.set(key, {
+      ...details,
+      hash: key,
+      digest: details.digest ? details.digest.toUpperCase() : null,
+    });
+  }
+
+  /**
+   * Resolve a hash, hash prefix or digest
+   * @param {string} query - Text to resolve
+   * @returns {Object} One of
+   *   { status: "found", hash, entry, matchedBy: "hash" | "prefix" | "digest" },
+   *   { status: "ambiguous", candidates: [hash] },
+   *   { status: "not_found" } or { status: "invalid", error }
+   */
+  resolve(query) {
+    const text = typeof query === "string" ? query.trim().toUpperCase() : "";
+
+    if (!/^[A-F0-9]+$/.test(text)) {
+      return { status: "invalid", error: `Not a hexadecimal hash: ${query}` };
+    }
+
+    const exact = this.entries.get(text);
+    if (exact) {
+      return { status: "found", hash: exact.hash, entry: exact, matchedBy: "hash" };
+    }
+
+    if (text.length < this.minPrefixLength) {
+      return {
+        status: "invalid",
+        error: `Hash prefix must be at least ${this.minPrefixLength} characters: ${query}`,
+      };
+    }
+
+    const matches = [...this.entries.values()].filter(
+      (entry) =>
+        entry.hash.startsWith(text) ||
+        (entry.digest !== null && entry.digest.startsWith(text))
+    );
+
+    if (matches.length === 0) {
+      return { status: "not_found" };
+    }
+
+    if (matches.length > 1) {
+      return {
+        status: "ambiguous",
+        candidates: matches.map((entry) => entry.hash).sort(),
+      };
+    }
+
+    const [entry] = matches;
+    return {
+      status: "found",
+      hash: entry.hash,
+      entry,
+      matchedBy: entry.hash.startsWith(text) ? "prefix" : "digest",
+    };
+  }
+}
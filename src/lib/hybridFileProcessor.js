@@ -10,7 +10,21 @@ export class HybridFileProcessor {
   constructor(options = {}) {
     this.streamingThreshold = options.streamingThreshold || 10 * 1024 * 1024; // 10MB
     this.memoryProcessor = new FileProcessor();
+    // Sidecar index cache (on unless `indexCache: false`), shared with the
+    // streaming processor; files below the threshold are split in memory
+    // on every call and never cached
     this.streamingProcessor = new StreamingFileProcessor(options);
+    this.indexCache = this.streamingProcessor.indexCache;
+  }
+
+  /**
+   * Get streaming analysis metadata, using the sidecar index cache if enabled
+   * @param {string} filePath - Path to the file
+   * @param {fs.Stats} [stats] - Already known file stats
+   * @returns {Promise<Object>} File metadata from the streaming processor
+   */
+  async getStreamingMetadata(filePath, stats = null) {
+    return await this.streamingProcessor.getMetadata(filePath, stats);
   }
 
   /**
@@ -38,6 +52,33 @@ export class HybridFileProcessor {
     }
   }
 
+  /**
+   * Stream sections one at a time with the optimal strategy
+   * Large files are never held in memory as a whole; small files are split
+   * in memory and their sections yielded from the resulting array
+   * @param {string} filePath - Path to the input file
+   * @returns {AsyncGenerator<Object>} Sections in document order
+   */
+  async *streamSections(filePath) {
+    const stats = await fs.stat(filePath);
+
+    if (stats.size > this.streamingThreshold) {
+      console.log(
+        `📊 Large file detected (${this.formatBytes(
+          stats.size
+        )}), streaming sections directly to the writer`
+      );
+      yield* this.streamingProcessor.streamSections(filePath);
+    } else {
+      console.log(
+        `📊 Small file (${this.formatBytes(
+          stats.size
+        )}), using memory processor`
+      );
+      yield* await this.memoryProcessor.readAndSplit(filePath);
+    }
+  }
+
   /**
    * Get file analysis with optimal strategy
    * @param {string} filePath - Path to the file
@@ -47,7 +88,7 @@ export class HybridFileProcessor {
     const stats = await fs.stat(filePath);
 
     if (stats.size > this.streamingThreshold) {
-      return await this.streamingProcessor.analyzeFile(filePath);
+      return await this.getStreamingMetadata(filePath, stats);
     } else {
       // For small files, we can afford to load into memory for analysis
       const sections = await this.memoryProcessor.readAndSplit(filePath);
@@ -57,13 +98,12 @@ export class HybridFileProcessor {
         sectionCount: sections.length,
         lastModified: stats.mtime,
         processingMethod: "memory",
-        sections: sections.map((content, index) => ({
-          index,
-          content,
-          size: Buffer.byteLength(content, "utf-8"),
-          hash: this.streamingProcessor.hashGenerator.generateSectionHash({
-            content,
-          }),
+        sections: sections.map((section) => ({
+          ...section,
+          size: Buffer.byteLength(section.content, "utf-8"),
+          hash: this.streamingProcessor.hashGenerator.generateSectionHash(
+            section
+          ),
         })),
       };
     }
@@ -78,7 +118,8 @@ export class HybridFileProcessor {
     const stats = await fs.stat(filePath);
 
     if (stats.size > this.streamingThreshold) {
-      return await this.streamingProcessor.getFileStats(filePath);
+      const metadata = await this.getStreamingMetadata(filePath, stats);
+      return this.streamingProcessor.createFileStats(metadata);
     } else {
       const sections = await this.memoryProcessor.readAndSplit(filePath);
       return {
@@ -104,21 +145,19 @@ export class HybridFileProcessor {
     const stats = await fs.stat(filePath);
 
     if (stats.size > this.streamingThreshold) {
-      return await this.streamingProcessor.findSectionByHash(filePath, hash);
+      const metadata = await this.getStreamingMetadata(filePath, stats);
+      return metadata.hashIndex.get(hash) || null;
     } else {
       // For small files, load and search in memory
       const sections = await this.memoryProcessor.readAndSplit(filePath);
-      for (let i = 0; i < sections.length; i++) {
+      for (const section of sections) {
         const sectionHash =
-          this.streamingProcessor.hashGenerator.generateSectionHash({
-            content: sections[i],
-          });
+          this.streamingProcessor.hashGenerator.generateSectionHash(section);
         if (sectionHash === hash) {
           return {
-            index: i,
-            content: sections[i],
+            ...section,
             hash: sectionHash,
-            size: Buffer.byteLength(sections[i], "utf-8"),
+            size: Buffer.byteLength(section.content, "utf-8"),
           };
         }
       }
@@ -136,23 +175,23 @@ export class HybridFileProcessor {
     const stats = await fs.stat(filePath);
 
     if (stats.size > this.streamingThreshold) {
-      const metadata = await this.streamingProcessor.analyzeFile(filePath);
+      const metadata = await this.getStreamingMetadata(filePath, stats);
       if (sectionIndex >= metadata.sections.length) {
         throw new Error(`Section index ${sectionIndex} out of range`);
       }
 
       const section = metadata.sections[sectionIndex];
-      return await this.streamingProcessor.extractSection(
+      return await this.streamingProcessor.extractSectionBytes(
         filePath,
-        section.startLine,
-        section.endLine
+        section.byteOffset,
+        section.byteLength
       );
     } else {
       const sections = await this.memoryProcessor.readAndSplit(filePath);
       if (sectionIndex >= sections.length) {
         throw new Error(`Section index ${sectionIndex} out of range`);
       }
-      return sections[sectionIndex];
+      return sections[sectionIndex].content;
     }
   }
 
@@ -250,6 +289,7 @@ export class HybridFileProcessor {
       streamingThresholdFormatted: this.formatBytes(this.streamingThreshold),
       hasMemoryProcessor: !!this.memoryProcessor,
       hasStreamingProcessor: !!this.streamingProcessor,
+      indexCache: !!this.indexCache,
       chunkSize: this.streamingProcessor.chunkSize,
       maxLineLength: this.streamingProcessor.maxLineLength,
     };
@@ -0,0 +1,389 @@
+import crypto from "crypto";
+import { HashGenerator, ANY_ID_PATTERN } from "./hashGenerator.js";
+import { TimestampUtils } from "./timestampUtils.js";
+
+// RFC 4648 base32 and Crockford's base32 (used by ULIDs)
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+const CROCKFORD_ALPHABET = "0123456789ABCDEFGHJKMNPQRSTVWXYZ";
+
+/**
+ * Encode bytes as base32 without padding
+ * @param {Buffer} bytes - Bytes to encode
+ * @param {string} alphabet - 32-character alphabet
+ * @returns {string} Encoded text
+ */
+function encodeBase32(bytes, alphabet) {
+  let output = "";
+  let buffer = 0;
+  let bits = 0;
+
+  for (const byte of bytes) {
+    buffer = (buffer << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += alphabet[(buffer >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += alphabet[(buffer << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+/**
+ * Section ID strategy
+ * Decides the ID a section file is named after and that divider and
+ * reference lines carry. Content-addressed strategies (sha256, base32) derive
+ * the ID from the section content, so it changes on every edit; the others
+ * (ulid, slug, explicit `id=`) keep a section's ID stable across edits.
+ * Subclasses describe their IDs with `idPattern` (a regular expression source
+ * without capturing groups) and implement generate().
+ */
+export class IdStrategy {
+  constructor(options = {}) {
+    this.hashGenerator =
+      options.hashGenerator || new HashGenerator(options.hashOptions);
+    this.name = "abstract";
+    this.idPattern = "[A-F0-9]+";
+    this.caseInsensitive = true; // IDs are compared in upper case
+    this.contentAddressed = false; // IDs change when the content changes
+    this.resolvesPrefixes = false; // Unique ID prefixes are accepted
+  }
+
+  /**
+   * Create an ID strategy
+   * @param {string|IdStrategy} [strategy] - Strategy name or instance
+   *   (sha256, base32, ulid, slug or explicit; default: sha256)
+   * @param {Object} [options] - Strategy options ({ hashOptions, hashGenerator, ... })
+   * @returns {IdStrategy} Strategy instance
+   */
+  static create(strategy = "sha256", options = {}) {
+    if (strategy instanceof IdStrategy) {
+      return strategy;
+    }
+
+    const Strategy = STRATEGIES[strategy];
+    if (!Strategy) {
+      throw new Error(
+        `Unknown ID strategy: ${strategy} (expected one of ${IdStrategy.names().join(", ")})`
+      );
+    }
+    return new Strategy(options);
+  }
+
+  /**
+   * Names of the built-in strategies
+   * @returns {Array<string>} Strategy names
+   */
+  static names() {
+    return Object.keys(STRATEGIES);
+  }
+
+  /**
+   * Start a new split; IDs handed out so far no longer count as taken
+   * @param {Object} [options] - { reserved: IDs sections must not get }
+   */
+  reset(options = {}) {}
+
+  /**
+   * Generate the ID of a section
+   * @param {Object} section - Section object with content and metadata
+   * @param {Object} [context] - { length, timestamp, previousSections
+   *   (filename -> entry of the previous split's manifest), reproducible
+   *   (the same input must give the same ID) }
+   * @returns {string} Section ID
+   */
+  generate(section, context = {}) {
+    throw new Error(`ID strategy ${this.name} cannot generate IDs`);
+  }
+
+  /**
+   * Title line of a section: its first heading, or its first non-empty line
+   * @param {Object} section - Section object with content
+   * @returns {string|null} Trimmed line, or null for an empty section
+   */
+  getHeading(section) {
+    const lines = this.hashGenerator
+      .getSectionContent(section)
+      .split("\n")
+      .map((line) => line.trim());
+    const heading = lines.find((line) => /^#{1,6}\s+\S/.test(line));
+    return heading || lines.find((line) => line !== "") || null;
+  }
+
+  /**
+   * Bring an ID into the form files are named with
+   * @param {string} id - ID as written in a reference or typed by a user
+   * @returns {string} Normalized ID
+   */
+  normalizeId(id) {
+    return this.caseInsensitive ? id.toUpperCase() : id;
+  }
+
+  /**
+   * Check whether a file name (without extension) is a section ID
+   * @param {string} id - Candidate ID
+   * @returns {boolean} True if the strategy could have produced the ID
+   */
+  isValidId(id) {
+    return (
+      typeof id === "string" &&
+      new RegExp(`^(?:${this.idPattern})$`, this.caseInsensitive ? "i" : "").test(id)
+    );
+  }
+
+  /**
+   * Regular expression for divider and reference lines carrying an ID
+   * ---: ID [timestamp] [key=value ...] (---:: for level 2, ...)
+   * @param {string} [timestampPattern] - Pattern source of divider timestamps
+   *   (see TimestampUtils.getPatternSource; default: HH:MM:SS YYYY/MM/DD)
+   * @returns {RegExp} Pattern capturing colons, ID, timestamp and attributes
+   */
+  createReferencePattern(timestampPattern = new TimestampUtils().getPatternSource()) {
+    return new RegExp(
+      `^---(:+)\\s+(${this.idPattern})(?:\\s+(${timestampPattern}))?(?:\\s+(.*\\S))?$`,
+      this.caseInsensitive ? "i" : ""
+    );
+  }
+
+  /**
+   * Plain description for clients such as the canvas
+   * @returns {Object} { name, idPattern, caseInsensitive, contentAddressed,
+   *   resolvesPrefixes }
+   */
+  describe() {
+    return {
+      name: this.name,
+      idPattern: this.idPattern,
+      caseInsensitive: this.caseInsensitive,
+      contentAddressed: this.contentAddressed,
+      resolvesPrefixes: this.resolvesPrefixes,
+    };
+  }
+}
+
+/**
+ * Truncated SHA-256 (or configured algorithm) in upper-case hex, the default
+ */
+export class HashIdStrategy extends IdStrategy {
+  constructor(options = {}) {
+    super(options);
+    this.name = "sha256";
+    this.idPattern = "[A-F0-9]+";
+    this.contentAddressed = true;
+    this.resolvesPrefixes = true;
+  }
+
+  generate(section, context = {}) {
+    return this.hashGenerator.generateSectionHash(section, context.length);
+  }
+
+  isValidId(id) {
+    // At least the configured length; longer after a collision
+    return this.hashGenerator.isValidHash(id);
+  }
+}
+
+/**
+ * Digest in the base32 alphabet: the same strength in fewer characters
+ */
+export class Base32IdStrategy extends IdStrategy {
+  constructor(options = {}) {
+    super(options);
+    this.name = "base32";
+    this.idPattern = "[A-Z2-7]+";
+    this.contentAddressed = true;
+  }
+
+  generate(section, context = {}) {
+    const content = this.hashGenerator.normalizeContent(
+      this.hashGenerator.getSectionContent(section)
+    );
+    const digest = crypto
+      .createHash(this.hashGenerator.algorithm)
+      .update(content, "utf8")
+      .digest();
+
+    return encodeBase32(digest, BASE32_ALPHABET).substring(
+      0,
+      context.length || this.hashGenerator.length
+    );
+  }
+
+  isValidId(id) {
+    return (
+      super.isValidId(id) && id.length >= this.hashGenerator.length
+    );
+  }
+}
+
+/**
+ * ULID: creation time plus randomness, sortable by time
+ * A section keeps the ULID the previous split gave it: the one in its
+ * divider's `id=` attribute, else the one of a section with the same content,
+ * else the one of a section with the same heading (so edits keep it).
+ * Sections moving around, or new ones inserted, do not take each other's IDs.
+ * Reproducible splits take the random part from the section's position and
+ * content instead of fresh randomness
+ */
+export class UlidIdStrategy extends IdStrategy {
+  constructor(options = {}) {
+    super(options);
+    this.name = "ulid";
+    this.idPattern = "[0-9A-HJKMNP-TV-Z]{26}";
+    this.claimed = new Set(); // Previous IDs already given to a section
+  }
+
+  reset() {
+    this.claimed = new Set();
+  }
+
+  generate(section, context = {}) {
+    const previous = this.findPreviousId(section, context.previousSections);
+    if (previous) {
+      this.claimed.add(previous);
+      return previous;
+    }
+
+    let time = (context.timestamp || new Date()).getTime();
+    let encodedTime = "";
+    for (let i = 0; i < 10; i++) {
+      encodedTime = CROCKFORD_ALPHABET[time % 32] + encodedTime;
+      time = Math.floor(time / 32);
+    }
+
+    const randomness = context.reproducible
+      ? crypto
+          .createHash("sha256")
+          .update(`${section.index}\n${section.content}`, "utf8")
+          .digest()
+          .subarray(0, 10)
+      : crypto.randomBytes(10);
+    return encodedTime + encodeBase32(randomness, CROCKFORD_ALPHABET);
+  }
+
+  /**
+   * ULID an earlier split gave to the same section
+   * @param {Object} section - Section object with content and attributes
+   * @param {Map} [previousSections] - filename -> previous manifest entry
+   * @returns {string|null} Unclaimed previous ULID, or null
+   */
+  findPreviousId(section, previousSections) {
+    const id = section.attributes?.id;
+    if (id && this.isValidId(String(id))) {
+      return this.normalizeId(String(id));
+    }
+    if (!previousSections) {
+      return null;
+    }
+
+    const candidates = [...previousSections.values()].filter(
+      (entry) => this.isValidId(entry.hash) && !this.claimed.has(entry.hash)
+    );
+    const digest = this.hashGenerator.generateDigest(
+      this.hashGenerator.getSectionContent(section)
+    );
+    const heading = this.getHeading(section);
+
+    const match =
+      candidates.find((entry) => entry.digest === digest) ||
+      (heading && candidates.find((entry) => entry.heading === heading));
+    return match ? match.hash : null;
+  }
+}
+
+/**
+ * Slug of the section's first heading (or first line), e.g. `getting-started`
+ * Repeated slugs within a split get a `-2`, `-3`, ... suffix
+ */
+export class SlugIdStrategy extends IdStrategy {
+  constructor(options = {}) {
+    super(options);
+    this.name = "slug";
+    this.idPattern = "[a-z0-9]+(?:-[a-z0-9]+)*";
+    this.caseInsensitive = false;
+    this.maxLength = options.maxLength || 48;
+    this.used = new Set();
+  }
+
+  reset(options = {}) {
+    this.used = new Set(options.reserved || []);
+  }
+
+  generate(section) {
+    const title = this.getHeading(section) || "";
+
+    const base =
+      this.slugify(title.replace(/^#{1,6}\s+/, "").replace(/\s+#+$/, "")) ||
+      "section";
+
+    let slug = base;
+    for (let n = 2; this.used.has(slug); n++) {
+      slug = `${base}-${n}`;
+    }
+    this.used.add(slug);
+    return slug;
+  }
+
+  /**
+   * Turn text into a slug
+   * @param {string} text - Heading text
+   * @returns {string} Lower-case words joined by "-" (may be empty)
+   */
+  slugify(text) {
+    return text
+      .normalize("NFKD")
+      .replace(/[\u0300-\u036f]/g, "") // Drop accents
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "-")
+      .slice(0, this.maxLength)
+      .replace(/^-+|-+$/g, "");
+  }
+}
+
+/**
+ * The `id=` attribute of a section's divider, e.g. `---: id=intro`
+ * Sections without one fall back to another strategy (sha256 by default)
+ */
+export class ExplicitIdStrategy extends IdStrategy {
+  constructor(options = {}) {
+    super(options);
+    this.name = "explicit";
+    this.idPattern = ANY_ID_PATTERN;
+    this.caseInsensitive = false;
+    this.fallback = options.fallback || new HashIdStrategy(options);
+    this.used = new Set();
+  }
+
+  reset(options = {}) {
+    this.used = new Set(options.reserved || []);
+    this.fallback.reset(options);
+  }
+
+  generate(section, context = {}) {
+    const id = section.attributes?.id;
+    if (id === undefined || id === null || id === "") {
+      return this.fallback.generate(section, context);
+    }
+
+    if (!this.isValidId(String(id))) {
+      throw new Error(`Invalid section id "${id}" in section ${section.index}`);
+    }
+    if (this.used.has(id)) {
+      throw new Error(`Duplicate section id "${id}" in section ${section.index}`);
+    }
+
+    this.used.add(id);
+    return id;
+  }
+}
+
+const STRATEGIES = {
+  sha256: HashIdStrategy,
+  base32: Base32IdStrategy,
+  ulid: UlidIdStrategy,
+  slug: SlugIdStrategy,
+  explicit: ExplicitIdStrategy,
+};
@@ -0,0 +1,233 @@
+import fs from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+
+// Bump whenever the shape or meaning of cached section metadata changes
+const INDEX_VERSION = 5;
+
+/**
+ * Persistent sidecar cache for streaming file analysis
+ * Stores section boundaries, hashes and byte offsets next to the source file
+ * (e.g. `.document.md.msindex.json`) so repeated queries skip the reparse
+ */
+export class IndexCache {
+  constructor(options = {}) {
+    this.suffix = options.suffix || ".msindex.json";
+    this.fingerprintSize = options.fingerprintSize || 64 * 1024; // 64KB head + tail
+    // Files whose metadata is also kept in memory; the least recently used
+    // one is dropped first (its sidecar stays on disk)
+    this.maxEntries = options.maxEntries || 100;
+    this.entries = new Map(); // filePath -> { key, metadata }, oldest first
+  }
+
+  /**
+   * Get the sidecar index path for a source file
+   * @param {string} filePath - Path to the source file
+   * @returns {string} Path to the sidecar index file
+   */
+  getIndexPath(filePath) {
+    return path.join(
+      path.dirname(filePath),
+      `.${path.basename(filePath)}${this.suffix}`
+    );
+  }
+
+  /**
+   * Build the cache key that identifies one version of a source file
+   * @param {string} filePath - Path to the source file
+   * @param {fs.Stats} stats - File stats
+   * @param {Object} settings - Analysis settings that affect the index
+   * @returns {Promise<Object>} Cache key
+   */
+  async createKey(filePath, stats, settings = {}) {
+    return {
+      version: INDEX_VERSION,
+      size: stats.size,
+      mtimeMs: stats.mtimeMs,
+      fingerprint: await this.fingerprint(filePath, stats.size),
+      settings,
+    };
+  }
+
+  /**
+   * Fingerprint file content from its first and last bytes
+   * Catches edits that keep size and mtime without reading the whole file
+   * @param {string} filePath - Path to the source file
+   * @param {number} size - File size in bytes
+   * @returns {Promise<string>} Hex digest
+   */
+  async fingerprint(filePath, size) {
+    const hash = crypto.createHash("sha256");
+    const handle = await fs.open(filePath, "r");
+
+    try {
+      const headLength = Math.min(size, this.fingerprintSize);
+      const tailLength = Math.min(size - headLength, this.fingerprintSize);
+
+      const head = Buffer.alloc(headLength);
+      await handle.read(head, 0, headLength, 0);
+      hash.update(head);
+
+      if (tailLength > 0) {
+        const tail = Buffer.alloc(tailLength);
+        await handle.read(tail, 0, tailLength, size - tailLength);
+        hash.update(tail);
+      }
+    } finally {
+      await handle.close();
+    }
+
+    return hash.digest("hex");
+  }
+
+  /**
+   * Return cached metadata for a file, analyzing and storing it on a miss
+   * @param {string} filePath - Path to the source file
+   * @param {Function} analyze - Async function producing fresh metadata
+   * @param {Object} options - Lookup options
+   * @param {Object} [options.settings] - Analysis settings that affect the index
+   * @param {fs.Stats} [options.stats] - Already known file stats
+   * @returns {Promise<Object>} File metadata
+   */
+  async getOrCreate(filePath, analyze, options = {}) {
+    const stats = options.stats || (await fs.stat(filePath));
+    const key = await this.createKey(filePath, stats, options.settings);
+
+    const cached = await this.load(filePath, key, stats);
+    if (cached) {
+      return cached;
+    }
+
+    const metadata = await analyze();
+    await this.save(filePath, key, metadata);
+    return metadata;
+  }
+
+  /**
+   * Load metadata from memory or from the sidecar file if the key still matches
+   * @param {string} filePath - Path to the source file
+   * @param {Object} key - Current cache key
+   * @param {fs.Stats} stats - Current file stats
+   * @returns {Promise<Object|null>} Metadata or null if missing or stale
+   */
+  async load(filePath, key, stats) {
+    const entry = this.entries.get(filePath);
+    if (entry && this.keysMatch(entry.key, key)) {
+      this.remember(filePath, entry);
+      return entry.metadata;
+    }
+
+    try {
+      const raw = await fs.readFile(this.getIndexPath(filePath), "utf-8");
+      const stored = JSON.parse(raw);
+
+      if (!this.keysMatch(stored.key, key)) {
+        return null;
+      }
+
+      const metadata = this.deserialize(filePath, stored, stats);
+      this.remember(filePath, { key, metadata });
+      return metadata;
+    } catch (error) {
+      // Missing or unreadable sidecar simply means a cache miss
+      return null;
+    }
+  }
+
+  /**
+   * Persist metadata to the sidecar file
+   * @param {string} filePath - Path to the source file
+   * @param {Object} key - Cache key for this version of the file
+   * @param {Object} metadata - Metadata from StreamingFileProcessor.analyzeFile
+   * @returns {Promise<void>}
+   */
+  async save(filePath, key, metadata) {
+    this.remember(filePath, { key, metadata });
+
+    const stored = {
+      key,
+      totalLines: metadata.totalLines,
+      dividerLines: metadata.dividerLines,
+      encoding: metadata.encoding,
+      sections: metadata.sections,
+    };
+
+    try {
+      await fs.writeFile(
+        this.getIndexPath(filePath),
+        JSON.stringify(stored),
+        "utf-8"
+      );
+    } catch (error) {
+      console.warn(
+        `⚠️  Could not write index cache for ${filePath}: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * Keep metadata in memory as the most recently used entry
+   * Evicts the least recently used entries beyond maxEntries
+   * @param {string} filePath - Path to the source file
+   * @param {Object} entry - { key, metadata }
+   */
+  remember(filePath, entry) {
+    this.entries.delete(filePath);
+    this.entries.set(filePath, entry);
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  /**
+   * Remove cached metadata for a file
+   * @param {string} filePath - Path to the source file
+   * @returns {Promise<void>}
+   */
+  async invalidate(filePath) {
+    this.entries.delete(filePath);
+
+    try {
+      await fs.unlink(this.getIndexPath(filePath));
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        throw new Error(
+          `Failed to remove index cache for ${filePath}: ${error.message}`
+        );
+      }
+    }
+  }
+
+  /**
+   * Rebuild analyzeFile-shaped metadata from a stored index
+   * @param {string} filePath - Path to the source file
+   * @param {Object} stored - Parsed sidecar content
+   * @param {fs.Stats} stats - Current file stats
+   * @returns {Object} File metadata
+   */
+  deserialize(filePath, stored, stats) {
+    return {
+      filePath,
+      totalLines: stored.totalLines,
+      totalSize: stats.size,
+      sections: stored.sections,
+      hashIndex: new Map(
+        stored.sections.map((section) => [section.hash, { ...section }])
+      ),
+      dividerLines: stored.dividerLines,
+      encoding: stored.encoding,
+      lastModified: stats.mtime,
+    };
+  }
+
+  /**
+   * Compare two cache keys
+   * @param {Object} a - First key
+   * @param {Object} b - Second key
+   * @returns {boolean} True if both describe the same file version and settings
+   */
+  keysMatch(a, b) {
+    return !!a && !!b && JSON.stringify(a) === JSON.stringify(b);
+  }
+}
@@ -0,0 +1,274 @@
+import fs from "fs/promises";
+import path from "path";
+import { HashGenerator } from "./hashGenerator.js";
+import { DocumentReconstructor } from "./documentReconstructor.js";
+import { SplitManifest } from "./splitManifest.js";
+import { WriteTransaction } from "./writeTransaction.js";
+import { GarbageCollector } from "./garbageCollector.js";
+import { IdStrategy } from "./idStrategy.js";
+
+/**
+ * Verification of written section files against their hashes
+ * Recomputes the full digest of every file listed in a split manifest and
+ * compares it with the digest recorded there, then checks every other
+ * hash-named file in the output directory against the hash in its name
+ * (content-addressed ID strategies only; stable IDs say nothing about content).
+ * A file whose content no longer produces its hash has drifted (edited by
+ * hand or corrupted). References are followed as for garbage collection, so
+ * referenced files that do not exist and section files nothing references are
+ * reported too.
+ */
+export class OutputVerifier {
+  constructor(options = {}) {
+    this.outputDir = options.outputDir || "_out";
+    this.fileExtension = options.fileExtension || ".md";
+    this.hashOptions = options.hashOptions || {};
+    this.hashGenerator = new HashGenerator(this.hashOptions);
+    this.timestampFormat = options.timestampFormat;
+    // Without a given strategy, the one recorded in the manifests is used
+    this.idStrategyGiven = !!options.idStrategy;
+    this.useIdStrategy(options.idStrategy);
+  }
+
+  /**
+   * Recognise section files and references by an ID strategy
+   * @param {string|IdStrategy} [idStrategy] - Strategy name or instance
+   */
+  useIdStrategy(idStrategy) {
+    this.idStrategy = IdStrategy.create(idStrategy, {
+      hashGenerator: this.hashGenerator,
+    });
+    this.reconstructor = new DocumentReconstructor({
+      inputDir: this.outputDir,
+      fileExtension: this.fileExtension,
+      idStrategy: this.idStrategy,
+      timestampFormat: this.timestampFormat,
+    });
+    this.collector = new GarbageCollector({
+      outputDir: this.outputDir,
+      fileExtension: this.fileExtension,
+      idStrategy: this.idStrategy,
+      timestampFormat: this.timestampFormat,
+    });
+  }
+
+  /**
+   * Switch to the ID strategy the splits in the output directory recorded,
+   * unless a strategy was given
+   * @returns {Promise<void>}
+   */
+  async useRecordedIdStrategy() {
+    if (this.idStrategyGiven) {
+      return;
+    }
+
+    const recorded = await SplitManifest.findIdStrategy(this.outputDir);
+    if (recorded && recorded !== this.idStrategy.name) {
+      this.useIdStrategy(recorded);
+    }
+  }
+
+  /**
+   * Verify all section files in the output directory
+   * @returns {Promise<Object>} { verified, mismatched, missing, unreferenced },
+   *   each a list of { filename, filePath, hash, expected, actual } (manifest
+   *   checks also carry the manifest filename)
+   */
+  async verify() {
+    let entries;
+    try {
+      entries = await fs.readdir(this.outputDir);
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        throw new Error(`Output directory not found: ${this.outputDir}`);
+      }
+      throw new Error(
+        `Failed to read output directory ${this.outputDir}: ${error.message}`
+      );
+    }
+
+    const report = {
+      verified: [],
+      mismatched: [],
+      missing: [],
+      unreferenced: [],
+    };
+    const checked = new Set(); // File paths already verified through a manifest
+    await this.useRecordedIdStrategy();
+    await this.useRecordedNormalization();
+
+    for (const filename of entries.sort()) {
+      if (SplitManifest.isManifestPath(filename)) {
+        await this.verifyManifest(
+          path.join(this.outputDir, filename),
+          report,
+          checked
+        );
+      }
+    }
+
+    // Files nothing reaches were never part of a split: they are reported as
+    // unreferenced rather than checked against their names
+    const scan = await this.collector.scan();
+    const unreferenced = new Set(scan.unreferenced.map((file) => file.filename));
+
+    for (const filename of entries.sort()) {
+      const filePath = path.join(this.outputDir, filename);
+      const hash = path.basename(filename, this.fileExtension);
+
+      if (
+        !this.idStrategy.contentAddressed ||
+        !filename.endsWith(this.fileExtension) ||
+        WriteTransaction.isTransactionFile(filename) ||
+        !this.idStrategy.isValidId(hash) ||
+        checked.has(filePath) ||
+        unreferenced.has(filename)
+      ) {
+        continue;
+      }
+
+      const content = await fs.readFile(filePath, "utf-8");
+      const sectionContent = this.hashGenerator.getFileSectionContent(
+        content,
+        hash,
+        this.idStrategy.idPattern
+      );
+      const actual = this.hashGenerator.generateDigest(sectionContent);
+      const file = { filename, filePath, hash, expected: hash, actual };
+
+      // Recompute the ID at the length of the name (longer after a collision);
+      // whitespace is trimmed before hashing, so "\n" stands in for an empty body
+      const id = this.idStrategy.generate(
+        { content: sectionContent || "\n" },
+        { length: hash.length }
+      );
+      if (id === this.idStrategy.normalizeId(hash)) {
+        report.verified.push(file);
+      } else {
+        report.mismatched.push(file);
+      }
+    }
+
+    this.addReferenceResults(report, scan);
+    return report;
+  }
+
+  /**
+   * Hash files outside a manifest with the normalization profile the splits
+   * in the output directory recorded, unless a profile was given explicitly
+   * @returns {Promise<void>}
+   */
+  async useRecordedNormalization() {
+    if (this.hashOptions.normalization) {
+      return;
+    }
+
+    const normalization = await SplitManifest.findNormalization(this.outputDir);
+    if (normalization && normalization !== this.hashGenerator.normalization) {
+      this.hashGenerator = new HashGenerator({ ...this.hashOptions, normalization });
+      this.idStrategy = IdStrategy.create(this.idStrategy.name, {
+        hashGenerator: this.hashGenerator,
+      });
+    }
+  }
+
+  /**
+   * Add referenced files that do not exist and section files nothing references
+   * @param {Object} report - Report to add results to
+   * @param {Object} scan - Reachability scan of the output directory
+   *   (see GarbageCollector.scan)
+   */
+  addReferenceResults(report, scan) {
+    // Sections already checked through a manifest (possibly in a shared store)
+    const known = new Set(
+      [...report.verified, ...report.mismatched, ...report.missing].map(
+        (file) => file.hash
+      )
+    );
+
+    for (const hash of scan.missing) {
+      if (known.has(hash)) {
+        continue;
+      }
+      const filename = `${hash}${this.fileExtension}`;
+      report.missing.push({
+        filename,
+        filePath: path.join(this.outputDir, filename),
+        hash,
+        expected: null,
+        actual: null,
+      });
+    }
+
+    for (const file of scan.unreferenced) {
+      report.unreferenced.push({
+        filename: file.filename,
+        filePath: file.filePath,
+        hash: file.hash,
+      });
+    }
+  }
+
+  /**
+   * Verify the files listed in a split manifest against their recorded digests
+   * Entries written before digests were recorded are checked by name only
+   * @param {string} manifestPath - Path to the manifest
+   * @param {Object} report - Report to add results to
+   * @param {Set<string>} checked - File paths verified so far
+   * @returns {Promise<void>}
+   */
+  async verifyManifest(manifestPath, report, checked) {
+    const manifest = await SplitManifest.load(manifestPath);
+    // Files must be hashed the way the split hashed them
+    const hashGenerator = manifest.options?.hash
+      ? new HashGenerator(manifest.options.hash)
+      : this.hashGenerator;
+    const idStrategy = manifest.options?.idStrategy
+      ? IdStrategy.create(manifest.options.idStrategy)
+      : this.idStrategy;
+
+    for (const entry of manifest.sections) {
+      if (!entry.digest) {
+        continue;
+      }
+
+      const filePath = this.reconstructor.getManifestEntryPath(
+        manifestPath,
+        manifest,
+        entry
+      );
+      const file = {
+        filename: entry.filename,
+        filePath,
+        hash: entry.hash,
+        expected: entry.digest,
+        manifest: path.basename(manifestPath),
+      };
+
+      let content;
+      try {
+        content = await fs.readFile(filePath, "utf-8");
+      } catch (error) {
+        if (error.code !== "ENOENT") {
+          throw new Error(`Failed to read ${filePath}: ${error.message}`);
+        }
+        report.missing.push({ ...file, actual: null });
+        continue;
+      }
+
+      checked.add(filePath);
+      file.actual = hashGenerator.generateFileDigest(
+        content,
+        entry.hash,
+        idStrategy.idPattern,
+        entry.referenceBlockLength
+      );
+
+      if (file.actual === entry.digest) {
+        report.verified.push(file);
+      } else {
+        report.mismatched.push(file);
+      }
+    }
+  }
+}
@@ -0,0 +1,233 @@
+import { CodeBlockTracker } from "./codeBlockTracker.js";
+import { DividerAttributes } from "./dividerAttributes.js";
+
+/**
+ * Incremental section builder shared by the in-memory and streaming processors
+ * Lines are fed one at a time and completed sections are returned as soon as
+ * the next divider (or the end of input) closes them, so both processors emit
+ * exactly the same section contract:
+ * { index, content, hasDivider, originalDividerLine, attributes, level,
+ *   parentIndex, lineStart, lineEnd }
+ * Dividers inside fenced or indented code blocks are kept as literal text.
+ * A divider may carry key=value attributes (`---: title="Intro" id=intro`),
+ * which become the section's `attributes`.
+ * The number of colons sets the section level: `---:` starts a chapter (level 1),
+ * `---::` a subsection of the closest preceding chapter (level 2), and so on.
+ * Content before the first divider is the root section (level 0).
+ */
+export class SectionBuilder {
+  constructor(options = {}) {
+    this.dividerPattern = options.dividerPattern || /^---(:+)(?:\s+(.*?))?\s*$/;
+    this.hashGenerator = options.hashGenerator || null; // Enables incremental hashing
+    this.collectContent = options.collectContent !== false;
+    this.codeBlocks = new CodeBlockTracker();
+    this.attributeParser = new DividerAttributes();
+
+    this.lineNumber = 0;
+    this.sectionIndex = 0;
+    this.dividerLines = [];
+    this.current = null;
+    this.openLevels = []; // Stack of { level, index } for possible parents
+  }
+
+  /**
+   * Feed the next line of the document
+   * @param {string} line - Line text without the LF terminator
+   * @param {Object} [position] - Byte position of the line
+   * @param {number} position.byteOffset - Offset of the line's first byte
+   * @param {number} position.byteLength - Byte length of the line text
+   * @returns {Object|null} The section closed by this line, if any
+   */
+  addLine(line, position = null) {
+    this.lineNumber++;
+
+    const isCode = this.codeBlocks.isCode(line);
+    const divider = isCode ? null : this.parseDivider(line);
+    if (divider) {
+      const completed = this.closeSection();
+      this.dividerLines.push(this.lineNumber);
+      this.openSection(line, position, divider);
+      return completed;
+    }
+
+    if (!this.current) {
+      this.openSection(null, position);
+    }
+    this.appendLine(line, position);
+
+    return null;
+  }
+
+  /**
+   * Close the last section once all lines have been fed
+   * @returns {Object|null} Final section, if any
+   */
+  finish() {
+    return this.closeSection();
+  }
+
+  /**
+   * Parse a line as a section divider
+   * Text after the colon must be a valid attribute list; anything else
+   * (e.g. `---: some prose`) keeps the line as plain text
+   * @param {string} line - Line text
+   * @returns {Object|null} { level, attributes } if the line starts a new section
+   */
+  parseDivider(line) {
+    const match = line.match(this.dividerPattern);
+    if (!match) {
+      return null;
+    }
+
+    const [, colons, attributeText] = match;
+    const level = colons.length;
+
+    if (!attributeText) {
+      return { level, attributes: {} };
+    }
+
+    const attributes = this.attributeParser.parse(attributeText);
+    return attributes ? { level, attributes } : null;
+  }
+
+  /**
+   * Fill in each section's `children` (indices of its direct subsections)
+   * Only possible once all sections are known, so streamed sections carry
+   * `parentIndex` alone
+   * @param {Array} sections - Sections in document order
+   * @returns {Array} The same sections
+   */
+  attachChildren(sections) {
+    const byIndex = new Map();
+    for (const section of sections) {
+      section.children = [];
+      byIndex.set(section.index, section);
+    }
+
+    for (const section of sections) {
+      const parent = byIndex.get(section.parentIndex);
+      if (parent) {
+        parent.children.push(section.index);
+      }
+    }
+
+    return sections;
+  }
+
+  /**
+   * Start a new section
+   * @param {string|null} dividerLine - Divider line opening the section
+   * @param {Object|null} position - Byte position of the first line
+   * @param {Object} [divider] - Parsed divider ({ level, attributes })
+   */
+  openSection(dividerLine, position, divider = null) {
+    const level = divider ? divider.level : 0;
+
+    // The parent is the closest open section with a lower level
+    while (
+      this.openLevels.length > 0 &&
+      this.openLevels[this.openLevels.length - 1].level >= level
+    ) {
+      this.openLevels.pop();
+    }
+    const parent = this.openLevels[this.openLevels.length - 1];
+    this.openLevels.push({ level, index: this.sectionIndex });
+
+    this.current = {
+      hasDivider: dividerLine !== null,
+      originalDividerLine: dividerLine,
+      attributes: divider ? divider.attributes : {},
+      level,
+      parentIndex: parent ? parent.index : null,
+      lineStart: this.lineNumber,
+      lineCount: 0,
+      hashedLines: 0,
+      lines: this.collectContent ? [] : null,
+      hasher: this.hashGenerator
+        ? this.hashGenerator.createIncrementalHash()
+        : null,
+      byteOffset: position ? position.byteOffset : null,
+      byteLength: 0,
+    };
+
+    if (dividerLine !== null) {
+      this.trackLine(dividerLine, position);
+    }
+  }
+
+  /**
+   * Add a content line to the current section
+   * @param {string} line - Line text
+   * @param {Object|null} position - Byte position of the line
+   */
+  appendLine(line, position) {
+    const section = this.current;
+
+    // The divider line itself is never part of the section hash
+    if (section.hasher) {
+      section.hasher.update(section.hashedLines > 0 ? "\n" + line : line);
+    }
+    section.hashedLines++;
+
+    this.trackLine(line, position);
+  }
+
+  /**
+   * Record a line as part of the current section
+   * @param {string} line - Line text
+   * @param {Object|null} position - Byte position of the line
+   */
+  trackLine(line, position) {
+    const section = this.current;
+    section.lineCount++;
+
+    if (section.lines) {
+      section.lines.push(line);
+    }
+
+    if (position) {
+      // The section ends where its last line's text ends (newline excluded)
+      section.byteLength =
+        position.byteOffset + position.byteLength - section.byteOffset;
+    }
+  }
+
+  /**
+   * Close the current section and build its public representation
+   * @returns {Object|null} Completed section or null if none is open
+   */
+  closeSection() {
+    const section = this.current;
+    this.current = null;
+
+    if (!section) {
+      return null;
+    }
+
+    const completed = {
+      index: this.sectionIndex++,
+      hasDivider: section.hasDivider,
+      originalDividerLine: section.originalDividerLine,
+      attributes: section.attributes,
+      level: section.level,
+      parentIndex: section.parentIndex,
+      lineStart: section.lineStart,
+      lineEnd: section.lineStart + section.lineCount - 1,
+    };
+
+    if (section.lines) {
+      completed.content = section.lines.join("\n");
+    }
+
+    if (section.hasher) {
+      completed.hash = section.hasher.digest();
+    }
+
+    if (section.byteOffset !== null) {
+      completed.byteOffset = section.byteOffset;
+      completed.byteLength = section.byteLength;
+    }
+
+    return completed;
+  }
+}
@@ -0,0 +1,426 @@
+import fs from "fs/promises";
+import path from "path";
+import { HashGenerator } from "./hashGenerator.js";
+import { HashResolver } from "./hashResolver.js";
+import { CodeBlockTracker } from "./codeBlockTracker.js";
+import { DocumentReconstructor } from "./documentReconstructor.js";
+import { SplitManifest } from "./splitManifest.js";
+import { IdStrategy } from "./idStrategy.js";
+
+const MAP_VERSION = 1;
+
+/**
+ * Renaming of edited section files after their content changed
+ * A section file whose content no longer hashes to its name gets the name of
+ * its new hash. Its own divider line, every reference line (in main files and
+ * nested sections) and every manifest entry that pointed to the old hash are
+ * rewritten, and the old → new mapping is appended to `rehash.map.json`.
+ * References written as hash prefixes are resolved before they are updated.
+ * Only content-addressed ID strategies rename anything; stable IDs (ulid,
+ * slug, explicit) keep their names when the content changes.
+ */
+export class SectionRehasher {
+  constructor(options = {}) {
+    this.outputDir = options.outputDir || "_out";
+    this.fileExtension = options.fileExtension || ".md";
+    this.mapFilename = options.mapFilename || "rehash.map.json";
+    this.hashOptions = options.hashOptions || {};
+    this.hashGenerator = new HashGenerator(this.hashOptions);
+    this.timestampFormat = options.timestampFormat;
+    // Without a given strategy, the one recorded in the manifests is used
+    this.idStrategyGiven = !!options.idStrategy;
+    this.useIdStrategy(options.idStrategy);
+    // filename -> reference block length recorded in the manifests
+    this.referenceBlocks = new Map();
+  }
+
+  /**
+   * Recognise and name section files by an ID strategy
+   * @param {string|IdStrategy} [idStrategy] - Strategy name or instance
+   */
+  useIdStrategy(idStrategy) {
+    this.idStrategy = IdStrategy.create(idStrategy, {
+      hashGenerator: this.hashGenerator,
+    });
+    this.reconstructor = new DocumentReconstructor({
+      inputDir: this.outputDir,
+      fileExtension: this.fileExtension,
+      idStrategy: this.idStrategy,
+      timestampFormat: this.timestampFormat,
+    });
+  }
+
+  /**
+   * Switch to the ID strategy the splits in the output directory recorded,
+   * unless a strategy was given
+   * @returns {Promise<void>}
+   */
+  async useRecordedIdStrategy() {
+    if (this.idStrategyGiven) {
+      return;
+    }
+
+    const recorded = await SplitManifest.findIdStrategy(this.outputDir);
+    if (recorded && recorded !== this.idStrategy.name) {
+      this.useIdStrategy(recorded);
+    }
+  }
+
+  /**
+   * Rename every changed section file and update what points to it
+   * @param {Object} options - Rehash options
+   * @param {boolean} [options.dryRun] - Only report what would be renamed
+   * @param {Date} [options.now] - Time recorded for the renames
+   * @returns {Promise<Object>} { renames, updatedFiles, updatedManifests, mapPath }
+   */
+  async rehash(options = {}) {
+    const now = options.now || new Date();
+    const filenames = await this.listFiles();
+    await this.useRecordedIdStrategy();
+    await this.useRecordedNormalization();
+
+    // Resolve references (hash prefixes too) against the names as they were
+    // before renaming
+    const resolver = this.idStrategy.resolvesPrefixes
+      ? await HashResolver.fromDirectory(this.outputDir, {
+          fileExtension: this.fileExtension,
+          hashGenerator: this.hashGenerator,
+        })
+      : null;
+
+    const renames = this.idStrategy.contentAddressed
+      ? await this.findRenames(filenames, now)
+      : [];
+    const result = {
+      renames,
+      updatedFiles: [],
+      updatedManifests: [],
+      mapPath: null,
+    };
+
+    if (renames.length === 0 || options.dryRun) {
+      return result;
+    }
+
+    for (const rename of renames) {
+      const oldPath = path.join(this.outputDir, rename.filename);
+      try {
+        if (rename.merged) {
+          await fs.unlink(oldPath); // The new name already holds this content
+        } else {
+          await fs.rename(oldPath, path.join(this.outputDir, rename.newFilename));
+        }
+      } catch (error) {
+        throw new Error(
+          `Failed to rename ${rename.filename}: ${error.message}`
+        );
+      }
+    }
+
+    const mapping = new Map(renames.map((rename) => [rename.from, rename.to]));
+    result.updatedFiles = await this.updateReferences(mapping, resolver);
+    result.updatedManifests = await this.updateManifests(renames);
+    result.mapPath = await this.recordRenames(renames);
+
+    return result;
+  }
+
+  /**
+   * List the files in the output directory
+   * @returns {Promise<Array<string>>} Sorted file names
+   */
+  async listFiles() {
+    try {
+      return (await fs.readdir(this.outputDir)).sort();
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        throw new Error(`Output directory not found: ${this.outputDir}`);
+      }
+      throw new Error(
+        `Failed to read output directory ${this.outputDir}: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * Hash with the normalization profile the splits in the output directory
+   * recorded, unless a profile was given explicitly
+   * @returns {Promise<void>}
+   */
+  async useRecordedNormalization() {
+    if (this.hashOptions.normalization) {
+      return;
+    }
+
+    const normalization = await SplitManifest.findNormalization(this.outputDir);
+    if (normalization) {
+      this.hashGenerator = new HashGenerator({ ...this.hashOptions, normalization });
+      this.useIdStrategy(this.idStrategy.name);
+    }
+  }
+
+  /**
+   * Find section files whose content no longer matches their hash
+   * @param {Array<string>} filenames - Files in the output directory
+   * @param {Date} now - Time recorded for the renames
+   * @returns {Promise<Array>} { from, to, digest, filename, newFilename,
+   *   merged, renamedAt } for each changed file
+   */
+  async findRenames(filenames, now) {
+    const renames = [];
+    const planned = new Map(); // New hash -> digest, for files not yet renamed
+    this.referenceBlocks = await SplitManifest.findReferenceBlocks(this.outputDir);
+
+    for (const filename of filenames) {
+      const id = path.basename(filename, this.fileExtension);
+      if (!filename.endsWith(this.fileExtension) || !this.idStrategy.isValidId(id)) {
+        continue;
+      }
+      const hash = this.idStrategy.normalizeId(id);
+
+      const content = await fs.readFile(
+        path.join(this.outputDir, filename),
+        "utf-8"
+      );
+      const { header } = this.reconstructor.splitSectionHeader(content);
+      const divider = header ? this.reconstructor.parseReferenceLine(header) : null;
+      if (!divider || divider.hash !== hash) {
+        continue; // Not a section file (main file or unrelated)
+      }
+
+      const sectionContent = this.hashGenerator.getFileSectionContent(
+        content,
+        hash,
+        this.idStrategy.idPattern,
+        this.referenceBlocks.get(filename)
+      );
+      const digest = this.hashGenerator.generateDigest(sectionContent);
+      // Whitespace is trimmed before hashing, so "\n" stands in for an empty body
+      const section = { content: sectionContent || "\n" };
+      if (this.idStrategy.generate(section, { length: hash.length }) === hash) {
+        continue; // Unchanged
+      }
+
+      const { to, merged } = await this.chooseHash(section, digest, planned);
+      planned.set(to, digest);
+      renames.push({
+        from: hash,
+        to,
+        digest,
+        filename,
+        newFilename: `${to}${this.fileExtension}`,
+        merged,
+        renamedAt: now.toISOString(),
+      });
+    }
+
+    return renames;
+  }
+
+  /**
+   * Pick the hash for changed content, lengthening it past other sections
+   * @param {Object} section - Section with the new content
+   * @param {string} digest - Full digest of the new content
+   * @param {Map} planned - New hashes already chosen in this run
+   * @returns {Promise<Object>} { to, merged } (merged if a file with the same
+   *   content already has that name)
+   */
+  async chooseHash(section, digest, planned) {
+    let length = this.hashGenerator.length;
+
+    while (true) {
+      const candidate = this.idStrategy.generate(section, { length });
+      if (candidate.length < length) {
+        break; // The whole digest is in use
+      }
+
+      const existing = planned.has(candidate)
+        ? planned.get(candidate)
+        : await this.readDigest(candidate);
+
+      if (existing === null || existing === digest) {
+        return { to: candidate, merged: existing !== null };
+      }
+
+      console.warn(
+        `⚠️  Hash collision on ${candidate}${this.fileExtension}: lengthening`
+      );
+      length += 2;
+    }
+
+    throw new Error(`Hash collision: ${digest} cannot be disambiguated`);
+  }
+
+  /**
+   * Full digest of an existing section file
+   * @param {string} hash - Hash the file is named after
+   * @returns {Promise<string|null>} Digest, or null if there is no such file
+   */
+  async readDigest(hash) {
+    const filePath = path.join(this.outputDir, `${hash}${this.fileExtension}`);
+    let content;
+    try {
+      content = await fs.readFile(filePath, "utf-8");
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return null;
+      }
+      throw new Error(`Failed to read ${filePath}: ${error.message}`);
+    }
+
+    return this.hashGenerator.generateFileDigest(
+      content,
+      hash,
+      this.idStrategy.idPattern,
+      this.referenceBlocks.get(`${hash}${this.fileExtension}`)
+    );
+  }
+
+  /**
+   * Rewrite divider and reference lines that point to renamed sections
+   * @param {Map<string, string>} mapping - Old hash -> new hash
+   * @param {HashResolver|null} resolver - Resolver over the names before
+   *   renaming, or null if the ID strategy does not resolve prefixes
+   * @returns {Promise<Array<string>>} Names of the rewritten files
+   */
+  async updateReferences(mapping, resolver) {
+    const updated = [];
+    const idPattern = new RegExp(
+      `^(---:+\\s+)(?:${this.idStrategy.idPattern})`,
+      this.idStrategy.caseInsensitive ? "i" : ""
+    );
+
+    for (const filename of await this.listFiles()) {
+      if (!filename.endsWith(this.fileExtension)) {
+        continue;
+      }
+
+      const filePath = path.join(this.outputDir, filename);
+      const content = await fs.readFile(filePath, "utf-8");
+      const codeBlocks = new CodeBlockTracker();
+      let changed = false;
+
+      const lines = content.split("\n").map((line) => {
+        // Reference-like lines inside code samples are literal text
+        if (codeBlocks.isCode(line)) {
+          return line;
+        }
+
+        const reference = this.reconstructor.parseReferenceLine(line);
+        if (!reference) {
+          return line;
+        }
+
+        const match = resolver
+          ? resolver.resolve(reference.hash)
+          : { status: "found", hash: this.idStrategy.normalizeId(reference.hash) };
+        const target = match.status === "found" ? mapping.get(match.hash) : null;
+        if (!target) {
+          return line;
+        }
+
+        changed = true;
+        return line.replace(idPattern, `$1${target}`);
+      });
+
+      if (changed) {
+        try {
+          await fs.writeFile(filePath, lines.join("\n"), "utf-8");
+        } catch (error) {
+          throw new Error(`Failed to update ${filename}: ${error.message}`);
+        }
+        updated.push(filename);
+      }
+    }
+
+    return updated;
+  }
+
+  /**
+   * Point manifest entries of renamed sections at their new files
+   * @param {Array} renames - Renames of this run
+   * @returns {Promise<Array<string>>} Names of the rewritten manifests
+   */
+  async updateManifests(renames) {
+    const byHash = new Map(renames.map((rename) => [rename.from, rename]));
+    const updated = [];
+
+    for (const filename of await this.listFiles()) {
+      if (!SplitManifest.isManifestPath(filename)) {
+        continue;
+      }
+
+      const manifestPath = path.join(this.outputDir, filename);
+      const manifest = await SplitManifest.load(manifestPath);
+      let changed = false;
+
+      for (const entry of manifest.sections) {
+        const rename = byHash.get(entry.hash);
+        if (!rename || entry.filename !== rename.filename) {
+          continue;
+        }
+
+        entry.hash = rename.to;
+        entry.digest = rename.digest;
+        entry.filename = rename.newFilename;
+        changed = true;
+      }
+
+      if (changed) {
+        try {
+          await fs.writeFile(
+            manifestPath,
+            JSON.stringify(manifest, null, 2) + "\n",
+            "utf-8"
+          );
+        } catch (error) {
+          throw new Error(
+            `Failed to write manifest ${manifestPath}: ${error.message}`
+          );
+        }
+        updated.push(filename);
+      }
+    }
+
+    return updated;
+  }
+
+  /**
+   * Append the renames to the mapping file
+   * @param {Array} renames - Renames of this run
+   * @returns {Promise<string>} Path of the mapping file
+   */
+  async recordRenames(renames) {
+    const mapPath = path.join(this.outputDir, this.mapFilename);
+
+    let map = { version: MAP_VERSION, renames: [] };
+    try {
+      map = JSON.parse(await fs.readFile(mapPath, "utf-8"));
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        throw new Error(`Failed to read ${mapPath}: ${error.message}`);
+      }
+    }
+
+    if (map.version !== MAP_VERSION) {
+      throw new Error(`Unsupported rehash map version ${map.version} in ${mapPath}`);
+    }
+
+    map.renames.push(
+      ...renames.map(({ from, to, digest, renamedAt }) => ({
+        from,
+        to,
+        digest,
+        renamedAt,
+      }))
+    );
+
+    try {
+      await fs.writeFile(mapPath, JSON.stringify(map, null, 2) + "\n", "utf-8");
+    } catch (error) {
+      throw new Error(`Failed to write ${mapPath}: ${error.message}`);
+    }
+
+    return mapPath;
+  }
+}
@@ -0,0 +1,236 @@
+import fs from "fs/promises";
+import path from "path";
+
+const STORE_VERSION = 1;
+
+/**
+ * Content-addressed section store shared by many split documents
+ * Section files live once in the store directory, named by their hash. A refs
+ * index (`store.refs.json`) records which documents own each section, so a
+ * section written by one split is reused by the next instead of being skipped,
+ * and its file is removed once the last owning document no longer lists it.
+ * Owners are identified by their split manifest path relative to the store.
+ */
+export class SectionStore {
+  constructor(options = {}) {
+    if (!options.storeDir) {
+      throw new Error("Store directory is required");
+    }
+
+    this.storeDir = options.storeDir;
+    this.fileExtension = options.fileExtension || ".md";
+    this.indexFilename = options.indexFilename || "store.refs.json";
+    this.sections = new Map(); // hash -> { filename, owners: Set, timestamp, restore }
+  }
+
+  /**
+   * Path of the refs index
+   * @returns {string} Index file path
+   */
+  getIndexPath() {
+    return path.join(this.storeDir, this.indexFilename);
+  }
+
+  /**
+   * Path of a section file in the store
+   * @param {string} hash - Section hash
+   * @returns {string} Section file path
+   */
+  getFilePath(hash) {
+    return path.join(this.storeDir, `${hash}${this.fileExtension}`);
+  }
+
+  /**
+   * Owner id of a document: its manifest path relative to the store
+   * @param {string} manifestPath - Split manifest path of the document
+   * @returns {string} Owner id
+   */
+  getOwnerId(manifestPath) {
+    return path.relative(this.storeDir, manifestPath).split(path.sep).join("/");
+  }
+
+  /**
+   * Create the store directory and read the refs index
+   * A missing index means an empty store
+   * @returns {Promise<SectionStore>} This store
+   */
+  async load() {
+    try {
+      await fs.mkdir(this.storeDir, { recursive: true });
+    } catch (error) {
+      throw new Error(
+        `Failed to create store directory ${this.storeDir}: ${error.message}`
+      );
+    }
+
+    let index;
+    try {
+      index = JSON.parse(await fs.readFile(this.getIndexPath(), "utf-8"));
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        this.sections.clear();
+        return this;
+      }
+      throw new Error(
+        `Failed to read store index ${this.getIndexPath()}: ${error.message}`
+      );
+    }
+
+    if (index.version !== STORE_VERSION) {
+      throw new Error(
+        `Unsupported store index version ${index.version} in ${this.getIndexPath()}`
+      );
+    }
+
+    this.sections = new Map(
+      Object.entries(index.sections).map(([hash, entry]) => [
+        hash,
+        { ...entry, owners: new Set(entry.owners) },
+      ])
+    );
+    return this;
+  }
+
+  /**
+   * Write the refs index
+   * @param {WriteTransaction} [transaction] - Stage the index in this
+   *   transaction instead of writing it right away
+   * @returns {Promise<void>}
+   */
+  async save(transaction = null) {
+    const sections = {};
+    for (const hash of [...this.sections.keys()].sort()) {
+      const entry = this.sections.get(hash);
+      sections[hash] = { ...entry, owners: [...entry.owners].sort() };
+    }
+
+    const content =
+      JSON.stringify({ version: STORE_VERSION, sections }, null, 2) + "\n";
+    try {
+      if (transaction) {
+        await transaction.writeFile(this.getIndexPath(), content);
+      } else {
+        await fs.writeFile(this.getIndexPath(), content, "utf-8");
+      }
+    } catch (error) {
+      throw new Error(
+        `Failed to write store index ${this.getIndexPath()}: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * Look up a stored section whose file is still present
+   * @param {string} hash - Section hash
+   * @returns {Promise<Object|null>} Index entry or null if not stored
+   */
+  async get(hash) {
+    const entry = this.sections.get(hash);
+    if (!entry) {
+      return null;
+    }
+
+    try {
+      await fs.access(this.getFilePath(hash));
+      return entry;
+    } catch (error) {
+      return null; // Indexed but deleted by hand; must be written again
+    }
+  }
+
+  /**
+   * Record a section written into the store
+   * @param {string} hash - Section hash
+   * @param {Object} details - { timestamp, restore }
+   */
+  record(hash, details = {}) {
+    const entry = this.sections.get(hash);
+    this.sections.set(hash, {
+      filename: `${hash}${this.fileExtension}`,
+      owners: entry ? entry.owners : new Set(),
+      timestamp: details.timestamp ?? null,
+      restore: details.restore ?? null,
+    });
+  }
+
+  /**
+   * Number of documents owning a section
+   * @param {string} hash - Section hash
+   * @returns {number} Reference count
+   */
+  refCount(hash) {
+    const entry = this.sections.get(hash);
+    return entry ? entry.owners.size : 0;
+  }
+
+  /**
+   * Replace the set of sections owned by a document
+   * Sections the document no longer lists lose it as an owner; those left
+   * without any owner are removed from the store
+   * @param {string} owner - Owner id
+   * @param {Iterable<string>} hashes - Hashes the document now references
+   * @param {WriteTransaction} [transaction] - Stage file removals in this
+   *   transaction instead of removing the files right away
+   * @returns {Promise<Array<string>>} Hashes whose files were removed
+   */
+  async setOwner(owner, hashes, transaction = null) {
+    const owned = new Set(hashes);
+
+    for (const hash of owned) {
+      const entry = this.sections.get(hash);
+      if (entry) {
+        entry.owners.add(owner);
+      }
+    }
+
+    const released = [];
+    for (const [hash, entry] of this.sections) {
+      if (owned.has(hash) || !entry.owners.delete(owner)) {
+        continue;
+      }
+      if (entry.owners.size === 0) {
+        released.push(hash);
+      }
+    }
+
+    for (const hash of released) {
+      await this.remove(hash, transaction);
+    }
+
+    return released;
+  }
+
+  /**
+   * Drop a document from the store entirely
+   * @param {string} owner - Owner id
+   * @returns {Promise<Array<string>>} Hashes whose files were removed
+   */
+  async releaseOwner(owner) {
+    return await this.setOwner(owner, []);
+  }
+
+  /**
+   * Remove a section file and its index entry
+   * @param {string} hash - Section hash
+   * @param {WriteTransaction} [transaction] - Stage the removal in this
+   *   transaction instead of removing the file right away
+   * @returns {Promise<void>}
+   */
+  async remove(hash, transaction = null) {
+    this.sections.delete(hash);
+
+    try {
+      if (transaction) {
+        await transaction.remove(this.getFilePath(hash));
+      } else {
+        await fs.unlink(this.getFilePath(hash));
+      }
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        throw new Error(
+          `Failed to remove stored section ${hash}: ${error.message}`
+        );
+      }
+    }
+  }
+}
@@ -0,0 +1,103 @@
+import fs from "fs/promises";
+import path from "path";
+import { execFile } from "child_process";
+import { promisify } from "util";
+
+const execFileAsync = promisify(execFile);
+
+// Where a reproducible split takes its time from, in the order tried by "auto"
+const SOURCES = ["env", "git", "mtime"];
+
+/**
+ * Fixed time for reproducible splits
+ * Every divider timestamp and the manifest use one time derived from the
+ * input instead of the clock, so identical inputs give byte-identical output:
+ * SOURCE_DATE_EPOCH (https://reproducible-builds.org/specs/source-date-epoch/),
+ * the source file's last git commit, or its modification time. Times are
+ * whole seconds.
+ */
+export class SourceDate {
+  /**
+   * Names of the time sources
+   * @returns {Array<string>} Source names (auto tries them in this order)
+   */
+  static sources() {
+    return [...SOURCES];
+  }
+
+  /**
+   * Resolve the fixed time for a source file
+   * @param {string} sourceFile - Document being split
+   * @param {Object} [options] - Options
+   * @param {string} [options.source] - auto (default), env, git or mtime
+   * @param {Object} [options.env] - Environment to read SOURCE_DATE_EPOCH from
+   * @returns {Promise<Object>} { date, source } with the source actually used
+   */
+  static async resolve(sourceFile, options = {}) {
+    const source = options.source || "auto";
+    const env = options.env || process.env;
+
+    if (source !== "auto" && !SOURCES.includes(source)) {
+      throw new Error(
+        `Unknown source date: ${source} (expected auto, ${SOURCES.join(", ")})`
+      );
+    }
+
+    for (const candidate of source === "auto" ? SOURCES : [source]) {
+      const date = await SourceDate.read(candidate, sourceFile, env);
+      if (date) {
+        return { date, source: candidate };
+      }
+      if (source !== "auto") {
+        throw new Error(
+          candidate === "env"
+            ? "SOURCE_DATE_EPOCH is not set"
+            : `No git commit found for ${sourceFile}`
+        );
+      }
+    }
+
+    throw new Error(`Cannot determine a source date for ${sourceFile}`);
+  }
+
+  /**
+   * Read the time from one source
+   * @param {string} source - env, git or mtime
+   * @param {string} sourceFile - Document being split
+   * @param {Object} env - Environment variables
+   * @returns {Promise<Date|null>} Time, or null if the source has none
+   */
+  static async read(source, sourceFile, env) {
+    switch (source) {
+      case "env": {
+        const value = env.SOURCE_DATE_EPOCH;
+        if (value === undefined || value === "") {
+          return null;
+        }
+        if (!/^\d+$/.test(value.trim())) {
+          throw new Error(`Invalid SOURCE_DATE_EPOCH: ${value}`);
+        }
+        return new Date(parseInt(value.trim(), 10) * 1000);
+      }
+
+      case "git":
+        try {
+          const { stdout } = await execFileAsync(
+            "git",
+            ["log", "-1", "--format=%ct", "--", path.basename(sourceFile)],
+            { cwd: path.dirname(path.resolve(sourceFile)) }
+          );
+          const seconds = parseInt(stdout.trim(), 10);
+          return Number.isNaN(seconds) ? null : new Date(seconds * 1000);
+        } catch (error) {
+          return null; // Not a git checkout, or git is not installed
+        }
+
+      case "mtime": {
+        const stats = await fs.stat(sourceFile);
+        return new Date(Math.floor(stats.mtimeMs / 1000) * 1000);
+      }
+    }
+    return null;
+  }
+}
@@ -0,0 +1,273 @@
+import fs from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+
+const MANIFEST_VERSION = 1;
+
+/**
+ * Split manifest written next to the generated section files
+ * Describes the split in document order (source, tool options, and each
+ * section's hash, file, line range, size and timestamp) so a document can be
+ * loaded without scraping `---:` lines. Each section's full content digest is
+ * kept next to its short hash so files can be verified later. It also records
+ * what reconstruction needs to give back the source byte for byte: each
+ * section's original divider line, the whitespace trimmed from files that
+ * received reference lines, and the SHA-256 of the source
+ */
+export class SplitManifest {
+  constructor(options = {}) {
+    this.sourceFilename = options.sourceFilename || null;
+    this.options = options.options || {}; // Tool options used for the split
+    this.createdAt = options.createdAt || null; // Fixed time for reproducible splits
+    this.sourceHash = crypto.createHash("sha256");
+    this.sectionCount = 0;
+  }
+
+  /**
+   * Check whether a path names a manifest file
+   * @param {string} filePath - Path to check
+   * @returns {boolean} True for `*.manifest.json`
+   */
+  static isManifestPath(filePath) {
+    return filePath.endsWith(".manifest.json");
+  }
+
+  /**
+   * Undo the reference block a writer appended to a section file
+   * Also restores whitespace that differs from a shared store file
+   * @param {string} text - Current file content
+   * @param {Object} [entry] - Restore information ({ leadingWhitespace,
+   *   trailingWhitespace, referenceBlockLength })
+   * @returns {string} File content as it was before references were added
+   */
+  static removeReferenceBlock(text, entry) {
+    if (
+      !entry ||
+      (!(entry.referenceBlockLength > 0) &&
+        !entry.leadingWhitespace &&
+        !entry.trailingWhitespace)
+    ) {
+      return text;
+    }
+
+    return (
+      entry.leadingWhitespace +
+      text.slice(0, text.length - entry.referenceBlockLength) +
+      entry.trailingWhitespace
+    );
+  }
+
+  /**
+   * Get the manifest path for a split of a source file
+   * @param {string} outputDir - Directory holding the generated files
+   * @param {string} sourceFilename - Source document path
+   * @returns {string} Path to `<source name>.manifest.json`
+   */
+  static getManifestPath(outputDir, sourceFilename) {
+    const baseName = path.basename(sourceFilename, path.extname(sourceFilename));
+    return path.join(outputDir, `${baseName}.manifest.json`);
+  }
+
+  /**
+   * Normalization profile recorded by the splits in a directory
+   * Tools that recompute hashes of files outside a manifest use it, so they
+   * hash the way the split did
+   * @param {string} dir - Directory holding split manifests
+   * @returns {Promise<string|null>} Profile of the first manifest that records
+   *   one, or null
+   */
+  static async findNormalization(dir) {
+    return await SplitManifest.findRecordedOption(
+      dir,
+      (options) => options.hash?.normalization
+    );
+  }
+
+  /**
+   * ID strategy recorded by the splits in a directory
+   * Tools that recognise section files by name use it when no strategy is
+   * given, so slug or ULID outputs are not mistaken for unrelated files
+   * @param {string} dir - Directory holding split manifests
+   * @returns {Promise<string|null>} Strategy of the first manifest that
+   *   records one, or null
+   */
+  static async findIdStrategy(dir) {
+    return await SplitManifest.findRecordedOption(
+      dir,
+      (options) => options.idStrategy
+    );
+  }
+
+  /**
+   * First value of a tool option recorded by the splits in a directory
+   * @param {string} dir - Directory holding split manifests
+   * @param {Function} pick - Reads the value from a manifest's options
+   * @returns {Promise<*>} First value that is set, or null
+   */
+  static async findRecordedOption(dir, pick) {
+    for (const manifestPath of await SplitManifest.list(dir)) {
+      const manifest = await SplitManifest.load(manifestPath);
+      const value = manifest.options ? pick(manifest.options) : null;
+      if (value) {
+        return value;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Reference block lengths the splits in a directory recorded
+   * Tools that hash section files use them to drop exactly the lines the
+   * writer appended
+   * @param {string} dir - Directory holding split manifests
+   * @returns {Promise<Map<string, number>>} filename -> referenceBlockLength
+   */
+  static async findReferenceBlocks(dir) {
+    const blocks = new Map();
+    for (const manifestPath of await SplitManifest.list(dir)) {
+      const manifest = await SplitManifest.load(manifestPath);
+      for (const entry of manifest.sections) {
+        if (Number.isInteger(entry.referenceBlockLength)) {
+          blocks.set(entry.filename, entry.referenceBlockLength);
+        }
+      }
+    }
+    return blocks;
+  }
+
+  /**
+   * Paths of the manifests in a directory
+   * @param {string} dir - Directory holding split manifests
+   * @returns {Promise<Array<string>>} Manifest paths in name order (none if
+   *   the directory does not exist)
+   */
+  static async list(dir) {
+    let files;
+    try {
+      files = await fs.readdir(dir);
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return [];
+      }
+      throw new Error(`Failed to read directory ${dir}: ${error.message}`);
+    }
+
+    return files
+      .filter(SplitManifest.isManifestPath)
+      .sort()
+      .map((file) => path.join(dir, file));
+  }
+
+  /**
+   * Feed the next section of the source into the source digest
+   * The source is the sections' content joined by "\n", so the digest equals
+   * the SHA-256 of the file the sections were split from
+   * @param {Object} section - Section object with content
+   */
+  addSource(section) {
+    if (this.sectionCount > 0) {
+      this.sourceHash.update("\n", "utf8");
+    }
+    this.sourceHash.update(section.content, "utf8");
+    this.sectionCount++;
+  }
+
+  /**
+   * Build the manifest from the writer's results
+   * @param {Array} results - Write results in document order
+   * @returns {Object} Manifest data
+   */
+  build(results) {
+    return {
+      version: MANIFEST_VERSION,
+      source: {
+        path: this.sourceFilename,
+        filename: this.sourceFilename ? path.basename(this.sourceFilename) : null,
+        sha256: this.sourceHash.digest("hex"),
+        sectionCount: this.sectionCount,
+      },
+      options: this.options,
+      createdAt: (this.createdAt || new Date()).toISOString(),
+      sections: results
+        .filter((result) => result.filename && result.section)
+        .map((result) => ({
+          index: result.section.index,
+          hash: result.hash,
+          // Full digest the hash is cut from, for verifying files later
+          digest: result.digest ?? null,
+          filename: result.filename,
+          level: result.section.level ?? 0,
+          parentIndex: result.section.parentIndex ?? null,
+          lineStart: result.section.lineStart ?? null,
+          lineEnd: result.section.lineEnd ?? null,
+          size: result.size ?? null,
+          timestamp: result.timestamp ? result.timestamp.toISOString() : null,
+          written: result.success,
+          hasDivider: result.section.hasDivider,
+          originalDividerLine: result.section.originalDividerLine ?? null,
+          // Title line, so stable IDs survive edits to the rest of the section
+          heading: result.section.heading ?? null,
+          leadingWhitespace: result.restore?.leadingWhitespace ?? "",
+          trailingWhitespace: result.restore?.trailingWhitespace ?? "",
+          referenceBlockLength: result.restore?.referenceBlockLength ?? 0,
+        })),
+    };
+  }
+
+  /**
+   * Write the manifest into the output directory
+   * @param {string} outputDir - Directory holding the generated files
+   * @param {Array} results - Write results in document order
+   * @param {WriteTransaction} [transaction] - Stage the manifest in this
+   *   transaction instead of writing it right away
+   * @returns {Promise<string>} Path of the written manifest
+   */
+  async save(outputDir, results, transaction = null) {
+    const manifestPath = SplitManifest.getManifestPath(
+      outputDir,
+      this.sourceFilename || "document"
+    );
+
+    const content = JSON.stringify(this.build(results), null, 2) + "\n";
+    try {
+      if (transaction) {
+        await transaction.writeFile(manifestPath, content);
+      } else {
+        await fs.writeFile(manifestPath, content, "utf-8");
+      }
+    } catch (error) {
+      throw new Error(
+        `Failed to write manifest ${manifestPath}: ${error.message}`
+      );
+    }
+
+    return manifestPath;
+  }
+
+  /**
+   * Read and validate a manifest file
+   * @param {string} manifestPath - Path to the manifest
+   * @returns {Promise<Object>} Manifest data
+   */
+  static async load(manifestPath) {
+    let manifest;
+    try {
+      manifest = JSON.parse(await fs.readFile(manifestPath, "utf-8"));
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        throw new Error(`Manifest not found: ${manifestPath}`);
+      }
+      throw new Error(
+        `Failed to read manifest ${manifestPath}: ${error.message}`
+      );
+    }
+
+    if (manifest.version !== MANIFEST_VERSION) {
+      throw new Error(
+        `Unsupported manifest version ${manifest.version} in ${manifestPath}`
+      );
+    }
+
+    return manifest;
+  }
+}
@@ -1,8 +1,10 @@
 import fs from "fs";
 import { createReadStream } from "fs";
-import { createInterface } from "readline";
 import path from "path";
 import { HashGenerator } from "./hashGenerator.js";
+import { SectionBuilder } from "./sectionBuilder.js";
+import { CodeBlockTracker } from "./codeBlockTracker.js";
+import { IndexCache } from "./indexCache.js";
 
 /**
  * Memory-efficient streaming file processor for large multi-source documents
@@ -10,10 +12,17 @@ import { HashGenerator } from "./hashGenerator.js";
  */
 export class StreamingFileProcessor {
   constructor(options = {}) {
-    this.dividerPattern = /^---:\s*$/;
+    this.dividerPattern = /^---(:+)(?:\s+(.*?))?\s*$/; // Level (colons) and optional key=value attributes
     this.hashGenerator = new HashGenerator(options.hashOptions);
     this.chunkSize = options.chunkSize || 64 * 1024; // 64KB chunks
     this.maxLineLength = options.maxLineLength || 10000; // Prevent memory attacks
+    // Sidecar index of analyzed files; on unless `indexCache: false`
+    this.indexCache =
+      options.indexCache === false
+        ? null
+        : options.indexCache instanceof IndexCache
+          ? options.indexCache
+          : new IndexCache(options.indexCacheOptions);
   }
 
   /**
@@ -22,6 +31,42 @@ export class StreamingFileProcessor {
    * @returns {Promise<Object>} File metadata with section references
    */
   async analyzeFile(filePath) {
+    return await this.scanFile(filePath);
+  }
+
+  /**
+   * Get file metadata, from the sidecar index cache if it is still valid
+   * @param {string} filePath - Path to the file
+   * @param {fs.Stats} [stats] - Already known file stats
+   * @returns {Promise<Object>} File metadata as returned by analyzeFile
+   */
+  async getMetadata(filePath, stats = null) {
+    if (!this.indexCache) {
+      return await this.analyzeFile(filePath);
+    }
+
+    // Validate up front so errors match the uncached path
+    await this.validateInputFile(filePath);
+
+    return await this.indexCache.getOrCreate(
+      filePath,
+      () => this.analyzeFile(filePath),
+      {
+        stats,
+        settings: this.hashGenerator.getOptions(),
+      }
+    );
+  }
+
+  /**
+   * Single streaming pass over a file: detects dividers and hashes each
+   * section incrementally as its lines go by
+   * @param {string} filePath - Path to the input file
+   * @param {Object} options - Scan options
+   * @param {boolean} [options.collectContent] - Keep section content in the result
+   * @returns {Promise<Object>} File metadata with section references
+   */
+  async scanFile(filePath, options = {}) {
     await this.validateInputFile(filePath);
 
     const metadata = {
@@ -40,94 +85,151 @@ export class StreamingFileProcessor {
     metadata.totalSize = stats.size;
     metadata.lastModified = stats.mtime;
 
-    let currentSection = {
-      startLine: 1,
-      endLine: null,
-      lineCount: 0,
-      estimatedSize: 0,
-      hash: null,
-      hasDivider: false,
-    };
+    const builder = this.createSectionBuilder(options);
 
-    const fileStream = createReadStream(filePath, {
-      encoding: "utf-8",
-      highWaterMark: this.chunkSize,
+    for await (const section of this.readSections(filePath, builder)) {
+      metadata.sections.push(section);
+    }
+    builder.attachChildren(metadata.sections);
+
+    for (const section of metadata.sections) {
+      const { content, ...sectionMeta } = section;
+      metadata.hashIndex.set(section.hash, sectionMeta);
+    }
+
+    metadata.totalLines = builder.lineNumber;
+    metadata.dividerLines = builder.dividerLines;
+
+    return metadata;
+  }
+
+  /**
+   * Stream sections with their content one at a time
+   * Lines are only read as fast as the consumer pulls sections, so a slow
+   * consumer (such as FileWriter.writeSectionStream) applies backpressure and
+   * at most one section is held in memory
+   * @param {string} filePath - Path to the input file
+   * @returns {AsyncGenerator<Object>} Sections in document order
+   */
+  async *streamSections(filePath) {
+    await this.validateInputFile(filePath);
+
+    const builder = this.createSectionBuilder({ collectContent: true });
+    yield* this.readSections(filePath, builder);
+  }
+
+  /**
+   * Create a section builder configured for this processor
+   * @param {Object} options - Builder options
+   * @param {boolean} [options.collectContent] - Keep section content
+   * @returns {SectionBuilder} Section builder
+   */
+  createSectionBuilder(options = {}) {
+    return new SectionBuilder({
+      dividerPattern: this.dividerPattern,
+      hashGenerator: this.hashGenerator,
+      collectContent: !!options.collectContent,
     });
+  }
+
+  /**
+   * Yield sections one at a time while streaming through the file
+   * Each section carries the FileProcessor section contract plus its hash,
+   * byteOffset and byteLength
+   * @param {string} filePath - Path to the input file
+   * @param {SectionBuilder} builder - Builder receiving the file's lines
+   * @returns {AsyncGenerator<Object>} Completed sections in document order
+   */
+  async *readSections(filePath, builder) {
+    for await (const line of this.readLines(filePath)) {
+      const completed = builder.addLine(line.text, line);
+      if (completed) {
+        yield completed;
+      }
+    }
 
-    const rl = createInterface({
-      input: fileStream,
-      crlfDelay: Infinity, // Handle Windows line endings
+    const finalSection = builder.finish();
+    if (finalSection) {
+      yield finalSection;
+    }
+  }
+
+  /**
+   * Read a file line by line, tracking the byte position of every line
+   * Lines are split on LF only, exactly like content.split("\n"): a CR from a
+   * CRLF ending stays in the text and a trailing newline yields an empty line
+   * @param {string} filePath - Path to the file
+   * @returns {AsyncGenerator<Object>} Lines with text, lineNumber, byteOffset,
+   *   byteLength (text only) and hasNewline
+   */
+  async *readLines(filePath) {
+    const fileStream = createReadStream(filePath, {
+      highWaterMark: this.chunkSize,
     });
 
+    // Longest possible UTF-8 encoding of a line that is still acceptable
+    const maxLineBytes = this.maxLineLength * 4;
+    let carry = null;
+    let carryOffset = 0;
     let lineNumber = 0;
-    let bytesProcessed = 0;
 
-    for await (const line of rl) {
+    const createLine = (buffer, start, end, hasNewline) => {
       lineNumber++;
+      const text = buffer.toString("utf-8", start, end);
 
       // Security check for extremely long lines
-      if (line.length > this.maxLineLength) {
+      if (text.length > this.maxLineLength) {
         throw new Error(
           `Line ${lineNumber} exceeds maximum length (${this.maxLineLength} chars)`
         );
       }
 
-      bytesProcessed += Buffer.byteLength(line, "utf-8") + 1; // +1 for newline
-      currentSection.lineCount++;
-      currentSection.estimatedSize += Buffer.byteLength(line, "utf-8") + 1;
-
-      // Check for divider
-      if (this.dividerPattern.test(line)) {
-        // End current section
-        currentSection.endLine = lineNumber - 1;
-
-        if (currentSection.lineCount > 1) {
-          // Don't create empty sections
-          // Generate hash for this section (we'll need to re-read for this)
-          currentSection.hash = await this.generateSectionHash(
-            filePath,
-            currentSection.startLine,
-            currentSection.endLine
-          );
+      return {
+        text,
+        lineNumber,
+        byteOffset: carryOffset + start,
+        byteLength: end - start,
+        hasNewline,
+      };
+    };
 
-          metadata.sections.push({ ...currentSection });
-          metadata.hashIndex.set(currentSection.hash, { ...currentSection });
+    try {
+      for await (const chunk of fileStream) {
+        const buffer = carry ? Buffer.concat([carry, chunk]) : chunk;
+        let start = 0;
+        let newline;
+
+        while ((newline = buffer.indexOf(0x0a, start)) !== -1) {
+          yield createLine(buffer, start, newline, true);
+          start = newline + 1;
         }
 
-        metadata.dividerLines.push(lineNumber);
-
-        // Start new section
-        currentSection = {
-          startLine: lineNumber + 1,
-          endLine: null,
-          lineCount: 0,
-          estimatedSize: 0,
-          hash: null,
-          hasDivider: true,
-        };
-      }
-    }
+        carry = start < buffer.length ? buffer.subarray(start) : null;
+        carryOffset += start;
 
-    // Handle final section
-    if (currentSection.lineCount > 0) {
-      currentSection.endLine = lineNumber;
-      currentSection.hash = await this.generateSectionHash(
-        filePath,
-        currentSection.startLine,
-        currentSection.endLine
-      );
+        if (carry && carry.length > maxLineBytes) {
+          throw new Error(
+            `Line ${lineNumber + 1} exceeds maximum length (${this.maxLineLength} chars)`
+          );
+        }
+      }
 
-      metadata.sections.push({ ...currentSection });
-      metadata.hashIndex.set(currentSection.hash, { ...currentSection });
+      if (carry) {
+        yield createLine(carry, 0, carry.length, false);
+      } else if (lineNumber > 0) {
+        // A trailing newline ends with an empty last line, like split("\n")
+        yield createLine(Buffer.alloc(0), 0, 0, false);
+      }
+    } finally {
+      fileStream.destroy();
     }
-
-    metadata.totalLines = lineNumber;
-
-    return metadata;
   }
 
   /**
    * Extract a specific section by line range without loading full file
+   * With the index cache, only the indexed sections covering the range are
+   * read, with one positioned read; without it the file is scanned up to
+   * the end line
    * @param {string} filePath - Path to the file
    * @param {number} startLine - Starting line number (1-based)
    * @param {number} endLine - Ending line number (1-based, inclusive)
@@ -138,24 +240,31 @@ export class StreamingFileProcessor {
       throw new Error("Invalid line range");
     }
 
-    const fileStream = createReadStream(filePath, { encoding: "utf-8" });
-    const rl = createInterface({
-      input: fileStream,
-      crlfDelay: Infinity,
-    });
+    const range = this.indexCache
+      ? this.findByteRange(await this.getMetadata(filePath), startLine, endLine)
+      : null;
 
-    const lines = [];
-    let lineNumber = 0;
+    if (range) {
+      const content = await this.extractSectionBytes(
+        filePath,
+        range.byteOffset,
+        range.byteLength
+      );
+      return content
+        .split("\n")
+        .slice(startLine - range.lineStart, endLine - range.lineStart + 1)
+        .join("\n");
+    }
 
-    for await (const line of rl) {
-      lineNumber++;
+    const lines = [];
 
-      if (lineNumber >= startLine && lineNumber <= endLine) {
-        lines.push(line);
+    for await (const line of this.readLines(filePath)) {
+      if (line.lineNumber >= startLine) {
+        lines.push(line.text);
       }
 
-      // Stop reading once we've passed the end line
-      if (lineNumber > endLine) {
+      // Stop reading once we've reached the end line
+      if (line.lineNumber >= endLine) {
         break;
       }
     }
@@ -163,8 +272,83 @@ export class StreamingFileProcessor {
     return lines.join("\n");
   }
 
+  /**
+   * Byte range of the indexed sections that cover a line range
+   * @param {Object} metadata - Metadata from analyzeFile
+   * @param {number} startLine - Starting line number (1-based)
+   * @param {number} endLine - Ending line number (1-based, inclusive)
+   * @returns {Object|null} { byteOffset, byteLength, lineStart } or null if
+   *   the index has no byte positions for the range
+   */
+  findByteRange(metadata, startLine, endLine) {
+    const sections = metadata.sections.filter(
+      (section) => section.lineEnd >= section.lineStart
+    );
+    const first = sections.find(
+      (section) => section.lineStart <= startLine && startLine <= section.lineEnd
+    );
+    if (!first) {
+      return null;
+    }
+
+    // Ranges past the end of the file stop at its last line
+    const last =
+      sections.find(
+        (section) => section.lineStart <= endLine && endLine <= section.lineEnd
+      ) || sections[sections.length - 1];
+    if (
+      !Number.isInteger(first.byteOffset) ||
+      !Number.isInteger(last.byteOffset)
+    ) {
+      return null;
+    }
+
+    return {
+      byteOffset: first.byteOffset,
+      byteLength: last.byteOffset + last.byteLength - first.byteOffset,
+      lineStart: first.lineStart,
+    };
+  }
+
+  /**
+   * Extract a section by its byte range with a single positioned read
+   * @param {string} filePath - Path to the file
+   * @param {number} byteOffset - Offset of the first byte of the section
+   * @param {number} byteLength - Number of bytes in the section
+   * @returns {Promise<string>} Section content
+   */
+  async extractSectionBytes(filePath, byteOffset, byteLength) {
+    if (
+      !Number.isInteger(byteOffset) ||
+      !Number.isInteger(byteLength) ||
+      byteOffset < 0 ||
+      byteLength < 0
+    ) {
+      throw new Error("Invalid byte range");
+    }
+
+    const handle = await fs.promises.open(filePath, "r");
+
+    try {
+      const buffer = Buffer.alloc(byteLength);
+      const { bytesRead } = await handle.read(buffer, 0, byteLength, byteOffset);
+
+      if (bytesRead !== byteLength) {
+        throw new Error(
+          `Byte range ${byteOffset}+${byteLength} is outside of ${filePath}`
+        );
+      }
+
+      return buffer.toString("utf-8");
+    } finally {
+      await handle.close();
+    }
+  }
+
   /**
    * Generate hash for a specific section without loading full file
+   * The content is read through extractSection, so from the indexed byte
+   * range when there is an index
    * @param {string} filePath - Path to the file
    * @param {number} startLine - Starting line number
    * @param {number} endLine - Ending line number
@@ -176,33 +360,20 @@ export class StreamingFileProcessor {
   }
 
   /**
-   * Stream-split a file into sections and write them efficiently
+   * Stream-split a file into sections in a single pass
+   * Sections follow the FileProcessor contract (index, content, hasDivider,
+   * originalDividerLine, lineStart, lineEnd) plus hash and index metadata
    * @param {string} filePath - Input file path
    * @param {Object} options - Processing options
-   * @returns {Promise<Array>} Array of section metadata
+   * @returns {Promise<Array>} Array of section objects
    */
   async streamSplit(filePath, options = {}) {
-    const metadata = await this.analyzeFile(filePath);
-    const sections = [];
-
-    for (const sectionMeta of metadata.sections) {
-      const content = await this.extractSection(
-        filePath,
-        sectionMeta.startLine,
-        sectionMeta.endLine
-      );
-
-      sections.push({
-        content,
-        hash: sectionMeta.hash,
-        lineRange: [sectionMeta.startLine, sectionMeta.endLine],
-        size: sectionMeta.estimatedSize,
-        hasDivider: sectionMeta.hasDivider,
-        metadata: sectionMeta,
-      });
-    }
+    const metadata = await this.scanFile(filePath, { collectContent: true });
 
-    return sections;
+    return metadata.sections.map((section) => {
+      const { content, ...sectionMeta } = section;
+      return { ...section, metadata: sectionMeta };
+    });
   }
 
   /**
@@ -212,7 +383,7 @@ export class StreamingFileProcessor {
    * @returns {Promise<Object|null>} Section metadata or null
    */
   async findSectionByHash(filePath, hash) {
-    const metadata = await this.analyzeFile(filePath);
+    const metadata = await this.getMetadata(filePath);
     return metadata.hashIndex.get(hash) || null;
   }
 
@@ -222,8 +393,16 @@ export class StreamingFileProcessor {
    * @returns {Promise<Object>} File statistics
    */
   async getFileStats(filePath) {
-    const metadata = await this.analyzeFile(filePath);
+    const metadata = await this.getMetadata(filePath);
+    return this.createFileStats(metadata);
+  }
 
+  /**
+   * Summarize analyzeFile metadata into file statistics
+   * @param {Object} metadata - Metadata from analyzeFile
+   * @returns {Object} File statistics
+   */
+  createFileStats(metadata) {
     return {
       totalLines: metadata.totalLines,
       totalSize: metadata.totalSize,
@@ -296,11 +475,14 @@ export class StreamingFileProcessor {
     }
 
     const lines = content.split(/\r?\n/);
+    const codeBlocks = new CodeBlockTracker();
+    const builder = this.createSectionBuilder();
     const sections = [];
     let currentSection = [];
 
     for (const line of lines) {
-      if (this.dividerPattern.test(line)) {
+      const isCode = codeBlocks.isCode(line);
+      if (!isCode && builder.parseDivider(line)) {
         if (currentSection.length > 0) {
           sections.push(currentSection.join("\n"));
           currentSection = [];
@@ -1,10 +1,190 @@
+import { DividerAttributes } from './dividerAttributes.js';
+import { ANY_ID_PATTERN } from './hashGenerator.js';
+
+// Named timestamp formats
+const TIMESTAMP_FORMATS = {
+  default: 'HH:MM:SS YYYY/MM/DD',
+  iso: 'YYYY-MM-DDTHH:mm:ssZ' // ISO 8601 with UTC offset
+};
+
+// Format tokens; MM right after "HH:" means minutes, elsewhere the month
+const TOKEN_PATTERN = /YYYY|MM|DD|HH|mm|SS|ss|Z/g;
+const TOKEN_FIELDS = {
+  YYYY: { field: 'year', pattern: '\\d{4}' },
+  MM: { field: 'month', pattern: '\\d{2}' },
+  DD: { field: 'day', pattern: '\\d{2}' },
+  HH: { field: 'hour', pattern: '\\d{2}' },
+  mm: { field: 'minute', pattern: '\\d{2}' },
+  SS: { field: 'second', pattern: '\\d{2}' },
+  ss: { field: 'second', pattern: '\\d{2}' },
+  Z: { field: 'offset', pattern: 'Z|[+-]\\d{2}:?\\d{2}' }
+};
+
+/**
+ * Split a timestamp format into tokens and literal text
+ * @param {string} format - Format such as `HH:MM:SS YYYY/MM/DD`
+ * @returns {Array<Object>} Parts, each { field, pattern } or { literal }
+ */
+function compileFormat(format) {
+  const parts = [];
+  let position = 0;
+
+  for (const match of format.matchAll(TOKEN_PATTERN)) {
+    const literal = format.slice(position, match.index);
+    if (literal) {
+      parts.push({ literal });
+    }
+
+    const previous = parts[parts.length - 2];
+    const isMinutes =
+      match[0] === 'MM' && previous?.field === 'hour' && literal === ':';
+    parts.push(isMinutes ? TOKEN_FIELDS.mm : TOKEN_FIELDS[match[0]]);
+    position = match.index + match[0].length;
+  }
+
+  if (position < format.length) {
+    parts.push({ literal: format.slice(position) });
+  }
+
+  const fields = parts.map(part => part.field).filter(Boolean);
+  if (!['year', 'month', 'day'].every(field => fields.includes(field))) {
+    throw new Error(`Invalid timestamp format "${format}": needs YYYY, MM and DD`);
+  }
+
+  // Without a Z token the offset is appended, so every timestamp names one
+  // instant; timestamps written before offsets were added still parse
+  if (!fields.includes('offset')) {
+    parts.push({ ...TOKEN_FIELDS.Z, separator: ' ', numeric: true, optional: true });
+  }
+  return parts;
+}
+
+/**
+ * Whether parsed timestamp fields name a real date and time
+ * The patterns only check digit counts, and Date would roll `2025/02/31` over
+ * into March, so each field is checked against its range
+ * @param {Array<number>} values - Year, month (1-12), day, hour, minute, second
+ * @returns {boolean} True if every field is in range
+ */
+function isInRange([year, month, day, hour, minute, second]) {
+  const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+  return (
+    month >= 1 && month <= 12 &&
+    day >= 1 && day <= daysInMonth &&
+    hour <= 23 && minute <= 59 && second <= 59
+  );
+}
+
+/**
+ * Wall-clock fields of an instant in a time zone
+ * @param {string} timezone - IANA time zone (e.g. 'Europe/Berlin')
+ * @param {Date} date - Instant
+ * @returns {Object} { year, month, day, hour, minute, second, offset
+ *   (minutes east of UTC) }
+ */
+function getZoneFields(timezone, date) {
+  const formatter = new Intl.DateTimeFormat('en-CA', {
+    timeZone: timezone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    hour12: false
+  });
+
+  const fields = {};
+  formatter.formatToParts(date).forEach(part => {
+    fields[part.type] = parseInt(part.value, 10);
+  });
+  fields.hour %= 24; // Some engines write midnight as 24
+
+  // The zone's offset is how far its wall-clock time is from UTC
+  const wallClock = Date.UTC(
+    fields.year, fields.month - 1, fields.day,
+    fields.hour, fields.minute, fields.second
+  );
+  fields.offset = Math.round((wallClock - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+  return fields;
+}
+
 /**
  * Timestamp utilities for generating formatted timestamps
+ * The format is built from tokens (YYYY, MM, DD, HH, mm or MM after `HH:`,
+ * SS or ss, Z for the UTC offset) and literal text; `default` and `iso` name
+ * the built-in formats. Timestamps are written in the configured time zone
+ * and always carry its UTC offset (`16:12:30 2025/08/16 +02:00`)
  */
 export class TimestampUtils {
   constructor(options = {}) {
     this.timezone = options.timezone || 'local'; // 'local', 'utc', or specific timezone
-    this.format = options.format || 'HH:MM:SS YYYY/MM/DD';
+    if (this.timezone !== 'local' && this.timezone !== 'utc') {
+      try {
+        new Intl.DateTimeFormat('en-US', { timeZone: this.timezone });
+      } catch (error) {
+        throw new Error(`Unknown timezone: ${this.timezone}`);
+      }
+    }
+
+    this.format =
+      TIMESTAMP_FORMATS[options.format] || options.format || TIMESTAMP_FORMATS.default;
+    this.parts = compileFormat(this.format);
+    this.timestampPattern = new RegExp(
+      `^${this.parts.map(part => this.partPattern(part, true)).join('')}$`,
+      'i'
+    );
+    // IDs parsed from divider lines: the given ID strategy's, or any built-in one's
+    this.idStrategy = options.idStrategy || null;
+    this.dividerPattern = new RegExp(
+      `^---(:+)\\s+(${this.idStrategy ? this.idStrategy.idPattern : ANY_ID_PATTERN})\\s+(${this.getPatternSource()})(?:\\s+(.*\\S))?$`,
+      !this.idStrategy || this.idStrategy.caseInsensitive ? 'i' : ''
+    );
+    this.dividerAttributes = new DividerAttributes();
+  }
+
+  /**
+   * Names of the built-in timestamp formats
+   * @returns {Array<string>} Format names
+   */
+  static formatNames() {
+    return Object.keys(TIMESTAMP_FORMATS);
+  }
+
+  /**
+   * Regular expression source matching a timestamp in the configured format
+   * Has no capturing groups, so it can be embedded in other patterns
+   * @returns {string} Pattern source
+   */
+  getPatternSource() {
+    return this.parts.map(part => this.partPattern(part, false)).join('');
+  }
+
+  /**
+   * Pattern for one part of the format
+   * @param {Object} part - Token or literal part
+   * @param {boolean} capture - Whether token values are captured
+   * @returns {string} Pattern source
+   */
+  partPattern(part, capture) {
+    if (!part.field) {
+      return this.literalPattern(part.literal);
+    }
+
+    const pattern = capture ? `(${part.pattern})` : `(?:${part.pattern})`;
+    return part.optional ? `(?:\\s+${pattern})?` : pattern;
+  }
+
+  /**
+   * Pattern for literal format text; any run of whitespace matches whitespace
+   * @param {string} literal - Literal text from the format
+   * @returns {string} Pattern source
+   */
+  literalPattern(literal) {
+    return literal
+      .split(/\s+/)
+      .map(text => text.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&'))
+      .join('\\s+');
   }
 
   /**
@@ -19,69 +199,159 @@ export class TimestampUtils {
       case 'utc':
         return this.formatTimestamp(now, true);
       case 'local':
-      default:
         return this.formatTimestamp(now, false);
+      default:
+        return this.generateTimestampForTimezone(this.timezone, now);
     }
   }
 
   /**
-   * Format a date object into HH:MM:SS YYYY/MM/DD format
+   * Format a date object in the configured format
    * @param {Date} date - Date object to format
    * @param {boolean} useUTC - Whether to use UTC time
    * @returns {string} Formatted timestamp
    */
   formatTimestamp(date, useUTC = false) {
     const getDateValue = (method) => useUTC ? date[`getUTC${method}`]() : date[`get${method}`]();
-    
-    const hours = getDateValue('Hours').toString().padStart(2, '0');
-    const minutes = getDateValue('Minutes').toString().padStart(2, '0');
-    const seconds = getDateValue('Seconds').toString().padStart(2, '0');
-    
-    const year = getDateValue('FullYear');
-    const month = (getDateValue('Month') + 1).toString().padStart(2, '0'); // Month is 0-indexed
-    const day = getDateValue('Date').toString().padStart(2, '0');
-    
-    return `${hours}:${minutes}:${seconds} ${year}/${month}/${day}`;
+
+    return this.formatFields({
+      year: getDateValue('FullYear'),
+      month: getDateValue('Month') + 1, // Month is 0-indexed
+      day: getDateValue('Date'),
+      hour: getDateValue('Hours'),
+      minute: getDateValue('Minutes'),
+      second: getDateValue('Seconds'),
+      offset: useUTC ? 0 : -date.getTimezoneOffset()
+    });
+  }
+
+  /**
+   * Render date and time fields in the configured format
+   * @param {Object} fields - { year, month, day, hour, minute, second,
+   *   offset (minutes east of UTC) }
+   * @returns {string} Formatted timestamp
+   */
+  formatFields(fields) {
+    return this.parts
+      .map(part => {
+        if (!part.field) {
+          return part.literal;
+        }
+        if (part.field === 'offset') {
+          return (part.separator || '') + this.formatOffset(fields.offset, part.numeric);
+        }
+        return fields[part.field].toString().padStart(part.field === 'year' ? 4 : 2, '0');
+      })
+      .join('');
+  }
+
+  /**
+   * Format a UTC offset as `Z` or `+HH:MM`
+   * @param {number} offset - Minutes east of UTC
+   * @param {boolean} [numeric] - Write UTC as `+00:00` instead of `Z`
+   * @returns {string} Offset text
+   */
+  formatOffset(offset, numeric = false) {
+    if (offset === 0 && !numeric) {
+      return 'Z';
+    }
+    const sign = offset >= 0 ? '+' : '-';
+    const minutes = Math.abs(offset);
+    const hh = Math.floor(minutes / 60).toString().padStart(2, '0');
+    const mm = (minutes % 60).toString().padStart(2, '0');
+    return `${sign}${hh}:${mm}`;
   }
 
   /**
    * Parse a timestamp string back to a Date object
-   * @param {string} timestampStr - Timestamp in HH:MM:SS YYYY/MM/DD format
+   * Timestamps with an offset give that instant; older ones without an offset
+   * are read in the configured time zone
+   * @param {string} timestampStr - Timestamp in the configured format
    * @returns {Date|null} Date object or null if parsing fails
    */
   parseTimestamp(timestampStr) {
+    const parsed = this.parseTimestampWithOffset(timestampStr);
+    return parsed ? parsed.date : null;
+  }
+
+  /**
+   * Parse a timestamp string into its instant and the offset it was written with
+   * @param {string} timestampStr - Timestamp in the configured format
+   * @returns {Object|null} { date, offset } (offset in minutes east of UTC, null
+   *   if the timestamp has none) or null if parsing fails
+   */
+  parseTimestampWithOffset(timestampStr) {
     try {
-      // Match the pattern: HH:MM:SS YYYY/MM/DD
-      const pattern = /^(\d{2}):(\d{2}):(\d{2})\s+(\d{4})\/(\d{2})\/(\d{2})$/;
-      const match = timestampStr.match(pattern);
-      
+      const match = timestampStr.match(this.timestampPattern);
+
       if (!match) {
         return null;
       }
-      
-      const [, hours, minutes, seconds, year, month, day] = match;
-      
-      // Create date object (month is 0-indexed in Date constructor)
-      const date = new Date(
-        parseInt(year, 10),
-        parseInt(month, 10) - 1,
-        parseInt(day, 10),
-        parseInt(hours, 10),
-        parseInt(minutes, 10),
-        parseInt(seconds, 10)
+
+      const fields = { hour: 0, minute: 0, second: 0 };
+      this.parts
+        .filter(part => part.field)
+        .forEach((part, i) => {
+          fields[part.field] = match[i + 1];
+        });
+
+      const values = ['year', 'month', 'day', 'hour', 'minute', 'second'].map(
+        field => parseInt(fields[field], 10)
       );
+      if (!isInRange(values)) {
+        return null;
+      }
+      values[1] -= 1; // Month is 0-indexed in Date constructor
+
+      const offset = fields.offset !== undefined ? this.parseOffset(fields.offset) : null;
+      let date;
+      if (offset !== null) {
+        date = new Date(Date.UTC(...values) - offset * 60000);
+      } else if (this.timezone === 'utc') {
+        date = new Date(Date.UTC(...values));
+      } else if (this.timezone === 'local') {
+        date = new Date(...values);
+      } else {
+        date = this.fromZoneWallClock(Date.UTC(...values));
+      }
       
       // Validate the date
       if (isNaN(date.getTime())) {
         return null;
       }
       
-      return date;
+      return { date, offset };
     } catch (error) {
       return null;
     }
   }
 
+  /**
+   * Instant at which the configured time zone's clock shows a wall-clock time
+   * @param {number} wallClock - Wall-clock time as if it were UTC (ms)
+   * @returns {Date} Instant
+   */
+  fromZoneWallClock(wallClock) {
+    // The offset at the guess is right unless a DST change lies in between
+    let time = wallClock - getZoneFields(this.timezone, new Date(wallClock)).offset * 60000;
+    time = wallClock - getZoneFields(this.timezone, new Date(time)).offset * 60000;
+    return new Date(time);
+  }
+
+  /**
+   * Parse a UTC offset written as `Z`, `+HH:MM` or `+HHMM`
+   * @param {string} text - Offset text
+   * @returns {number} Minutes east of UTC
+   */
+  parseOffset(text) {
+    if (text.toUpperCase() === 'Z') {
+      return 0;
+    }
+    const [, sign, hours, minutes] = text.match(/^([+-])(\d{2}):?(\d{2})$/);
+    const offset = parseInt(hours, 10) * 60 + parseInt(minutes, 10);
+    return sign === '-' ? -offset : offset;
+  }
+
   /**
    * Validate timestamp format
    * @param {string} timestampStr - Timestamp string to validate
@@ -92,8 +362,7 @@ export class TimestampUtils {
       return false;
     }
     
-    const pattern = /^\d{2}:\d{2}:\d{2}\s+\d{4}\/\d{2}\/\d{2}$/;
-    if (!pattern.test(timestampStr)) {
+    if (!this.timestampPattern.test(timestampStr)) {
       return false;
     }
     
@@ -113,67 +382,69 @@ export class TimestampUtils {
     
     try {
       // Use Intl.DateTimeFormat for timezone conversion
-      const formatter = new Intl.DateTimeFormat('en-CA', {
-        timeZone: timezone,
-        year: 'numeric',
-        month: '2-digit',
-        day: '2-digit',
-        hour: '2-digit',
-        minute: '2-digit',
-        second: '2-digit',
-        hour12: false
-      });
-      
-      const parts = formatter.formatToParts(now);
-      const partsMap = {};
-      parts.forEach(part => {
-        partsMap[part.type] = part.value;
-      });
-      
-      return `${partsMap.hour}:${partsMap.minute}:${partsMap.second} ${partsMap.year}/${partsMap.month}/${partsMap.day}`;
+      return this.formatFields(getZoneFields(timezone, now));
     } catch (error) {
       // Fallback to local time if timezone is invalid
-      return this.generateTimestamp(date);
+      return this.formatTimestamp(now, false);
     }
   }
 
   /**
-   * Create a divider line with hash and timestamp
+   * Create a divider line with hash, timestamp and optional attributes
    * @param {string} hash - Content hash
    * @param {Date} [date] - Optional date object
+   * @param {Object} [attributes] - Divider attributes to keep (e.g. { title: 'Intro' })
+   * @param {number} [level] - Section level (number of colons)
    * @returns {string} Complete divider line
    */
-  createDividerLine(hash, date = null) {
+  createDividerLine(hash, date = null, attributes = null, level = 1) {
     const timestamp = this.generateTimestamp(date);
-    return `---: ${hash} ${timestamp}`;
+    const line = `---${':'.repeat(level)} ${hash} ${timestamp}`;
+
+    if (!this.dividerAttributes.hasAttributes(attributes)) {
+      return line;
+    }
+    return `${line} ${this.dividerAttributes.format(attributes)}`;
   }
 
   /**
-   * Parse a divider line to extract hash and timestamp
+   * Parse a divider line to extract hash, timestamp and attributes
    * @param {string} dividerLine - Complete divider line
-   * @returns {Object|null} Object with hash and timestamp, or null if parsing fails
+   * @returns {Object|null} Object with hash, timestamp (the instant), offset
+   *   (minutes east of UTC, null for timestamps written without one),
+   *   attributes and level, or null if parsing fails
    */
   parseDividerLine(dividerLine) {
     try {
-      // Match pattern: ---: HASH HH:MM:SS YYYY/MM/DD
-      const pattern = /^---:\s+([A-F0-9]+)\s+(\d{2}:\d{2}:\d{2}\s+\d{4}\/\d{2}\/\d{2})$/i;
-      const match = dividerLine.match(pattern);
+      // Match pattern: ---: HASH <timestamp> [key=value ...] (---:: for level 2, ...)
+      const match = dividerLine.match(this.dividerPattern);
       
       if (!match) {
         return null;
       }
       
-      const [, hash, timestampStr] = match;
-      const timestamp = this.parseTimestamp(timestampStr);
+      const [, colons, hash, timestampStr, attributeText] = match;
+      const parsed = this.parseTimestampWithOffset(timestampStr);
       
-      if (!timestamp) {
+      if (!parsed) {
+        return null;
+      }
+
+      const attributes = attributeText
+        ? this.dividerAttributes.parse(attributeText)
+        : {};
+
+      if (!attributes) {
         return null;
       }
       
       return {
-        hash: hash.toUpperCase(),
-        timestamp: timestamp,
-        timestampStr: timestampStr
+        hash: this.idStrategy ? this.idStrategy.normalizeId(hash) : hash,
+        timestamp: parsed.date,
+        offset: parsed.offset,
+        timestampStr: timestampStr,
+        attributes: attributes,
+        level: colons.length
       };
     } catch (error) {
       return null;
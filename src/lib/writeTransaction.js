@@ -0,0 +1,376 @@
+import fs from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+
+// Hidden sibling left next to a target: .<name>.<pid>-<random>.<tmp|bak>,
+// and the journal of a commit: .commit.<pid>-<random>.journal
+const SIBLING_PATTERN = /^\.(.+)\.(\d+-[0-9a-f]{8})\.(tmp|bak|journal)$/;
+
+/**
+ * All-or-nothing file writes
+ * Files are staged as temp files next to their targets and only renamed into
+ * place on commit(), so readers never see a half-written file. Files that are
+ * replaced or removed are kept as backups until every rename has succeeded;
+ * if one fails, the renames already done are undone and the previous files
+ * come back. A journal in each directory lists the files of a commit in
+ * progress, so sweep() can undo a commit whose process died halfway. Until
+ * the transaction is committed, reads should go through resolve() to see the
+ * staged content.
+ */
+export class WriteTransaction {
+  constructor() {
+    // Unique per transaction, so concurrent splits never share temp files
+    this.id = `${process.pid}-${crypto.randomBytes(4).toString("hex")}`;
+    this.staged = new Map(); // target path -> temp path, or null to remove
+    this.state = "open"; // open, committed or rolled-back
+    this.journals = []; // Journal paths of a commit in progress
+  }
+
+  /**
+   * Path of a temp or backup file for a target
+   * @param {string} filePath - Target file path
+   * @param {string} suffix - "tmp" or "bak"
+   * @returns {string} Hidden sibling path of the target
+   */
+  getSiblingPath(filePath, suffix) {
+    return path.join(
+      path.dirname(filePath),
+      `.${path.basename(filePath)}.${this.id}.${suffix}`
+    );
+  }
+
+  /**
+   * Whether a file name is a temp, backup or journal file of a transaction
+   * @param {string} filename - File name or path
+   * @returns {boolean} True for files other tools should ignore
+   */
+  static isTransactionFile(filename) {
+    return SIBLING_PATTERN.test(path.basename(filename));
+  }
+
+  /**
+   * Clean up after transactions whose process died before finishing
+   * A commit that was cut off (its journal is still there) is rolled back:
+   * backups go back over their targets, and files it had already added are
+   * removed. Other leftover temp and backup files are deleted. Files of
+   * running processes are left alone.
+   * @param {string} dir - Directory to sweep
+   * @returns {Promise<Object>} { swept: names of the files cleaned up,
+   *   rolledBack: ids of the commits undone }
+   */
+  static async sweep(dir) {
+    let files;
+    try {
+      files = await fs.readdir(dir);
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return { swept: [], rolledBack: [] };
+      }
+      throw error;
+    }
+
+    // Group the leftovers by transaction
+    const transactions = new Map(); // id -> file names
+    for (const filename of files.sort()) {
+      const match = SIBLING_PATTERN.exec(filename);
+      if (!match || WriteTransaction.isRunning(parseInt(match[2], 10))) {
+        continue;
+      }
+      if (!transactions.has(match[2])) {
+        transactions.set(match[2], []);
+      }
+      transactions.get(match[2]).push(filename);
+    }
+
+    const result = { swept: [], rolledBack: [] };
+    for (const [id, filenames] of transactions) {
+      const journalName = `.commit.${id}.journal`;
+      if (filenames.includes(journalName)) {
+        await WriteTransaction.rollbackJournal(dir, id, journalName);
+        result.rolledBack.push(id);
+      }
+
+      for (const filename of filenames) {
+        await fs.rm(path.join(dir, filename), { force: true });
+      }
+      result.swept.push(...filenames);
+    }
+
+    return result;
+  }
+
+  /**
+   * Undo the part of a commit done before its process died
+   * @param {string} dir - Directory of the journal
+   * @param {string} id - Transaction id
+   * @param {string} journalName - Journal file name
+   * @returns {Promise<void>}
+   */
+  static async rollbackJournal(dir, id, journalName) {
+    const journal = JSON.parse(
+      await fs.readFile(path.join(dir, journalName), "utf-8")
+    );
+
+    for (const { name, remove } of journal.files) {
+      const targetPath = path.join(dir, name);
+      const backupPath = path.join(dir, `.${name}.${id}.bak`);
+      const tempPath = path.join(dir, `.${name}.${id}.tmp`);
+
+      if (await WriteTransaction.exists(backupPath)) {
+        // Replaced or removed: the backup is the previous version
+        await fs.rename(backupPath, targetPath);
+      } else if (!remove && !(await WriteTransaction.exists(tempPath))) {
+        // A new file that was already renamed into place
+        await fs.rm(targetPath, { force: true });
+      }
+    }
+  }
+
+  /**
+   * Whether a process is still running
+   * @param {number} pid - Process ID
+   * @returns {boolean} True if the process exists
+   */
+  static isRunning(pid) {
+    if (pid === process.pid) {
+      return true;
+    }
+
+    try {
+      process.kill(pid, 0); // Signal 0 only checks that the process exists
+      return true;
+    } catch (error) {
+      return error.code === "EPERM";
+    }
+  }
+
+  /**
+   * Whether a path exists
+   * @param {string} filePath - Path to check
+   * @returns {Promise<boolean>} True if it exists
+   */
+  static async exists(filePath) {
+    try {
+      await fs.access(filePath);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Stage the new content of a file
+   * Staging the same file again replaces the staged content
+   * @param {string} filePath - Target file path
+   * @param {string} content - File content
+   * @returns {Promise<void>}
+   */
+  async writeFile(filePath, content) {
+    this.assertOpen();
+
+    const tempPath = this.getSiblingPath(filePath, "tmp");
+    await fs.writeFile(tempPath, content, "utf-8");
+    this.staged.set(filePath, tempPath);
+  }
+
+  /**
+   * Stage the removal of a file
+   * @param {string} filePath - File to remove on commit
+   * @returns {Promise<void>}
+   */
+  async remove(filePath) {
+    this.assertOpen();
+
+    const tempPath = this.staged.get(filePath);
+    if (tempPath) {
+      await fs.rm(tempPath, { force: true });
+    }
+    this.staged.set(filePath, null);
+  }
+
+  /**
+   * Path holding the current content of a file, staged or not
+   * Files staged for removal resolve to a path where no file exists
+   * @param {string} filePath - Target file path
+   * @returns {string} Temp path if the file is staged, otherwise the path itself
+   */
+  resolve(filePath) {
+    if (!this.staged.has(filePath)) {
+      return filePath;
+    }
+    return this.staged.get(filePath) || this.getSiblingPath(filePath, "tmp");
+  }
+
+  /**
+   * Move every staged file into place
+   * Replaced and removed files are backed up first; if a rename fails, all
+   * changes are undone and the error is thrown
+   * @returns {Promise<Array<string>>} Paths that were written or removed
+   */
+  async commit() {
+    this.assertOpen();
+
+    const done = []; // { filePath, backupPath }
+    try {
+      await this.writeJournals();
+      for (const [filePath, tempPath] of this.staged) {
+        const backupPath = await this.backup(filePath, tempPath === null);
+        done.push({ filePath, backupPath });
+
+        if (tempPath !== null) {
+          await fs.rename(tempPath, filePath);
+        }
+      }
+    } catch (error) {
+      await this.restore(done);
+      await this.rollback();
+      await this.removeJournals();
+      throw new Error(`Failed to commit file changes: ${error.message}`);
+    }
+
+    // Every file is in place: from here on the commit is not undone, and the
+    // backups are no longer needed
+    await this.removeJournals();
+    for (const { backupPath } of done) {
+      if (backupPath) {
+        await fs.rm(backupPath, { force: true });
+      }
+    }
+
+    this.state = "committed";
+    return [...this.staged.keys()];
+  }
+
+  /**
+   * Record the files of the commit before the first one is touched
+   * There is one journal per directory with staged files, listing the
+   * { name, remove } of the files in it
+   * @returns {Promise<void>}
+   */
+  async writeJournals() {
+    const journals = new Map();
+    for (const [filePath, tempPath] of this.staged) {
+      const journalPath = path.join(
+        path.dirname(filePath),
+        `.commit.${this.id}.journal`
+      );
+      if (!journals.has(journalPath)) {
+        journals.set(journalPath, []);
+      }
+      journals.get(journalPath).push({
+        name: path.basename(filePath),
+        remove: tempPath === null,
+      });
+    }
+
+    for (const [journalPath, files] of journals) {
+      this.journals.push(journalPath);
+      await fs.writeFile(
+        journalPath,
+        JSON.stringify({ transaction: this.id, files }) + "\n",
+        "utf-8"
+      );
+    }
+  }
+
+  /**
+   * Remove the journals once the commit is complete or undone
+   * @returns {Promise<void>}
+   */
+  async removeJournals() {
+    for (const journalPath of this.journals) {
+      await fs.rm(journalPath, { force: true });
+    }
+    this.journals = [];
+  }
+
+  /**
+   * Drop every staged change; files on disk are left as they were
+   * @returns {Promise<void>}
+   */
+  async rollback() {
+    if (this.state !== "open") {
+      return;
+    }
+
+    for (const tempPath of this.staged.values()) {
+      if (tempPath) {
+        await fs.rm(tempPath, { force: true });
+      }
+    }
+
+    this.staged.clear();
+    this.state = "rolled-back";
+  }
+
+  /**
+   * Keep the current version of a file before it is replaced or removed
+   * Replaced files are hard-linked (copied where links are not supported),
+   * so the target never disappears; removed files are moved aside
+   * @param {string} filePath - Target file path
+   * @param {boolean} removing - True if the file is being removed
+   * @returns {Promise<string|null>} Backup path, or null if there was no file
+   */
+  async backup(filePath, removing) {
+    const backupPath = this.getSiblingPath(filePath, "bak");
+
+    try {
+      if (removing) {
+        await fs.rename(filePath, backupPath);
+      } else {
+        await this.linkOrCopy(filePath, backupPath);
+      }
+      return backupPath;
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return null; // New file, nothing to keep
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Hard-link a file, or copy it where links are not supported
+   * @param {string} source - Existing file
+   * @param {string} destination - New path
+   * @returns {Promise<void>}
+   */
+  async linkOrCopy(source, destination) {
+    try {
+      await fs.link(source, destination);
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        throw error;
+      }
+      await fs.copyFile(source, destination);
+    }
+  }
+
+  /**
+   * Undo committed renames, newest first
+   * @param {Array<Object>} done - { filePath, backupPath } of handled files
+   * @returns {Promise<void>}
+   */
+  async restore(done) {
+    for (const { filePath, backupPath } of [...done].reverse()) {
+      try {
+        if (backupPath) {
+          await fs.rename(backupPath, filePath);
+        } else {
+          await fs.rm(filePath, { force: true });
+        }
+      } catch (error) {
+        console.error(`✗ Failed to restore ${filePath}: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Throw unless changes can still be staged or committed
+   */
+  assertOpen() {
+    if (this.state !== "open") {
+      throw new Error(`Write transaction is already ${this.state}`);
+    }
+  }
+}
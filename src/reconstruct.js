@@ -1,6 +1,7 @@
 #!/usr/bin/env node
 
 import { DocumentReconstructor } from './lib/documentReconstructor.js';
+import { SplitManifest } from './lib/splitManifest.js';
 import fs from 'fs/promises';
 import path from 'path';
 
@@ -14,14 +15,23 @@ class MultiSourceReconstructor {
       inputFile: options.inputFile || null,
       outputFile: options.outputFile || null,
       inputDir: options.inputDir || '_out',
+      storeDir: options.storeDir || null,
       analyze: options.analyze || false,
+      restoreOriginal: options.restoreOriginal || false,
+      fromManifest: options.fromManifest || false,
       verbose: options.verbose || false,
+      maxDepth: options.maxDepth || 32,
+      idStrategy: options.idStrategy || 'sha256',
       ...options
     };
 
     this.reconstructor = new DocumentReconstructor({
       inputDir: this.options.inputDir,
-      fileExtension: '.md'
+      storeDir: this.options.storeDir,
+      fileExtension: '.md',
+      maxDepth: this.options.maxDepth,
+      idStrategy: this.options.idStrategy,
+      timestampFormat: this.options.timestampFormat
     });
   }
 
@@ -37,7 +47,7 @@ class MultiSourceReconstructor {
       }
 
       console.log(`📄 Input file: ${this.options.inputFile}`);
-      console.log(`📁 Search directory: ${this.options.inputDir}`);
+      console.log(`📁 Search directory: ${this.reconstructor.getSearchDir(this.options.inputFile)}`);
       console.log('');
 
       // Validate input file exists
@@ -52,6 +62,16 @@ class MultiSourceReconstructor {
         return;
       }
 
+      if (this.options.restoreOriginal) {
+        await this.restoreOriginal();
+        return;
+      }
+
+      if (this.options.fromManifest || SplitManifest.isManifestPath(this.options.inputFile)) {
+        await this.reconstructFromManifest();
+        return;
+      }
+
       // Reconstruct the document
       console.log('🔍 Analyzing references...');
       const analysis = await this.reconstructor.analyzeFile(this.options.inputFile);
@@ -61,7 +81,7 @@ class MultiSourceReconstructor {
       }
 
       if (analysis.missingReferences > 0) {
-        console.log(`⚠️  Warning: ${analysis.missingReferences} referenced files are missing:`);
+        console.log(`⚠️  Warning: ${analysis.missingReferences} referenced files are missing from ${analysis.searchDir}:`);
         analysis.missingFiles.forEach(file => console.log(`   - ${file}`));
         console.log('');
       }
@@ -69,12 +89,7 @@ class MultiSourceReconstructor {
       console.log('🔄 Reconstructing document...');
       const reconstructedContent = await this.reconstructor.reconstructDocument(this.options.inputFile);
 
-      // Determine output file
-      let outputFile = this.options.outputFile;
-      if (!outputFile) {
-        const inputBaseName = path.basename(this.options.inputFile, path.extname(this.options.inputFile));
-        outputFile = `${inputBaseName}-reconstructed.md`;
-      }
+      const outputFile = this.getOutputFile();
 
       // Write reconstructed content
       await fs.writeFile(outputFile, reconstructedContent, 'utf-8');
@@ -98,6 +113,91 @@ class MultiSourceReconstructor {
     }
   }
 
+  /**
+   * Reconstruct the document from the sections listed in the split manifest
+   */
+  async reconstructFromManifest() {
+    const manifestPath = this.getManifestPath();
+    console.log(`📋 Manifest: ${manifestPath}`);
+
+    const { sections } = await this.reconstructor.loadManifestDocument(manifestPath);
+    const missing = sections.filter(section => section.missing);
+
+    if (missing.length > 0) {
+      console.log(`⚠️  Warning: ${missing.length} section files are missing:`);
+      missing.forEach(section => console.log(`   - ${section.filename}`));
+      console.log('');
+    }
+
+    console.log('🔄 Reconstructing document...');
+    const reconstructedContent = this.reconstructor.joinManifestSections(sections);
+
+    const outputFile = this.getOutputFile();
+    await fs.writeFile(outputFile, reconstructedContent, 'utf-8');
+
+    const stats = await fs.stat(outputFile);
+    console.log(`✓ Reconstructed document written to: ${outputFile} (${stats.size} bytes)`);
+
+    console.log('');
+    console.log('📊 Reconstruction Summary:');
+    console.log(`   📄 Original sections: ${sections.length}`);
+    console.log(`   ✅ Successfully combined: ${sections.length - missing.length}`);
+    if (missing.length > 0) {
+      console.log(`   ❌ Missing sections: ${missing.length}`);
+    }
+    console.log(`   💾 Output size: ${stats.size} bytes`);
+  }
+
+  /**
+   * Restore the original source byte for byte from the split manifest
+   */
+  async restoreOriginal() {
+    const manifestPath = this.getManifestPath();
+    console.log(`📋 Manifest: ${manifestPath}`);
+    console.log('🔄 Restoring original document...');
+
+    const result = await this.reconstructor.restoreOriginal(manifestPath);
+
+    if (!result.verified) {
+      throw new Error(
+        `Restored document does not match the source (expected SHA-256 ${result.expectedHash}, got ${result.actualHash})`
+      );
+    }
+    console.log(`✓ SHA-256 verified: ${result.actualHash}`);
+
+    const outputFile = this.getOutputFile();
+    await fs.writeFile(outputFile, result.content, 'utf-8');
+
+    const stats = await fs.stat(outputFile);
+    console.log(`✓ Original document written to: ${outputFile} (${stats.size} bytes)`);
+  }
+
+  /**
+   * Manifest belonging to the input file (or the input itself if it is a manifest)
+   * @returns {string} Manifest path
+   */
+  getManifestPath() {
+    const inputFile = this.options.inputFile;
+    if (inputFile.endsWith('.manifest.json')) {
+      return inputFile;
+    }
+    return SplitManifest.getManifestPath(path.dirname(inputFile), inputFile);
+  }
+
+  /**
+   * Output path from --output or derived from the input file name
+   * @returns {string} Output file path
+   */
+  getOutputFile() {
+    if (this.options.outputFile) {
+      return this.options.outputFile;
+    }
+
+    const inputName = path.basename(this.options.inputFile).replace(/\.manifest\.json$/, '');
+    const inputBaseName = path.basename(inputName, path.extname(inputName));
+    return `${inputBaseName}-reconstructed.md`;
+  }
+
   /**
    * Analyze file and show detailed information
    */
@@ -118,6 +218,35 @@ class MultiSourceReconstructor {
         .filter(ref => !analysis.missingFiles.includes(`${ref.hash}.md`))
         .forEach(ref => console.log(`   - ${ref.hash}.md (line ${ref.lineNumber})`));
     }
+
+    const tree = await this.reconstructor.buildReferenceTree(this.options.inputFile);
+    console.log('\n🌳 Reference Tree:');
+    console.log(`   ${tree.name}`);
+    this.printReferenceTree(tree.references, '   ');
+  }
+
+  /**
+   * Print reference tree nodes with box-drawing branches
+   * @param {Array} nodes - Nodes from DocumentReconstructor.buildReferenceTree
+   * @param {string} indent - Prefix for this depth
+   */
+  printReferenceTree(nodes, indent) {
+    nodes.forEach((node, i) => {
+      const isLast = i === nodes.length - 1;
+      let note = '';
+      if (node.cycle) {
+        note = ' 🔁 cycle';
+      } else if (node.candidates) {
+        note = ` ❓ ambiguous (${node.candidates.join(', ')})`;
+      } else if (!node.found) {
+        note = ' ❌ missing';
+      } else if (node.truncated) {
+        note = ` ⚠️  depth limit (${this.options.maxDepth}) reached`;
+      }
+
+      console.log(`${indent}${isLast ? '└── ' : '├── '}${node.name}${note}`);
+      this.printReferenceTree(node.references, indent + (isLast ? '    ' : '│   '));
+    });
   }
 
   /**
@@ -145,8 +274,20 @@ Usage: node src/reconstruct.js [options]
 Options:
   --input, -i <file>     Input file with references (required)
   --output, -o <file>    Output file path (default: <input>-reconstructed.md)
-  --input-dir <dir>      Directory to search for referenced files (default: _out)
-  --analyze              Only analyze the file, don't reconstruct
+  --input-dir <dir>      Directory to search for referenced files (default: the
+                         input file's directory)
+  --store <dir>          Resolve references against a shared section store
+  --analyze              Only analyze the file and print its reference tree
+  --from-manifest        Load sections from the split manifest instead of
+                         following reference lines (implied for *.manifest.json)
+  --restore-original     Restore the source byte for byte from the split manifest
+                         and verify its SHA-256 (input may be the main file or
+                         the <name>.manifest.json file)
+  --max-depth <n>        Maximum reference nesting depth (default: 32)
+  --id-strategy <name>   ID strategy the document was split with (sha256,
+                         base32, ulid, slug or explicit; default: sha256)
+  --timestamp-format <fmt> Divider timestamp format of the split: default,
+                         iso or tokens (e.g. "YYYY-MM-DD HH:mm:ss")
   --verbose, -v          Verbose output
   --help, -h             Show this help
 
@@ -154,7 +295,9 @@ Examples:
   node src/reconstruct.js -i _out/multi-source.md
   node src/reconstruct.js -i _out/multi-source.md -o original.md
   node src/reconstruct.js -i _out/multi-source.md --analyze --verbose
+  node src/reconstruct.js -i _out/multi-source.md --restore-original -o original.md
   node src/reconstruct.js -i document.md --input-dir results
+  node src/reconstruct.js -i docs/guide/guide.md --store docs/store
 `);
   }
 }
@@ -188,11 +331,39 @@ function parseArgs() {
       case '--input-dir':
         options.inputDir = args[++i];
         break;
+
+      case '--store':
+        options.storeDir = args[++i];
+        break;
         
       case '--analyze':
         options.analyze = true;
         break;
+
+      case '--from-manifest':
+        options.fromManifest = true;
+        break;
+
+      case '--restore-original':
+        options.restoreOriginal = true;
+        break;
+
+      case '--max-depth':
+        options.maxDepth = parseInt(args[++i], 10);
+        if (!Number.isInteger(options.maxDepth) || options.maxDepth < 1) {
+          console.error('--max-depth must be a positive integer');
+          process.exit(1);
+        }
+        break;
+
+      case '--id-strategy':
+        options.idStrategy = args[++i];
+        break;
         
+      case '--timestamp-format':
+        options.timestampFormat = args[++i];
+        break;
+
       case '--verbose':
       case '-v':
         options.verbose = true;
@@ -0,0 +1,181 @@
+#!/usr/bin/env node
+
+import { SectionRehasher } from './lib/sectionRehasher.js';
+
+/**
+ * Section File Rehasher
+ * Renames edited section files after their new hash and updates references
+ */
+class SectionRehash {
+  constructor(options = {}) {
+    this.options = {
+      outputDir: options.outputDir || '_out',
+      dryRun: options.dryRun || false,
+      hashLength: options.hashLength || 8,
+      verbose: options.verbose || false,
+      ...options
+    };
+
+    this.rehasher = new SectionRehasher({
+      outputDir: this.options.outputDir,
+      fileExtension: '.md',
+      hashOptions: { length: this.options.hashLength },
+      idStrategy: this.options.idStrategy,
+      timestampFormat: this.options.timestampFormat
+    });
+  }
+
+  /**
+   * Main rehash process
+   */
+  async run() {
+    try {
+      console.log('🔁 Section File Rehasher');
+      console.log(`📁 Output directory: ${this.options.outputDir}`);
+      if (this.options.dryRun) {
+        console.log('🔍 Dry run: no files will be changed');
+      }
+      console.log('');
+
+      const result = await this.rehasher.rehash({ dryRun: this.options.dryRun });
+
+      if (result.renames.length === 0) {
+        console.log('✅ All section files match their hashes');
+        return;
+      }
+
+      console.log(this.options.dryRun ? '🔍 Would rename:' : '✏️  Renamed:');
+      result.renames.forEach(rename => {
+        const note = rename.merged ? ' (same content already stored there)' : '';
+        console.log(`   - ${rename.filename} → ${rename.newFilename}${note}`);
+      });
+      console.log('');
+
+      if (this.options.verbose && result.updatedFiles.length > 0) {
+        console.log('🔗 Updated references in:');
+        result.updatedFiles.forEach(file => console.log(`   - ${file}`));
+        console.log('');
+      }
+
+      console.log('📊 Rehash Summary:');
+      console.log(`   ✏️  ${this.options.dryRun ? 'Would rename' : 'Renamed'}: ${result.renames.length}`);
+      if (!this.options.dryRun) {
+        console.log(`   🔗 Files with updated references: ${result.updatedFiles.length}`);
+        console.log(`   📋 Updated manifests: ${result.updatedManifests.length}`);
+        console.log(`   🗺️  Mapping recorded in: ${result.mapPath}`);
+      }
+
+    } catch (error) {
+      console.error('❌ Error:', error.message);
+      process.exit(1);
+    }
+  }
+
+  /**
+   * Show help information
+   */
+  static showHelp() {
+    console.log(`
+Section File Rehasher
+
+Usage: node src/rehash.js [options]
+
+Finds section files whose content no longer matches the hash in their name,
+renames them after their new hash, rewrites their divider line and every
+reference (in main files and nested sections) and manifest entry that
+pointed to the old hash. The old → new mapping is appended to
+rehash.map.json in the output directory.
+
+Options:
+  --dir, -d <dir>        Output directory to rehash (default: _out)
+  --dry-run              List the renames without changing any file
+  --hash-length <n>      Length of the new hashes (default: 8)
+  --id-strategy <name>   ID strategy the document was split with (sha256,
+                         base32, ulid, slug or explicit; default: from the manifest)
+  --timestamp-format <fmt> Divider timestamp format of the split: default,
+                         iso or tokens (e.g. "YYYY-MM-DD HH:mm:ss")
+  --verbose, -v          Verbose output
+  --help, -h             Show this help
+
+Examples:
+  node src/rehash.js --dry-run
+  node src/rehash.js -d results --hash-length 12
+`);
+  }
+}
+
+/**
+ * Parse command line arguments
+ */
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const options = {};
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+
+    switch (arg) {
+      case '--help':
+      case '-h':
+        SectionRehash.showHelp();
+        process.exit(0);
+
+      case '--dir':
+      case '-d':
+        options.outputDir = args[++i];
+        break;
+
+      case '--dry-run':
+        options.dryRun = true;
+        break;
+
+      case '--hash-length':
+        options.hashLength = parseInt(args[++i], 10);
+        break;
+
+      case '--id-strategy':
+        options.idStrategy = args[++i];
+        break;
+
+      case '--timestamp-format':
+        options.timestampFormat = args[++i];
+        break;
+
+      case '--verbose':
+      case '-v':
+        options.verbose = true;
+        break;
+
+      default:
+        if (arg.startsWith('-')) {
+          console.error(`Unknown option: ${arg}`);
+          console.error('Use --help for usage information');
+          process.exit(1);
+        }
+        break;
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Main entry point
+ */
+async function main() {
+  try {
+    const options = parseArgs();
+    const rehash = new SectionRehash(options);
+    await rehash.run();
+  } catch (error) {
+    console.error('Fatal error:', error.message);
+    process.exit(1);
+  }
+}
+
+// Run if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main();
+}
+
+export { SectionRehash };
@@ -0,0 +1,191 @@
+#!/usr/bin/env node
+
+import { OutputVerifier } from './lib/outputVerifier.js';
+
+/**
+ * Section File Verifier
+ * Checks that every section file still hashes to the hash it is named after
+ */
+class SectionVerifier {
+  constructor(options = {}) {
+    this.options = {
+      outputDir: options.outputDir || '_out',
+      verbose: options.verbose || false,
+      ...options
+    };
+
+    this.verifier = new OutputVerifier({
+      outputDir: this.options.outputDir,
+      fileExtension: '.md',
+      idStrategy: this.options.idStrategy,
+      timestampFormat: this.options.timestampFormat
+    });
+  }
+
+  /**
+   * Main verification process
+   * @returns {Promise<boolean>} True if no problems were found
+   */
+  async run() {
+    try {
+      console.log('🔎 Section File Verifier');
+      console.log(`📁 Output directory: ${this.options.outputDir}`);
+      console.log('');
+
+      const report = await this.verifier.verify();
+
+      if (this.options.verbose && report.verified.length > 0) {
+        console.log('✅ Verified:');
+        report.verified.forEach(file => console.log(`   - ${file.filename}`));
+        console.log('');
+      }
+
+      if (report.mismatched.length > 0) {
+        console.log('❌ Content no longer matches its hash:');
+        report.mismatched.forEach(file => {
+          const source = file.manifest ? ` (recorded in ${file.manifest})` : '';
+          console.log(`   - ${file.filename}${source}`);
+          if (this.options.verbose) {
+            console.log(`       expected ${file.expected}`);
+            console.log(`       actual   ${file.actual}`);
+          }
+        });
+        console.log('');
+      }
+
+      if (report.missing.length > 0) {
+        console.log('❌ Missing files:');
+        report.missing.forEach(file => console.log(`   - ${file.filename}`));
+        console.log('');
+      }
+
+      if (report.unreferenced.length > 0) {
+        console.log('⚠️  Unreferenced section files:');
+        report.unreferenced.forEach(file => console.log(`   - ${file.filename}`));
+        console.log('');
+      }
+
+      const problems = report.mismatched.length + report.missing.length + report.unreferenced.length;
+
+      console.log('📊 Verification Summary:');
+      console.log(`   ✅ Verified: ${report.verified.length}`);
+      console.log(`   ❌ Mismatched: ${report.mismatched.length}`);
+      console.log(`   ❌ Missing: ${report.missing.length}`);
+      console.log(`   ⚠️  Unreferenced: ${report.unreferenced.length}`);
+
+      if (problems > 0) {
+        console.log('');
+        console.log(`❌ Found ${problems} problem${problems === 1 ? '' : 's'}`);
+        return false;
+      }
+
+      console.log('');
+      console.log('✅ All section files match their hashes');
+      return true;
+
+    } catch (error) {
+      console.error('❌ Error:', error.message);
+      process.exit(1);
+    }
+  }
+
+  /**
+   * Show help information
+   */
+  static showHelp() {
+    console.log(`
+Section File Verifier
+
+Usage: node src/verify.js [options]
+
+Strips the divider from every section file in the output directory,
+recomputes its hash the way the split did and reports files whose content
+no longer matches their hash (or the digest in the split manifest), files
+that are referenced but missing, and section files nothing references.
+Exits with status 1 if any problem is found, so it can run in a pre-commit
+hook.
+
+Options:
+  --dir, -d <dir>        Output directory to verify (default: _out)
+  --id-strategy <name>   ID strategy the document was split with (sha256,
+                         base32, ulid, slug or explicit; default: from the manifest)
+  --timestamp-format <fmt> Divider timestamp format of the split: default,
+                         iso or tokens (e.g. "YYYY-MM-DD HH:mm:ss")
+  --verbose, -v          List verified files and show expected digests
+  --help, -h             Show this help
+
+Examples:
+  node src/verify.js
+  node src/verify.js -d results --verbose
+`);
+  }
+}
+
+/**
+ * Parse command line arguments
+ */
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const options = {};
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+
+    switch (arg) {
+      case '--help':
+      case '-h':
+        SectionVerifier.showHelp();
+        process.exit(0);
+
+      case '--dir':
+      case '-d':
+        options.outputDir = args[++i];
+        break;
+
+      case '--id-strategy':
+        options.idStrategy = args[++i];
+        break;
+
+      case '--timestamp-format':
+        options.timestampFormat = args[++i];
+        break;
+
+      case '--verbose':
+      case '-v':
+        options.verbose = true;
+        break;
+
+      default:
+        if (arg.startsWith('-')) {
+          console.error(`Unknown option: ${arg}`);
+          console.error('Use --help for usage information');
+          process.exit(1);
+        }
+        break;
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Main entry point
+ */
+async function main() {
+  try {
+    const options = parseArgs();
+    const verifier = new SectionVerifier(options);
+    const ok = await verifier.run();
+    process.exit(ok ? 0 : 1);
+  } catch (error) {
+    console.error('Fatal error:', error.message);
+    process.exit(1);
+  }
+}
+
+// Run if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main();
+}
+
+export { SectionVerifier };
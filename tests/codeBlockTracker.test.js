@@ -0,0 +1,70 @@
+import { test, describe } from "node:test";
+import assert from "node:assert";
+import { CodeBlockTracker } from "../src/lib/codeBlockTracker.js";
+
+describe("CodeBlockTracker", () => {
+  // Feed all lines and return which ones are code
+  function classify(text) {
+    const tracker = new CodeBlockTracker();
+    return text.split("\n").map((line) => tracker.isCode(line));
+  }
+
+  test("should mark backtick fences and their content as code", () => {
+    const result = classify("Text\n```markdown\n---:\n```\n---:");
+
+    assert.deepStrictEqual(result, [false, true, true, true, false]);
+  });
+
+  test("should mark tilde fences as code", () => {
+    const result = classify("~~~\n---:\n~~~\nafter");
+
+    assert.deepStrictEqual(result, [true, true, true, false]);
+  });
+
+  test("should only close a fence with the same marker of equal or greater length", () => {
+    const result = classify("````\n```\n~~~~\n---:\n`````\n---:");
+
+    assert.deepStrictEqual(result, [true, true, true, true, true, false]);
+  });
+
+  test("should not treat closing fences with info strings as closing", () => {
+    const result = classify("```\n``` js\n---:\n```\nafter");
+
+    assert.deepStrictEqual(result, [true, true, true, true, false]);
+  });
+
+  test("should reject backtick fences with backticks in the info string", () => {
+    const result = classify("``` a`b\n---:");
+
+    assert.deepStrictEqual(result, [false, false]);
+  });
+
+  test("should keep an unterminated fence open until the end", () => {
+    const tracker = new CodeBlockTracker();
+    tracker.isCode("```");
+    assert.strictEqual(tracker.isCode("---:"), true);
+    assert.strictEqual(tracker.isInFence(), true);
+
+    tracker.reset();
+    assert.strictEqual(tracker.isInFence(), false);
+    assert.strictEqual(tracker.isCode("---:"), false);
+  });
+
+  test("should detect indented code blocks after a blank line", () => {
+    const result = classify("Paragraph\n\n    ---:\n\n    more code\nback to text");
+
+    assert.deepStrictEqual(result, [false, false, true, true, true, false]);
+  });
+
+  test("should not start indented code inside a paragraph", () => {
+    const result = classify("Paragraph\n    continued paragraph");
+
+    assert.deepStrictEqual(result, [false, false]);
+  });
+
+  test("should handle CRLF line endings", () => {
+    const result = classify("```\r\n---:\r\n```\r\n---:\r");
+
+    assert.deepStrictEqual(result, [true, true, true, false]);
+  });
+});
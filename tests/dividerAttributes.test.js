@@ -0,0 +1,60 @@
+import { test, describe } from "node:test";
+import assert from "node:assert";
+import { DividerAttributes } from "../src/lib/dividerAttributes.js";
+
+describe("DividerAttributes", () => {
+  const attributes = new DividerAttributes();
+
+  test("should parse bare and quoted values in order", () => {
+    const parsed = attributes.parse('title="Intro" tags=draft,api id=intro');
+
+    assert.deepStrictEqual(parsed, {
+      title: "Intro",
+      tags: "draft,api",
+      id: "intro",
+    });
+    assert.deepStrictEqual(Object.keys(parsed), ["title", "tags", "id"]);
+  });
+
+  test("should unescape quotes and backslashes in quoted values", () => {
+    const parsed = attributes.parse('title="Say \\"hi\\" \\\\ bye" empty=""');
+
+    assert.deepStrictEqual(parsed, { title: 'Say "hi" \\ bye', empty: "" });
+  });
+
+  test("should reject text that is not an attribute list", () => {
+    assert.strictEqual(attributes.parse(""), null);
+    assert.strictEqual(attributes.parse("   "), null);
+    assert.strictEqual(attributes.parse("some prose"), null);
+    assert.strictEqual(attributes.parse("A1B2C3D4"), null);
+    assert.strictEqual(attributes.parse("title=Intro trailing"), null);
+    assert.strictEqual(attributes.parse('title="unterminated'), null);
+    assert.strictEqual(attributes.parse('title="a"b'), null);
+    assert.strictEqual(attributes.parse("1st=value"), null);
+    assert.strictEqual(attributes.parse(null), null);
+  });
+
+  test("should format attributes so they parse back unchanged", () => {
+    const original = {
+      title: "Getting started",
+      tags: "draft,api",
+      note: 'uses "quotes" \\ and = signs',
+      empty: "",
+    };
+
+    const formatted = attributes.format(original);
+
+    assert.strictEqual(
+      formatted,
+      'title="Getting started" tags=draft,api note="uses \\"quotes\\" \\\\ and = signs" empty=""'
+    );
+    assert.deepStrictEqual(attributes.parse(formatted), original);
+  });
+
+  test("should report whether attributes are present", () => {
+    assert.strictEqual(attributes.hasAttributes({ id: "intro" }), true);
+    assert.strictEqual(attributes.hasAttributes({}), false);
+    assert.strictEqual(attributes.hasAttributes(null), false);
+    assert.strictEqual(attributes.format({}), "");
+  });
+});
@@ -75,6 +75,61 @@ More content after references`;
     await cleanup();
   });
 
+  test("should recognize timestamps in the configured format", async () => {
+    await setup();
+
+    const isoReconstructor = new DocumentReconstructor({ timestampFormat: "iso" });
+    const content = `Main content
+
+---: ABCD1234 2025-08-16T16:12:30+02:00 title=Intro
+---:: EFAB5678 2025-08-16T14:12:31Z`;
+
+    const result = isoReconstructor.extractReferences(content);
+    assert.deepStrictEqual(
+      result.references.map((reference) => [reference.hash, reference.level]),
+      [
+        ["ABCD1234", 1],
+        ["EFAB5678", 2],
+      ]
+    );
+    assert.deepStrictEqual(
+      isoReconstructor.parseReferenceLine(content.split("\n")[2]).attributes,
+      { title: "Intro" }
+    );
+    assert.ok(
+      isoReconstructor
+        .cleanReferencedContent("---: ABCD1234 2025-08-16T16:12:30Z\nText")
+        .startsWith("---: ABCD1234\n")
+    );
+
+    // The default format does not take ISO timestamps for attributes
+    assert.strictEqual(
+      reconstructor.parseReferenceLine("---: ABCD1234 2025-08-16T16:12:30Z"),
+      null
+    );
+
+    await cleanup();
+  });
+
+  test("should ignore reference lines inside code blocks", async () => {
+    await setup();
+
+    const content = `Main content
+\`\`\`
+---: 1234ABCD
+\`\`\`
+
+---: ABCD1234`;
+
+    const result = reconstructor.extractReferences(content);
+
+    assert.strictEqual(result.references.length, 1);
+    assert.strictEqual(result.references[0].hash, "ABCD1234");
+    assert.ok(result.baseContent.includes("---: 1234ABCD"));
+
+    await cleanup();
+  });
+
   test("should handle content without references", async () => {
     await setup();
 
@@ -206,6 +261,233 @@ Final content`;
     }
   });
 
+  // Write hash files into testDir: { HASH: content }
+  async function writeFiles(files) {
+    for (const [name, content] of Object.entries(files)) {
+      await fs.writeFile(path.join(testDir, `${name}.md`), content, "utf-8");
+    }
+  }
+
+  test("should resolve references in referenced files recursively", async () => {
+    await setup();
+
+    try {
+      await writeFiles({
+        main: "Main content\n\n---: AAAA1111",
+        AAAA1111: "---: AAAA1111 16:12:30 2025/08/16\nFirst\n\n---: BBBB2222\n",
+        BBBB2222: "---: BBBB2222 16:12:30 2025/08/16\nSecond",
+      });
+
+      const testReconstructor = new DocumentReconstructor({
+        inputDir: testDir,
+      });
+      const reconstructed = await testReconstructor.reconstructDocument(
+        path.join(testDir, "main.md")
+      );
+
+      assert.strictEqual(
+        reconstructed,
+        "Main content\n\n---: AAAA1111\nFirst\n\n---: BBBB2222\nSecond"
+      );
+    } finally {
+      await cleanup();
+    }
+  });
+
+  test("should report reference cycles with the hash chain", async () => {
+    await setup();
+
+    try {
+      await writeFiles({
+        main: "Main\n\n---: AAAA1111",
+        AAAA1111: "---: AAAA1111\nA\n\n---: BBBB2222",
+        BBBB2222: "---: BBBB2222\nB\n\n---: AAAA1111",
+      });
+
+      const testReconstructor = new DocumentReconstructor({
+        inputDir: testDir,
+      });
+
+      await assert.rejects(
+        () =>
+          testReconstructor.reconstructDocument(path.join(testDir, "main.md")),
+        /Reference cycle detected: AAAA1111 → BBBB2222 → AAAA1111/
+      );
+    } finally {
+      await cleanup();
+    }
+  });
+
+  test("should resolve references written as unique hash prefixes", async () => {
+    await setup();
+
+    try {
+      await writeFiles({
+        main: "Main\n\n---: AAAA\n---: BBBB22",
+        AAAA1111: "---: AAAA1111 16:12:30 2025/08/16\nFirst",
+        BBBB2222: "---: BBBB2222 16:12:30 2025/08/16\nSecond\n\n---: AAAA1",
+      });
+
+      const testReconstructor = new DocumentReconstructor({
+        inputDir: testDir,
+      });
+      const mainFile = path.join(testDir, "main.md");
+
+      const reconstructed = await testReconstructor.reconstructDocument(
+        mainFile
+      );
+      assert.strictEqual(
+        reconstructed,
+        "Main\n\n---: AAAA1111\nFirst\n\n---: BBBB2222\nSecond\n\n---: AAAA1111\nFirst"
+      );
+
+      const analysis = await testReconstructor.analyzeFile(mainFile);
+      assert.strictEqual(analysis.missingReferences, 0);
+
+      const tree = await testReconstructor.buildReferenceTree(mainFile);
+      assert.deepStrictEqual(
+        tree.references.map((node) => [node.hash, node.found]),
+        [
+          ["AAAA1111", true],
+          ["BBBB2222", true],
+        ]
+      );
+      assert.strictEqual(tree.references[1].references[0].hash, "AAAA1111");
+    } finally {
+      await cleanup();
+    }
+  });
+
+  test("should analyze references in the directory it reconstructs from", async () => {
+    await setup();
+
+    try {
+      await writeFiles({
+        AAAA1111: "---: AAAA1111 16:12:30 2025/08/16\nFirst",
+      });
+      const mainDir = path.join(testDir, "main");
+      await fs.mkdir(mainDir, { recursive: true });
+      const mainFile = path.join(mainDir, "main.md");
+      await fs.writeFile(mainFile, "Main\n\n---: AAAA1111\n---: BBBB2222", "utf-8");
+
+      const analysis = await new DocumentReconstructor({
+        inputDir: testDir,
+      }).analyzeFile(mainFile);
+
+      assert.strictEqual(analysis.searchDir, testDir);
+      assert.strictEqual(analysis.foundReferences, 1);
+      assert.deepStrictEqual(analysis.missingFiles, ["BBBB2222.md"]);
+    } finally {
+      await cleanup();
+    }
+  });
+
+  test("should reject ambiguous hash prefixes with their candidates", async () => {
+    await setup();
+
+    try {
+      await writeFiles({
+        main: "Main\n\n---: ABCD",
+        ABCD1111: "---: ABCD1111\nOne",
+        ABCD2222: "---: ABCD2222\nTwo",
+      });
+
+      const testReconstructor = new DocumentReconstructor({
+        inputDir: testDir,
+      });
+
+      await assert.rejects(
+        () =>
+          testReconstructor.reconstructDocument(path.join(testDir, "main.md")),
+        /Ambiguous hash prefix ABCD: matches ABCD1111, ABCD2222/
+      );
+
+      const tree = await testReconstructor.buildReferenceTree(
+        path.join(testDir, "main.md")
+      );
+      assert.deepStrictEqual(tree.references[0].candidates, [
+        "ABCD1111",
+        "ABCD2222",
+      ]);
+      assert.strictEqual(tree.references[0].found, false);
+    } finally {
+      await cleanup();
+    }
+  });
+
+  test("should stop at the configured depth limit", async () => {
+    await setup();
+
+    try {
+      await writeFiles({
+        main: "Main\n\n---: AAAA1111",
+        AAAA1111: "---: AAAA1111\nA\n\n---: BBBB2222",
+        BBBB2222: "---: BBBB2222\nB\n\n---: CCCC3333",
+        CCCC3333: "---: CCCC3333\nC",
+      });
+
+      const mainFile = path.join(testDir, "main.md");
+      const shallow = new DocumentReconstructor({
+        inputDir: testDir,
+        maxDepth: 2,
+      });
+
+      await assert.rejects(
+        () => shallow.reconstructDocument(mainFile),
+        /Reference depth limit of 2 exceeded: AAAA1111 → BBBB2222 → CCCC3333/
+      );
+
+      const deep = new DocumentReconstructor({ inputDir: testDir, maxDepth: 3 });
+      const reconstructed = await deep.reconstructDocument(mainFile);
+      assert.ok(reconstructed.endsWith("---: CCCC3333\nC"));
+    } finally {
+      await cleanup();
+    }
+  });
+
+  test("should build the full reference tree", async () => {
+    await setup();
+
+    try {
+      await writeFiles({
+        main: "Main\n\n---: AAAA1111\n---: DDDD4444",
+        AAAA1111: "---: AAAA1111\nA\n\n---:: BBBB2222\n---:: EEEE5555",
+        BBBB2222: "---:: BBBB2222\nB\n\n---: AAAA1111",
+      });
+
+      const testReconstructor = new DocumentReconstructor({
+        inputDir: testDir,
+      });
+      const tree = await testReconstructor.buildReferenceTree(
+        path.join(testDir, "main.md")
+      );
+
+      // Reduce nodes to [name, flags, children] for comparison
+      const summarize = (nodes) =>
+        nodes.map((node) => [
+          node.name,
+          [node.found && "found", node.cycle && "cycle"].filter(Boolean),
+          summarize(node.references),
+        ]);
+
+      assert.strictEqual(tree.name, "main.md");
+      assert.deepStrictEqual(summarize(tree.references), [
+        [
+          "AAAA1111.md",
+          ["found"],
+          [
+            ["BBBB2222.md", ["found"], [["AAAA1111.md", ["cycle"], []]]],
+            ["EEEE5555.md", [], []],
+          ],
+        ],
+        ["DDDD4444.md", [], []],
+      ]);
+      assert.strictEqual(tree.references[0].references[0].level, 2);
+    } finally {
+      await cleanup();
+    }
+  });
+
   test("should analyze file correctly", async () => {
     await setup();
 
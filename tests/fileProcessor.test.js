@@ -64,6 +64,121 @@ Final content`;
     await cleanup();
   });
 
+  test("should not split on dividers inside code blocks", async () => {
+    await setup();
+
+    const content = `Intro
+
+\`\`\`markdown
+First part
+---:
+Second part
+\`\`\`
+
+~~~
+---:
+~~~
+
+---:
+
+Real second section`;
+
+    const sections = processor.splitContent(content);
+
+    assert.strictEqual(sections.length, 2);
+    assert.ok(sections[0].content.includes("---:\nSecond part"));
+    assert.ok(sections[0].content.includes("~~~\n---:\n~~~"));
+    assert.ok(sections[1].content.includes("Real second section"));
+
+    await cleanup();
+  });
+
+  test("should parse divider attributes into section metadata", async () => {
+    await setup();
+
+    const content = `Intro
+
+---: title="Getting started" tags=draft,api id=intro
+
+Second section
+
+---: not an attribute list
+
+---:
+Third section`;
+
+    const sections = processor.splitContent(content);
+
+    assert.strictEqual(sections.length, 3);
+    assert.deepStrictEqual(sections[0].attributes, {});
+    assert.deepStrictEqual(sections[1].attributes, {
+      title: "Getting started",
+      tags: "draft,api",
+      id: "intro",
+    });
+    assert.ok(sections[1].content.includes("---: not an attribute list"));
+    assert.deepStrictEqual(sections[2].attributes, {});
+
+    await cleanup();
+  });
+
+  test("should nest sections by divider level", async () => {
+    await setup();
+
+    const content = `Intro
+
+---:
+Chapter one
+
+---::
+Section 1.1
+
+---:::
+Detail 1.1.1
+
+---::
+Section 1.2
+
+---:
+Chapter two`;
+
+    const sections = processor.splitContent(content);
+
+    assert.deepStrictEqual(
+      sections.map((section) => [section.level, section.parentIndex]),
+      [
+        [0, null],
+        [1, 0],
+        [2, 1],
+        [3, 2],
+        [2, 1],
+        [1, 0],
+      ]
+    );
+    assert.deepStrictEqual(sections[0].children, [1, 5]);
+    assert.deepStrictEqual(sections[1].children, [2, 4]);
+    assert.deepStrictEqual(sections[2].children, [3]);
+    assert.deepStrictEqual(sections[5].children, []);
+    assert.strictEqual(sections[2].originalDividerLine, "---::");
+
+    await cleanup();
+  });
+
+  test("should leave top-level sections without a parent when there is no intro", async () => {
+    await setup();
+
+    const sections = processor.splitContent(
+      "---:\nOne\n---::\nTwo\n---:\nThree"
+    );
+
+    assert.deepStrictEqual(
+      sections.map((section) => section.parentIndex),
+      [null, 0, null]
+    );
+
+    await cleanup();
+  });
+
   test("should handle content without dividers", async () => {
     await setup();
 
@@ -0,0 +1,881 @@
+import { test, describe } from "node:test";
+import assert from "node:assert";
+import fs from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+import { FileWriter } from "../src/lib/fileWriter.js";
+import { FileProcessor } from "../src/lib/fileProcessor.js";
+import { StreamingFileProcessor } from "../src/lib/streamingFileProcessor.js";
+import { DocumentReconstructor } from "../src/lib/documentReconstructor.js";
+import { TimestampUtils } from "../src/lib/timestampUtils.js";
+import { HashGenerator } from "../src/lib/hashGenerator.js";
+
+describe("FileWriter", () => {
+  let writer;
+  let testDir;
+  let outputDir;
+
+  // Setup before tests
+  async function setup(options = {}) {
+    testDir = path.join(process.cwd(), "tests", "temp", "file-writer");
+    outputDir = path.join(testDir, "_out");
+    writer = new FileWriter({ outputDir, ...options });
+
+    await fs.mkdir(testDir, { recursive: true });
+  }
+
+  // Cleanup after tests
+  async function cleanup() {
+    try {
+      await fs.rm(testDir, { recursive: true, force: true });
+    } catch (error) {
+      // Ignore cleanup errors
+    }
+  }
+
+  // Read every output file into a filename -> content map
+  async function readOutput(dir = outputDir) {
+    const files = {};
+    for (const file of (await fs.readdir(dir)).sort()) {
+      files[file] = await fs.readFile(path.join(dir, file), "utf-8");
+    }
+    return files;
+  }
+
+  const sampleContent = `Main section
+Intro text
+
+---:
+
+Second section
+
+---:
+
+Third section`;
+
+  test("should write sections and add references to the main file", async () => {
+    await setup();
+
+    try {
+      const sections = new FileProcessor().splitContent(sampleContent);
+      const results = await writer.writeSections(sections, {
+        sourceFilename: "doc.md",
+      });
+
+      assert.strictEqual(results.length, 3);
+      assert.ok(results.every((result) => result.success));
+
+      const files = await readOutput();
+      const main = files["doc.md"];
+      assert.ok(main.startsWith("Main section\nIntro text"));
+      assert.ok(main.endsWith(`---: ${results[1].hash}\n---: ${results[2].hash}\n`));
+
+      const second = files[`${results[1].hash}.md`];
+      assert.match(
+        second,
+        /^---: [A-F0-9]{8} \d{2}:\d{2}:\d{2} \d{4}\/\d{2}\/\d{2} [+-]\d{2}:\d{2}\n/
+      );
+      assert.ok(second.includes("Second section"));
+    } finally {
+      await cleanup();
+    }
+  });
+
+  test("should write streamed sections one at a time", async () => {
+    await setup();
+
+    try {
+      const sections = new FileProcessor().splitContent(sampleContent);
+      const events = [];
+
+      async function* source() {
+        for (const section of sections) {
+          events.push(`read ${section.index}`);
+          yield section;
+        }
+      }
+
+      const originalWrite = writer.writeSection.bind(writer);
+      writer.writeSection = async (section, options) => {
+        events.push(`write ${section.index}`);
+        return originalWrite(section, options);
+      };
+
+      const results = await writer.writeSectionStream(source(), {
+        sourceFilename: "doc.md",
+      });
+
+      // The next section is only pulled once the previous one is written
+      assert.deepStrictEqual(events, [
+        "read 0",
+        "write 0",
+        "read 1",
+        "write 1",
+        "read 2",
+        "write 2",
+      ]);
+      assert.strictEqual(results.length, 3);
+
+      const files = await readOutput();
+      assert.ok(files["doc.md"].includes(`---: ${results[2].hash}`));
+    } finally {
+      await cleanup();
+    }
+  });
+
+  test("should produce the same files from the streaming pipeline", async () => {
+    await setup();
+
+    try {
+      const sourceFile = path.join(testDir, "doc.md");
+      await fs.writeFile(sourceFile, sampleContent, "utf-8");
+
+      const memoryWriter = new FileWriter({
+        outputDir: path.join(testDir, "memory"),
+      });
+      await memoryWriter.writeSections(
+        await new FileProcessor().readAndSplit(sourceFile),
+        { sourceFilename: sourceFile, useSharedTimestamp: true }
+      );
+
+      const streamWriter = new FileWriter({
+        outputDir: path.join(testDir, "stream"),
+      });
+      const streaming = new StreamingFileProcessor();
+      await streamWriter.writeSectionStream(
+        streaming.streamSections(sourceFile),
+        { sourceFilename: sourceFile, useSharedTimestamp: true }
+      );
+
+      const memoryFiles = await readOutput(path.join(testDir, "memory"));
+      const streamFiles = await readOutput(path.join(testDir, "stream"));
+
+      assert.deepStrictEqual(Object.keys(streamFiles), Object.keys(memoryFiles));
+      for (const file of Object.keys(memoryFiles)) {
+        // Timestamps may differ by a second between the two runs
+        const strip = (text) =>
+          text
+            .replace(/\d{2}:\d{2}:\d{2} \d{4}\/\d{2}\/\d{2} [+-]\d{2}:\d{2}/g, "<ts>")
+            .replace(/"(createdAt|timestamp)": "[^"]+"/g, '"$1": "<ts>"');
+        assert.strictEqual(strip(streamFiles[file]), strip(memoryFiles[file]));
+      }
+    } finally {
+      await cleanup();
+    }
+  });
+
+  test("should keep divider attributes through a split and reconstruct", async () => {
+    await setup();
+
+    try {
+      const content = `Main section
+
+---: title="Getting started" tags=draft,api
+
+Second section`;
+      const sections = new FileProcessor().splitContent(content);
+      const results = await writer.writeSections(sections, {
+        sourceFilename: "doc.md",
+      });
+
+      const sectionFile = await fs.readFile(results[1].filePath, "utf-8");
+      const parsed = new TimestampUtils().parseDividerLine(
+        sectionFile.split("\n")[0]
+      );
+      assert.strictEqual(parsed.hash, results[1].hash);
+      assert.deepStrictEqual(parsed.attributes, {
+        title: "Getting started",
+        tags: "draft,api",
+      });
+
+      const reconstructor = new DocumentReconstructor({ inputDir: outputDir });
+      const reconstructed = await reconstructor.reconstructDocument(
+        results[0].filePath
+      );
+      assert.ok(
+        reconstructed.includes(
+          `---: ${results[1].hash} title="Getting started" tags=draft,api\n\nSecond section`
+        )
+      );
+    } finally {
+      await cleanup();
+    }
+  });
+
+  test("should write references into each parent section's file", async () => {
+    await setup();
+
+    try {
+      const content = `Intro
+
+---:
+Chapter one
+
+---::
+Section 1.1
+
+---::
+Section 1.2
+
+---:
+Chapter two`;
+      const sections = new FileProcessor().splitContent(content);
+      const results = await writer.writeSections(sections, {
+        sourceFilename: "book.md",
+      });
+      const [intro, chapterOne, sectionOne, sectionTwo, chapterTwo] = results;
+
+      const introFile = await fs.readFile(intro.filePath, "utf-8");
+      assert.ok(
+        introFile.endsWith(
+          `Intro\n\n---: ${chapterOne.hash}\n---: ${chapterTwo.hash}\n`
+        )
+      );
+
+      const chapterFile = await fs.readFile(chapterOne.filePath, "utf-8");
+      assert.match(chapterFile, new RegExp(`^---: ${chapterOne.hash} `));
+      assert.ok(
+        chapterFile.endsWith(
+          `Chapter one\n\n---:: ${sectionOne.hash}\n---:: ${sectionTwo.hash}\n`
+        )
+      );
+
+      const sectionFile = await fs.readFile(sectionOne.filePath, "utf-8");
+      assert.match(sectionFile, new RegExp(`^---:: ${sectionOne.hash} `));
+
+      const reconstructor = new DocumentReconstructor({ inputDir: outputDir });
+      const reconstructed = await reconstructor.reconstructDocument(
+        intro.filePath
+      );
+      // Compare structure only; blank lines between sections are not preserved
+      assert.strictEqual(
+        reconstructed.replace(/\n{3,}/g, "\n\n"),
+        `Intro
+
+---: ${chapterOne.hash}
+Chapter one
+
+---:: ${sectionOne.hash}
+Section 1.1
+
+---:: ${sectionTwo.hash}
+Section 1.2
+
+---: ${chapterTwo.hash}
+Chapter two`
+      );
+    } finally {
+      await cleanup();
+    }
+  });
+
+  test("should restore the source byte for byte from the manifest", async () => {
+    await setup();
+
+    try {
+      const content =
+        "\n  Intro  \n\n---: title=\"A b\"\nChapter one\n\n\n---::\nSub\r\n  \n---:\r\n\nChapter two\n\n";
+      const sourceFile = path.join(testDir, "source.md");
+      await fs.writeFile(sourceFile, content, "utf-8");
+
+      await writer.writeSections(
+        await new FileProcessor().readAndSplit(sourceFile),
+        { sourceFilename: sourceFile }
+      );
+
+      const manifestPath = path.join(outputDir, "source.manifest.json");
+      const manifest = JSON.parse(await fs.readFile(manifestPath, "utf-8"));
+      assert.strictEqual(
+        manifest.source.sha256,
+        crypto.createHash("sha256").update(content).digest("hex")
+      );
+
+      const restored = await new DocumentReconstructor().restoreOriginal(
+        manifestPath
+      );
+      assert.strictEqual(restored.verified, true);
+      assert.strictEqual(restored.content, content);
+
+      // A changed section file no longer verifies
+      const chapterFile = path.join(outputDir, manifest.sections[1].filename);
+      await fs.appendFile(chapterFile, "edited", "utf-8");
+      const tampered = await new DocumentReconstructor().restoreOriginal(
+        manifestPath
+      );
+      assert.strictEqual(tampered.verified, false);
+      assert.notStrictEqual(tampered.actualHash, tampered.expectedHash);
+    } finally {
+      await cleanup();
+    }
+  });
+
+  test("should keep restoring the source after a re-run that skips every file", async () => {
+    await setup();
+
+    try {
+      const content = "Intro\n\n---:\nChapter\n\n---::\nSub\n";
+      const sourceFile = path.join(testDir, "source.md");
+      await fs.writeFile(sourceFile, content, "utf-8");
+      const manifestPath = path.join(outputDir, "source.manifest.json");
+
+      const split = async () =>
+        writer.writeSections(await new FileProcessor().readAndSplit(sourceFile), {
+          sourceFilename: sourceFile,
+        });
+      await split();
+      const first = JSON.parse(await fs.readFile(manifestPath, "utf-8"));
+
+      const results = await split();
+      assert.ok(results.every((result) => result.reason === "file_exists"));
+
+      const second = JSON.parse(await fs.readFile(manifestPath, "utf-8"));
+      assert.deepStrictEqual(
+        second.sections.map(({ written, ...entry }) => entry),
+        first.sections.map(({ written, ...entry }) => entry)
+      );
+      const restored = await new DocumentReconstructor().restoreOriginal(manifestPath);
+      assert.strictEqual(restored.verified, true);
+      assert.strictEqual(restored.content, content);
+
+      // Skipped files that hold other content leave the previous manifest alone
+      await fs.writeFile(sourceFile, "New intro\n\n---:\nChapter\n\n---::\nSub\n", "utf-8");
+      await split();
+      assert.deepStrictEqual(
+        JSON.parse(await fs.readFile(manifestPath, "utf-8")),
+        second
+      );
+    } finally {
+      await cleanup();
+    }
+  });
+
+  test("should describe every section in the manifest", async () => {
+    await setup({ hashOptions: { length: 10 } });
+
+    try {
+      const sourceFile = path.join(testDir, "book.md");
+      await fs.writeFile(
+        sourceFile,
+        "Intro\n\n---:\nChapter\n\n---::\nSub",
+        "utf-8"
+      );
+
+      const results = await writer.writeSections(
+        await new FileProcessor().readAndSplit(sourceFile),
+        { sourceFilename: sourceFile, useSharedTimestamp: true }
+      );
+
+      const manifest = JSON.parse(
+        await fs.readFile(path.join(outputDir, "book.manifest.json"), "utf-8")
+      );
+
+      assert.strictEqual(manifest.source.path, sourceFile);
+      assert.strictEqual(manifest.options.hash.length, 10);
+      assert.strictEqual(manifest.options.useSharedTimestamp, true);
+      assert.deepStrictEqual(
+        manifest.sections.map((section) => [
+          section.index,
+          section.hash,
+          section.filename,
+          section.lineStart,
+          section.lineEnd,
+          section.size,
+          section.parentIndex,
+        ]),
+        results.map((result, index) => [
+          index,
+          result.hash,
+          result.filename,
+          [1, 3, 6][index],
+          [2, 5, 7][index],
+          result.size,
+          [null, 0, 1][index],
+        ])
+      );
+      assert.strictEqual(
+        manifest.sections[1].timestamp,
+        results[1].timestamp.toISOString()
+      );
+
+      // The full digest is kept next to the shortened hash
+      assert.strictEqual(manifest.sections[2].digest.length, 64);
+      assert.strictEqual(
+        manifest.sections[2].digest,
+        new HashGenerator().generateDigest("Sub")
+      );
+      assert.ok(
+        manifest.sections[2].digest.toUpperCase().startsWith(results[2].hash)
+      );
+
+      // The manifest can stand in for the main file when reconstructing
+      const reconstructor = new DocumentReconstructor();
+      const fromManifest = await reconstructor.reconstructDocument(
+        path.join(outputDir, "book.manifest.json")
+      );
+      assert.strictEqual(
+        fromManifest.replace(/\n{3,}/g, "\n\n"),
+        `Intro\n\n---: ${results[1].hash}\nChapter\n\n---:: ${results[2].hash}\nSub`
+      );
+    } finally {
+      await cleanup();
+    }
+  });
+
+  test("should only rewrite changed sections in incremental mode", async () => {
+    await setup();
+
+    try {
+      const sourceFile = path.join(testDir, "book.md");
+      const split = async (content) => {
+        await fs.writeFile(sourceFile, content, "utf-8");
+        return await new FileWriter({ outputDir }).writeSections(
+          await new FileProcessor().readAndSplit(sourceFile),
+          { sourceFilename: sourceFile, incremental: true }
+        );
+      };
+
+      const first = await split(
+        "Intro\n\n---:\nChapter one\n\n---::\nSub A\n\n---:\nChapter two"
+      );
+      const chapterTwo = first[3];
+      const keptFile = await fs.readFile(chapterTwo.filePath, "utf-8");
+
+      const second = await split(
+        "Intro\n\n---:\nChapter one\n\n---::\nSub B\n\n---:\nChapter two"
+      );
+
+      assert.deepStrictEqual(
+        second.map((result) => result.status),
+        ["unchanged", "unchanged", "added", "unchanged"]
+      );
+      assert.strictEqual(
+        second[3].timestamp.toISOString(),
+        chapterTwo.timestamp.toISOString()
+      );
+      assert.strictEqual(
+        await fs.readFile(chapterTwo.filePath, "utf-8"),
+        keptFile
+      );
+
+      // The kept parent's reference block now points at the new subsection
+      const chapterOne = await fs.readFile(second[1].filePath, "utf-8");
+      assert.ok(
+        chapterOne.endsWith(`Chapter one\n\n---:: ${second[2].hash}\n`)
+      );
+      assert.ok(!chapterOne.includes(first[2].hash));
+
+      // The removed section's file is left for garbage collection
+      await fs.access(first[2].filePath);
+
+      // The main file keeps its name, so an edit replaces it
+      const third = await split(
+        "Intro edited\n\n---:\nChapter one\n\n---::\nSub B\n\n---:\nChapter two"
+      );
+      assert.strictEqual(third[0].status, "updated");
+
+      const restored = await new DocumentReconstructor().restoreOriginal(
+        path.join(outputDir, "book.manifest.json")
+      );
+      assert.strictEqual(restored.verified, true);
+    } finally {
+      await cleanup();
+    }
+  });
+
+  test("should share sections through a content-addressed store", async () => {
+    await setup();
+
+    try {
+      const storeDir = path.join(testDir, "store");
+      const split = async (name, content) => {
+        const sourceFile = path.join(testDir, `${name}.md`);
+        await fs.writeFile(sourceFile, content, "utf-8");
+        return await new FileWriter({
+          outputDir: path.join(testDir, name),
+          storeDir,
+        }).writeSections(await new FileProcessor().readAndSplit(sourceFile), {
+          sourceFilename: sourceFile,
+        });
+      };
+
+      const guideContent = "Guide\n---:\nShared boilerplate\n---:\nGuide only";
+      const apiContent = "Api\n---:\nShared boilerplate\n\n---:\nApi only\n";
+      const guide = await split("guide", guideContent);
+      const api = await split("api", apiContent);
+
+      // The shared section is reused (not skipped) and stored once
+      assert.strictEqual(api[1].hash, guide[1].hash);
+      assert.strictEqual(api[1].success, true);
+      assert.strictEqual(api[1].deduplicated, true);
+      assert.strictEqual(api[1].filePath, guide[1].filePath);
+      assert.deepStrictEqual(Object.keys(await readOutput(storeDir)), [
+        guide[1].filename,
+        guide[2].filename,
+        api[2].filename,
+        "store.refs.json",
+      ].sort());
+      assert.deepStrictEqual(
+        Object.keys(await readOutput(path.join(testDir, "api"))),
+        ["api.manifest.json", "api.md"]
+      );
+
+      const index = JSON.parse(
+        await fs.readFile(path.join(storeDir, "store.refs.json"), "utf-8")
+      );
+      assert.deepStrictEqual(index.sections[guide[1].hash].owners, [
+        "../api/api.manifest.json",
+        "../guide/guide.manifest.json",
+      ]);
+
+      // Both main files resolve their references against the store
+      const reconstructor = new DocumentReconstructor({ storeDir });
+      const reconstructed = await reconstructor.reconstructDocument(
+        path.join(testDir, "api", "api.md")
+      );
+      assert.ok(reconstructed.includes("Shared boilerplate"));
+      assert.ok(reconstructed.includes("Api only"));
+
+      // Whitespace that differs from the shared copy is still restored exactly
+      const restored = await new DocumentReconstructor().restoreOriginal(
+        path.join(testDir, "api", "api.manifest.json")
+      );
+      assert.strictEqual(restored.verified, true);
+      assert.strictEqual(restored.content, apiContent);
+
+      // Once no document lists a section any more, its file is released
+      await split("guide", "Guide\n---:\nShared boilerplate");
+      await assert.rejects(() => fs.access(guide[2].filePath));
+      await fs.access(guide[1].filePath);
+    } finally {
+      await cleanup();
+    }
+  });
+
+  test("should warn when a shared section differs beyond trailing whitespace", async (t) => {
+    await setup();
+
+    try {
+      const storeDir = path.join(testDir, "store");
+      const split = async (name, content) => {
+        const sourceFile = path.join(testDir, `${name}.md`);
+        await fs.writeFile(sourceFile, content, "utf-8");
+        return await new FileWriter({
+          outputDir: path.join(testDir, name),
+          storeDir,
+          hashOptions: { normalization: "whitespace-insensitive" },
+        }).writeSections(await new FileProcessor().readAndSplit(sourceFile), {
+          sourceFilename: sourceFile,
+        });
+      };
+
+      const guide = await split("guide", "Guide\n---:\nShared boilerplate");
+      const warn = t.mock.method(console, "warn", () => {});
+      const api = await split("api", "Api\n---:\nShared   boilerplate");
+
+      // Same hash, so the section is shared, but its text cannot be restored
+      assert.strictEqual(api[1].hash, guide[1].hash);
+      assert.strictEqual(api[1].deduplicated, true);
+      const warnings = warn.mock.calls.map((call) => call.arguments[0]);
+      assert.ok(
+        warnings.some(
+          (message) =>
+            message.includes(api[1].filename) &&
+            message.includes("differs from this document's")
+        ),
+        warnings.join("\n")
+      );
+    } finally {
+      await cleanup();
+    }
+  });
+
+  // Two section bodies whose hashes collide when truncated to two characters
+  function findCollision() {
+    const hashGenerator = new HashGenerator({ length: 2 });
+    const seen = new Map();
+    for (let i = 0; ; i++) {
+      const body = `Section ${i}`;
+      const hash = hashGenerator.generateHash(body);
+      if (seen.has(hash)) {
+        return [seen.get(hash), body];
+      }
+      seen.set(hash, body);
+    }
+  }
+
+  test("should lengthen the hash of a colliding section", async () => {
+    await setup({ hashOptions: { length: 2 } });
+
+    try {
+      const [first, second] = findCollision();
+      const sourceFile = path.join(testDir, "source.md");
+      await fs.writeFile(
+        sourceFile,
+        `Intro\n\n---:\n${first}\n\n---:\n${second}`,
+        "utf-8"
+      );
+
+      const results = await writer.writeSections(
+        await new FileProcessor().readAndSplit(sourceFile),
+        { sourceFilename: sourceFile }
+      );
+
+      assert.deepStrictEqual(
+        results.map((result) => result.success),
+        [true, true, true]
+      );
+      assert.strictEqual(results[1].hash.length, 2);
+      assert.strictEqual(results[2].hash.length, 4);
+      assert.ok(results[2].hash.startsWith(results[1].hash));
+
+      // Divider and references use the disambiguated ID
+      const files = await readOutput();
+      assert.ok(files[results[2].filename].startsWith(`---: ${results[2].hash} `));
+      assert.ok(
+        files["source.md"].endsWith(
+          `---: ${results[1].hash}\n---: ${results[2].hash}\n`
+        )
+      );
+
+      const reconstructed = await new DocumentReconstructor().reconstructDocument(
+        path.join(outputDir, "source.md")
+      );
+      assert.ok(reconstructed.includes(first));
+      assert.ok(reconstructed.includes(second));
+
+      // A second split finds both sections under their existing names
+      const again = await new FileWriter({
+        outputDir,
+        hashOptions: { length: 2 },
+      }).writeSections(await new FileProcessor().readAndSplit(sourceFile), {
+        sourceFilename: sourceFile,
+      });
+      assert.deepStrictEqual(
+        again.map((result) => [result.filename, result.reason]),
+        results.map((result) => [result.filename, "file_exists"])
+      );
+    } finally {
+      await cleanup();
+    }
+  });
+
+  test("should fail on a hash collision in strict mode", async () => {
+    await setup({ hashOptions: { length: 2 }, strictHashes: true });
+
+    try {
+      const [first, second] = findCollision();
+      const sourceFile = path.join(testDir, "source.md");
+      await fs.writeFile(
+        sourceFile,
+        `Intro\n\n---:\n${first}\n\n---:\n${second}`,
+        "utf-8"
+      );
+
+      await assert.rejects(
+        async () =>
+          writer.writeSections(
+            await new FileProcessor().readAndSplit(sourceFile),
+            { sourceFilename: sourceFile }
+          ),
+        /Hash collision: [0-9A-F]{2}\.md already holds different content/
+      );
+    } finally {
+      await cleanup();
+    }
+  });
+
+  test("should name sections with a stable ID strategy", async () => {
+    await setup({ idStrategy: "slug" });
+
+    try {
+      const sourceFile = path.join(testDir, "guide.md");
+      await fs.writeFile(
+        sourceFile,
+        "Intro\n\n---:\n# Setup\nChapter\n\n---::\n## Guide\nSub",
+        "utf-8"
+      );
+
+      const split = async () =>
+        writer.writeSections(await new FileProcessor().readAndSplit(sourceFile), {
+          sourceFilename: sourceFile,
+          incremental: true,
+        });
+
+      const results = await split();
+      // "guide" is taken by the main file
+      assert.deepStrictEqual(
+        results.map((result) => result.filename),
+        ["guide.md", "setup.md", "guide-2.md"]
+      );
+      assert.match(
+        await fs.readFile(path.join(outputDir, "setup.md"), "utf-8"),
+        /^---: setup \d{2}:\d{2}:\d{2} \d{4}\/\d{2}\/\d{2} [+-]\d{2}:\d{2}\n# Setup\nChapter\n\n---:: guide-2\n$/
+      );
+
+      const manifest = JSON.parse(
+        await fs.readFile(path.join(outputDir, "guide.manifest.json"), "utf-8")
+      );
+      assert.strictEqual(manifest.options.idStrategy, "slug");
+
+      // Editing a section keeps its file name
+      await fs.writeFile(
+        sourceFile,
+        "Intro\n\n---:\n# Setup\nChapter, edited\n\n---::\n## Guide\nSub",
+        "utf-8"
+      );
+      const resplit = await split();
+      assert.deepStrictEqual(
+        resplit.map((result) => [result.filename, result.status]),
+        [
+          ["guide.md", "unchanged"],
+          ["setup.md", "updated"],
+          ["guide-2.md", "unchanged"],
+        ]
+      );
+
+      const reconstructor = new DocumentReconstructor({ idStrategy: "slug" });
+      const reconstructed = await reconstructor.reconstructDocument(
+        path.join(outputDir, "guide.md")
+      );
+      assert.strictEqual(
+        reconstructed.replace(/\n{3,}/g, "\n\n"),
+        "Intro\n\n---: setup\n# Setup\nChapter, edited\n\n---:: guide-2\n## Guide\nSub"
+      );
+    } finally {
+      await cleanup();
+    }
+  });
+
+  test("should keep ULIDs when a section is inserted or edited", async () => {
+    await setup({ idStrategy: "ulid", overwriteExisting: true });
+
+    try {
+      const sourceFile = path.join(testDir, "guide.md");
+      const split = async (content) => {
+        await fs.writeFile(sourceFile, content, "utf-8");
+        const results = await writer.writeSections(
+          await new FileProcessor().readAndSplit(sourceFile),
+          { sourceFilename: sourceFile }
+        );
+        return results.slice(1).map((result) => result.hash);
+      };
+
+      const [one, two, three] = await split(
+        "Intro\n\n---:\n# One\nA\n\n---:\n# Two\nB\n\n---:\n# Three\nC"
+      );
+
+      // A new section in the middle gets a new ID, the others keep theirs
+      const inserted = await split(
+        "Intro\n\n---:\n# One\nA\n\n---:\n# New\nN\n\n---:\n# Two\nB\n\n---:\n# Three\nC"
+      );
+      assert.strictEqual(inserted.length, 4);
+      assert.deepStrictEqual([inserted[0], inserted[2], inserted[3]], [one, two, three]);
+      assert.ok(![one, two, three].includes(inserted[1]));
+
+      // Editing a section, or removing another, keeps the IDs too
+      const edited = await split(
+        "Intro\n\n---:\n# One\nA\n\n---:\n# Two\nB, edited\n\n---:\n# Three\nC"
+      );
+      assert.deepStrictEqual(edited, [one, two, three]);
+    } finally {
+      await cleanup();
+    }
+  });
+
+  test("should write byte-identical output with a fixed timestamp", async () => {
+    await setup();
+
+    try {
+      const sourceFile = path.join(testDir, "guide.md");
+      await fs.writeFile(sourceFile, "Intro\n\n---:\nChapter\n\n---::\nSub", "utf-8");
+
+      const timestamp = new Date("2025-08-16T16:12:30.000Z");
+      const split = async (dir) => {
+        const writer = new FileWriter({
+          outputDir: path.join(testDir, dir),
+          idStrategy: "ulid",
+          timestampOptions: { timezone: "utc" },
+        });
+        await writer.writeSections(
+          await new FileProcessor().readAndSplit(sourceFile),
+          { sourceFilename: sourceFile, timestamp }
+        );
+        return readOutput(path.join(testDir, dir));
+      };
+
+      const first = await split("first");
+      const second = await split("second");
+      assert.deepStrictEqual(second, first);
+
+      const manifest = JSON.parse(first["guide.manifest.json"]);
+      assert.strictEqual(manifest.createdAt, "2025-08-16T16:12:30.000Z");
+      assert.strictEqual(manifest.options.reproducible, true);
+      assert.ok(
+        Object.values(first).some((content) =>
+          content.startsWith("---: 01K2STETDG") &&
+          content.includes(" 16:12:30 2025/08/16 +00:00")
+        )
+      );
+    } finally {
+      await cleanup();
+    }
+  });
+
+  test("should leave the previous output untouched when a split fails", async () => {
+    await setup({ overwriteExisting: true });
+
+    try {
+      const sourceFile = path.join(testDir, "guide.md");
+      await fs.writeFile(sourceFile, "Intro\n\n---:\nChapter", "utf-8");
+      await writer.writeSections(
+        await new FileProcessor().readAndSplit(sourceFile),
+        { sourceFilename: sourceFile }
+      );
+      const previous = await readOutput();
+
+      // The reader fails after the main file and one section were written
+      await fs.writeFile(sourceFile, "New intro\n\n---:\nNew chapter\n\n---:\nMore", "utf-8");
+      const sections = await new FileProcessor().readAndSplit(sourceFile);
+      async function* failing() {
+        yield sections[0];
+        yield sections[1];
+        throw new Error("Read error");
+      }
+
+      for (const clean of [false, true]) {
+        await assert.rejects(
+          () => writer.writeSectionStream(failing(), { sourceFilename: sourceFile, clean }),
+          /Read error/
+        );
+        assert.deepStrictEqual(await readOutput(), previous);
+      }
+
+      // A process that crashed mid-split left a temp file behind
+      await fs.writeFile(
+        path.join(outputDir, ".guide.md.999999999-0badc0de.tmp"),
+        "Half written",
+        "utf-8"
+      );
+
+      // Without a failure the same split replaces the output as a whole
+      // and sweeps what the crashed split left
+      const results = await writer.writeSections(sections, {
+        sourceFilename: sourceFile,
+        clean: true,
+      });
+      assert.deepStrictEqual(
+        Object.keys(await readOutput()),
+        [...results.map((result) => result.filename), "guide.manifest.json"].sort()
+      );
+    } finally {
+      await cleanup();
+    }
+  });
+
+  test("should only share a store with content-addressed IDs", () => {
+    assert.throws(
+      () => new FileWriter({ storeDir: "store", idStrategy: "ulid" }),
+      /A shared store needs a content-addressed ID strategy, not ulid/
+    );
+  });
+});
@@ -0,0 +1,285 @@
+import { test, describe } from "node:test";
+import assert from "node:assert";
+import fs from "fs/promises";
+import path from "path";
+import { GarbageCollector } from "../src/lib/garbageCollector.js";
+
+describe("GarbageCollector", () => {
+  const testDir = path.join(process.cwd(), "tests", "temp", "gc");
+
+  // Setup before tests
+  async function setup() {
+    await fs.rm(testDir, { recursive: true, force: true });
+    await fs.mkdir(testDir, { recursive: true });
+  }
+
+  // Cleanup after tests
+  async function cleanup() {
+    try {
+      await fs.rm(testDir, { recursive: true, force: true });
+    } catch (error) {
+      // Ignore cleanup errors
+    }
+  }
+
+  async function writeFiles(files) {
+    for (const [name, content] of Object.entries(files)) {
+      await fs.writeFile(path.join(testDir, name), content, "utf-8");
+    }
+  }
+
+  async function listFiles() {
+    return (await fs.readdir(testDir)).sort();
+  }
+
+  // Collection time well past the default grace period of fresh files
+  const later = () => new Date(Date.now() + 2 * 60 * 60 * 1000);
+
+  test("should keep nested references and remove orphaned sections", async () => {
+    await setup();
+
+    try {
+      await writeFiles({
+        "main.md": "Intro\n\n---: AAAA1111",
+        "AAAA1111.md": "---: AAAA1111 16:12:30 2025/08/16\nChapter\n\n---:: BBBB2222",
+        "BBBB2222.md": "---:: BBBB2222 16:12:30 2025/08/16\nSubsection",
+        "CCCC3333.md": "---: CCCC3333 16:12:30 2025/08/16\nOrphan",
+        "notes.txt": "Not markdown",
+        // Backup of an interrupted split
+        ".DDDD4444.md.999999999-0badc0de.bak": "---: DDDD4444 16:12:30 2025/08/16\nOld",
+      });
+
+      const collector = new GarbageCollector({ outputDir: testDir });
+      const result = await collector.collect({ now: later() });
+
+      assert.deepStrictEqual(result.roots, ["main.md"]);
+      assert.deepStrictEqual([...result.reachable].sort(), ["AAAA1111", "BBBB2222"]);
+      assert.deepStrictEqual(
+        result.removed.map((file) => file.filename),
+        ["CCCC3333.md"]
+      );
+      assert.deepStrictEqual(await listFiles(), [
+        ".DDDD4444.md.999999999-0badc0de.bak",
+        "AAAA1111.md",
+        "BBBB2222.md",
+        "main.md",
+        "notes.txt",
+      ]);
+    } finally {
+      await cleanup();
+    }
+  });
+
+  test("should only report files in dry run mode", async () => {
+    await setup();
+
+    try {
+      await writeFiles({
+        "main.md": "Intro",
+        "CCCC3333.md": "---: CCCC3333 16:12:30 2025/08/16\nOrphan",
+      });
+
+      const collector = new GarbageCollector({ outputDir: testDir });
+      const result = await collector.collect({ dryRun: true, now: later() });
+
+      assert.deepStrictEqual(
+        result.removed.map((file) => file.filename),
+        ["CCCC3333.md"]
+      );
+      assert.deepStrictEqual(await listFiles(), ["CCCC3333.md", "main.md"]);
+    } finally {
+      await cleanup();
+    }
+  });
+
+  test("should retain unreferenced files inside the grace period", async () => {
+    await setup();
+
+    try {
+      await writeFiles({
+        "main.md": "Intro",
+        "CCCC3333.md": "---: CCCC3333 16:12:30 2025/08/16\nOrphan",
+      });
+
+      const collector = new GarbageCollector({
+        outputDir: testDir,
+        gracePeriodMs: 60 * 60 * 1000,
+      });
+
+      const fresh = await collector.collect({ now: new Date() });
+      assert.deepStrictEqual(fresh.removed, []);
+      assert.deepStrictEqual(
+        fresh.retained.map((file) => file.filename),
+        ["CCCC3333.md"]
+      );
+      assert.deepStrictEqual(await listFiles(), ["CCCC3333.md", "main.md"]);
+
+      const expired = await collector.collect({ now: later() });
+      assert.deepStrictEqual(
+        expired.removed.map((file) => file.filename),
+        ["CCCC3333.md"]
+      );
+      assert.deepStrictEqual(await listFiles(), ["main.md"]);
+    } finally {
+      await cleanup();
+    }
+  });
+
+  test("should treat sections listed in a manifest as reachable", async () => {
+    await setup();
+
+    try {
+      const manifest = {
+        version: 1,
+        sections: [
+          { index: 0, hash: "DOC", filename: "doc.md" },
+          { index: 1, hash: "AAAA1111", filename: "AAAA1111.md" },
+        ],
+      };
+
+      await writeFiles({
+        "doc.manifest.json": JSON.stringify(manifest),
+        // The main file lost its reference lines, the manifest still lists the section
+        "doc.md": "Intro",
+        "AAAA1111.md": "---: AAAA1111 16:12:30 2025/08/16\nChapter",
+      });
+
+      const collector = new GarbageCollector({ outputDir: testDir });
+      const result = await collector.collect({ now: later() });
+
+      assert.deepStrictEqual(result.roots, ["doc.manifest.json", "doc.md"]);
+      assert.deepStrictEqual(result.removed, []);
+      assert.deepStrictEqual(result.missing, []);
+    } finally {
+      await cleanup();
+    }
+  });
+
+  test("should collect ID-named files without their divider but never main files", async () => {
+    await setup();
+
+    try {
+      const manifest = {
+        version: 1,
+        sections: [{ index: 0, hash: "12345678", filename: "FACE0000.md" }],
+      };
+
+      await writeFiles({
+        // Not an ID (too short), so a document of its own
+        "BEEF.md": "A document that happens to have a hex name\n\n---: AAAA1111",
+        // A main file with an ID-shaped name
+        "face.manifest.json": JSON.stringify(manifest),
+        "FACE0000.md": "Main file",
+        // Lost its divider, but is still referenced
+        "AAAA1111.md": "Edited by hand\n\n---:: BBBB2222",
+        "BBBB2222.md": "---:: BBBB2222 16:12:30 2025/08/16\nSubsection",
+        // Stray files do not keep what they reference
+        "DEADBEEF.md": "Stray notes\n\n---: CCCC3333",
+        "CCCC3333.md": "---: CCCC3333 16:12:30 2025/08/16\nOrphan",
+      });
+
+      const collector = new GarbageCollector({ outputDir: testDir });
+      const result = await collector.collect({ now: later() });
+
+      assert.deepStrictEqual(result.roots, ["BEEF.md", "FACE0000.md", "face.manifest.json"]);
+      assert.deepStrictEqual(
+        result.corrupt.map((file) => file.filename),
+        ["AAAA1111.md", "DEADBEEF.md"]
+      );
+      assert.deepStrictEqual(
+        result.removed.map((file) => file.filename),
+        ["CCCC3333.md", "DEADBEEF.md"]
+      );
+      assert.deepStrictEqual(await listFiles(), [
+        "AAAA1111.md",
+        "BBBB2222.md",
+        "BEEF.md",
+        "FACE0000.md",
+        "face.manifest.json",
+      ]);
+    } finally {
+      await cleanup();
+    }
+  });
+
+  test("should terminate on reference cycles and report missing files", async () => {
+    await setup();
+
+    try {
+      await writeFiles({
+        "main.md": "Intro\n\n---: AAAA1111\n---: 99990000",
+        "AAAA1111.md": "---: AAAA1111\nA\n\n---: BBBB2222",
+        "BBBB2222.md": "---: BBBB2222\nB\n\n---: AAAA1111",
+      });
+
+      const collector = new GarbageCollector({ outputDir: testDir });
+      const result = await collector.collect({ now: later() });
+
+      assert.deepStrictEqual([...result.reachable].sort(), ["AAAA1111", "BBBB2222"]);
+      assert.deepStrictEqual(result.missing, ["99990000"]);
+      assert.deepStrictEqual(result.removed, []);
+    } finally {
+      await cleanup();
+    }
+  });
+
+  test("should follow references written as hash prefixes", async () => {
+    await setup();
+
+    try {
+      await writeFiles({
+        "main.md": "Intro\n\n---: AAAA",
+        "AAAA1111.md": "---: AAAA1111\nChapter\n\n---:: BBBB22",
+        "BBBB2222.md": "---:: BBBB2222\nSubsection",
+      });
+
+      const collector = new GarbageCollector({ outputDir: testDir });
+      const result = await collector.collect({ now: later() });
+
+      assert.deepStrictEqual([...result.reachable].sort(), ["AAAA1111", "BBBB2222"]);
+      assert.deepStrictEqual(result.removed, []);
+      assert.deepStrictEqual(result.missing, []);
+    } finally {
+      await cleanup();
+    }
+  });
+
+  test("should recognise sections of the ID strategy the split recorded", async () => {
+    await setup();
+
+    try {
+      const manifest = {
+        version: 1,
+        options: { idStrategy: "slug" },
+        sections: [{ index: 0, hash: "DOC", filename: "guide.md" }],
+      };
+
+      await writeFiles({
+        "guide.manifest.json": JSON.stringify(manifest),
+        "guide.md": "Intro\n\n---: setup",
+        "setup.md": "---: setup 16:12:30 2025/08/16\n# Setup",
+        "old-setup.md": "---: old-setup 16:12:30 2025/08/16\n# Old setup",
+      });
+
+      const collector = new GarbageCollector({ outputDir: testDir });
+      const result = await collector.collect({ now: later() });
+
+      assert.deepStrictEqual(result.roots, ["guide.manifest.json", "guide.md"]);
+      assert.deepStrictEqual([...result.reachable], ["setup"]);
+      assert.deepStrictEqual(
+        result.removed.map((file) => file.filename),
+        ["old-setup.md"]
+      );
+    } finally {
+      await cleanup();
+    }
+  });
+
+  test("should fail for a missing output directory", async () => {
+    const collector = new GarbageCollector({
+      outputDir: path.join(testDir, "does-not-exist"),
+    });
+
+    await assert.rejects(() => collector.collect(), /Output directory not found/);
+  });
+});
@@ -102,11 +102,26 @@ describe("HashGenerator", () => {
     assert.strictEqual(hashGen.isValidHash("ABCD1234"), true);
     assert.strictEqual(hashGen.isValidHash("abcd1234"), true); // case insensitive
     assert.strictEqual(hashGen.isValidHash("ABCD123"), false); // wrong length
+    assert.strictEqual(hashGen.isValidHash("ABCD1234EF"), true); // lengthened
     assert.strictEqual(hashGen.isValidHash("ABCDXYZ1"), false); // invalid characters
     assert.strictEqual(hashGen.isValidHash(null), false);
     assert.strictEqual(hashGen.isValidHash(""), false);
   });
 
+  test("should lengthen hashes from the full digest", () => {
+    hashGen = new HashGenerator();
+    const content = "Section content";
+    const digest = hashGen.generateDigest(content);
+
+    assert.strictEqual(digest.length, 64);
+    assert.strictEqual(hashGen.generateHash(content), digest.substring(0, 8).toUpperCase());
+    assert.strictEqual(hashGen.generateHash(content, 12), digest.substring(0, 12).toUpperCase());
+    assert.strictEqual(
+      hashGen.generateSectionHash({ content: "---:\nSection content", hasDivider: true, originalDividerLine: "---:" }, 10),
+      digest.substring(0, 10).toUpperCase()
+    );
+  });
+
   test("should handle invalid input", () => {
     hashGen = new HashGenerator();
 
@@ -160,4 +175,133 @@ describe("HashGenerator", () => {
     // Short hash should be prefix of long hash (same algorithm)
     assert.strictEqual(longHash.startsWith(shortHash), true);
   });
+
+  test("should hash incrementally like generateHash", () => {
+    hashGen = new HashGenerator();
+
+    const content = "\n  \nLine one\r\nLine two\r\n\n  Line three  \n\n";
+    const incremental = hashGen.createIncrementalHash();
+    // Feed in awkward chunks, including a CRLF split across two chunks
+    ["\n  \nLine", " one\r", "\nLine two\r\n", "\n  Line three", "  \n\n"].forEach(
+      (chunk) => incremental.update(chunk)
+    );
+
+    assert.strictEqual(incremental.digest(), hashGen.generateHash(content));
+  });
+
+  test("should hash empty incremental content like an empty string", () => {
+    hashGen = new HashGenerator();
+
+    const incremental = hashGen.createIncrementalHash();
+    incremental.update("   ").update("\n\n");
+
+    assert.strictEqual(incremental.digest(), hashGen.generateHash(""));
+  });
+
+  test("should ignore layout differences with whitespace-insensitive hashing", () => {
+    hashGen = new HashGenerator({ normalization: "whitespace-insensitive" });
+
+    const hash = hashGen.generateHash("A paragraph that\nwas reflowed.\n\nNext one");
+    assert.strictEqual(
+      hashGen.generateHash("A paragraph  that was\t\nreflowed.   \n\n\n\nNext one  "),
+      hash
+    );
+    // Paragraph breaks still count
+    assert.notStrictEqual(
+      hashGen.generateHash("A paragraph that was reflowed. Next one"),
+      hash
+    );
+    // Strict hashing tells the two layouts apart
+    assert.notStrictEqual(
+      new HashGenerator().generateHash("A paragraph that\nwas reflowed.\n\nNext one"),
+      new HashGenerator().generateHash("A paragraph that was reflowed.\n\nNext one")
+    );
+  });
+
+  test("should hash canonical markdown with markdown-canonical hashing", () => {
+    hashGen = new HashGenerator({ normalization: "markdown-canonical" });
+
+    assert.strictEqual(
+      hashGen.normalizeContent(
+        "Title\n=====\n\nIt\u2019s \u201Cquoted\u201D\ntext.  \n\n\n* one\n+ two\n\n```\n  keep   this  \n```\n## Next ##"
+      ),
+      "# Title\n\nIt's \"quoted\" text.\n\n- one\n- two\n\n```\n  keep   this\n```\n## Next"
+    );
+    // NFD and NFC spellings hash the same
+    assert.strictEqual(
+      hashGen.generateHash("Cafe\u0301"),
+      hashGen.generateHash("Caf\u00E9")
+    );
+  });
+
+  test("should record and validate the normalization profile", () => {
+    assert.deepStrictEqual(HashGenerator.normalizationProfiles(), [
+      "strict",
+      "whitespace-insensitive",
+      "markdown-canonical",
+    ]);
+    assert.deepStrictEqual(new HashGenerator({ length: 10 }).getOptions(), {
+      algorithm: "sha256",
+      length: 10,
+      encoding: "hex",
+      normalization: "strict",
+    });
+    assert.throws(
+      () => new HashGenerator({ normalization: "loose" }),
+      /Unknown normalization profile: loose/
+    );
+  });
+
+  test("should buffer incremental hashes for non-strict profiles", () => {
+    hashGen = new HashGenerator({ normalization: "markdown-canonical" });
+
+    const content = "Heading\n-------\nSome\ntext";
+    const incremental = hashGen.createIncrementalHash();
+    content.split("\n").forEach((line, i) =>
+      incremental.update(i > 0 ? "\n" + line : line)
+    );
+
+    assert.strictEqual(incremental.digest(), hashGen.generateHash(content));
+  });
+
+  test("should only strip the reference block the writer appended", () => {
+    hashGen = new HashGenerator();
+    const hex = "[A-F0-9]+";
+    const block = "\n\n---: 1234ABCD\n---: 5678EF90\n";
+
+    // A blank-line-separated block of matching IDs is the reference block
+    assert.strictEqual(
+      hashGen.getFileSectionContent("---: AAAA1111\n# Title\nText" + block, "AAAA1111", hex),
+      "# Title\nText"
+    );
+
+    // Content that ends in a ---: line of its own is kept
+    assert.strictEqual(
+      hashGen.getFileSectionContent("---: AAAA1111\n# Title\n---: note\n", "AAAA1111"),
+      "# Title\n---: note\n"
+    );
+    assert.strictEqual(
+      hashGen.getFileSectionContent("---: AAAA1111\n# Title\n\n---: note\n", "AAAA1111", hex),
+      "# Title\n\n---: note\n"
+    );
+
+    // The recorded length wins: no block means nothing is stripped
+    assert.strictEqual(
+      hashGen.getFileSectionContent("---: AAAA1111\n# Title" + block, "AAAA1111", hex, 0),
+      "# Title" + block
+    );
+    assert.strictEqual(
+      hashGen.getFileSectionContent(
+        "---: AAAA1111\n# Title\n\n---: 00000000" + block,
+        "AAAA1111",
+        hex,
+        block.length
+      ),
+      "# Title\n\n---: 00000000"
+    );
+    assert.strictEqual(
+      hashGen.generateFileDigest("---: AAAA1111\n# Title" + block, "AAAA1111", hex, block.length),
+      hashGen.generateDigest("# Title")
+    );
+  });
 });
@@ -0,0 +1,99 @@
+import { test, describe } from "node:test";
+import assert from "node:assert";
+import fs from "fs/promises";
+import path from "path";
+import { HashResolver } from "../src/lib/hashResolver.js";
+import { HashGenerator } from "../src/lib/hashGenerator.js";
+
+describe("HashResolver", () => {
+  function createResolver() {
+    const resolver = new HashResolver();
+    resolver.add("A1B2C3D4", { digest: "a1b2c3d4" + "0".repeat(56) });
+    resolver.add("A1B2FFFF", { digest: "a1b2ffff" + "1".repeat(56) });
+    resolver.add("0123ABCD");
+    return resolver;
+  }
+
+  test("should resolve full hashes and unique prefixes", () => {
+    const resolver = createResolver();
+
+    assert.deepStrictEqual(
+      [resolver.resolve("A1B2C3D4").hash, resolver.resolve("A1B2C3D4").matchedBy],
+      ["A1B2C3D4", "hash"]
+    );
+
+    const prefix = resolver.resolve("a1b2c");
+    assert.strictEqual(prefix.status, "found");
+    assert.strictEqual(prefix.hash, "A1B2C3D4");
+    assert.strictEqual(prefix.matchedBy, "prefix");
+
+    assert.strictEqual(resolver.resolve("0123").hash, "0123ABCD");
+  });
+
+  test("should list candidates for an ambiguous prefix", () => {
+    assert.deepStrictEqual(createResolver().resolve("A1B2"), {
+      status: "ambiguous",
+      candidates: ["A1B2C3D4", "A1B2FFFF"],
+    });
+  });
+
+  test("should resolve the full digest", () => {
+    const match = createResolver().resolve("A1B2FFFF" + "1".repeat(56));
+
+    assert.strictEqual(match.status, "found");
+    assert.strictEqual(match.hash, "A1B2FFFF");
+    assert.strictEqual(match.matchedBy, "digest");
+  });
+
+  test("should reject short prefixes and non-hex text", () => {
+    const resolver = createResolver();
+
+    assert.strictEqual(resolver.resolve("A1B").status, "invalid");
+    assert.match(resolver.resolve("A1B").error, /at least 4 characters/);
+    assert.strictEqual(resolver.resolve("NOPE").status, "invalid");
+    assert.strictEqual(resolver.resolve("").status, "invalid");
+    assert.deepStrictEqual(resolver.resolve("FFFF"), { status: "not_found" });
+  });
+
+  test("should prefer an exact hash over longer hashes it prefixes", () => {
+    const resolver = new HashResolver();
+    resolver.add("ABCD1234");
+    resolver.add("ABCD123456"); // Lengthened after a collision
+
+    assert.strictEqual(resolver.resolve("ABCD1234").hash, "ABCD1234");
+    assert.strictEqual(resolver.resolve("ABCD12345").hash, "ABCD123456");
+    assert.strictEqual(resolver.resolve("ABCD").status, "ambiguous");
+  });
+
+  test("should index section files in a directory", async () => {
+    const dir = path.join(process.cwd(), "tests", "temp", "hash-resolver");
+    await fs.mkdir(dir, { recursive: true });
+
+    try {
+      const hashGenerator = new HashGenerator();
+      const body = "Chapter text";
+      const hash = hashGenerator.generateHash(body);
+      await fs.writeFile(
+        path.join(dir, `${hash}.md`),
+        `---: ${hash} 16:12:30 2025/08/16\n${body}\n\n---:: 0000AAAA\n`,
+        "utf-8"
+      );
+      await fs.writeFile(path.join(dir, "main.md"), "Main", "utf-8");
+
+      const resolver = await HashResolver.fromDirectory(dir);
+
+      assert.deepStrictEqual([...resolver.entries.keys()], [hash]);
+      assert.strictEqual(resolver.resolve(hash.slice(0, 4)).hash, hash);
+      assert.strictEqual(
+        resolver.resolve(hashGenerator.generateDigest(body)).hash,
+        hash
+      );
+      assert.strictEqual(
+        resolver.entries.get(hash).filePath,
+        path.join(dir, `${hash}.md`)
+      );
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -88,6 +88,32 @@ Small section 2`;
     await cleanup();
   });
 
+  test('should return identical sections from both strategies', async () => {
+    await setup();
+
+    const largeSections = [];
+    for (let i = 0; i < 50; i++) {
+      largeSections.push(`Large section ${i} with lots of content to make it bigger than the threshold`);
+    }
+    const file = path.join(testDir, 'parity-test.md');
+    await fs.writeFile(file, largeSections.join('\n\n---:\n\n') + '\n', 'utf-8');
+
+    const streamed = await processor.readAndSplit(file);
+
+    processor.updateConfig({ streamingThreshold: 10 * 1024 * 1024 });
+    const inMemory = await processor.readAndSplit(file);
+
+    assert.strictEqual(streamed.length, inMemory.length);
+    streamed.forEach((section, i) => {
+      for (const key of ['index', 'content', 'hasDivider', 'originalDividerLine', 'lineStart', 'lineEnd']) {
+        assert.deepStrictEqual(section[key], inMemory[i][key], `section ${i} ${key}`);
+      }
+    });
+
+    await fs.unlink(file);
+    await cleanup();
+  });
+
   test('should provide processing recommendations', async () => {
     await setup();
     
@@ -202,6 +228,33 @@ Section 2`;
     await cleanup();
   });
 
+  test('should extract sections from large files by byte range', async () => {
+    await setup();
+
+    const largeSections = [];
+    for (let i = 0; i < 50; i++) {
+      largeSections.push(`Large section ${i} with lots of content to make it bigger than the threshold`);
+    }
+    const file = path.join(testDir, 'large-extract-test.md');
+    await fs.writeFile(file, largeSections.join('\n---:\n'), 'utf-8');
+
+    // Byte-range reads must not fall back to scanning lines
+    processor.streamingProcessor.extractSection = async () => {
+      throw new Error('line scan should not be used');
+    };
+
+    const section = await processor.extractSection(file, 42);
+    assert.strictEqual(section, `---:\n${largeSections[42]}`);
+
+    await assert.rejects(
+      () => processor.extractSection(file, 50),
+      /out of range/
+    );
+
+    await fs.unlink(file);
+    await cleanup();
+  });
+
   test('should handle configuration updates', async () => {
     await setup();
     
@@ -262,8 +315,8 @@ Section 2`;
 
     const sections = processor.splitContent(content);
     assert.strictEqual(sections.length, 2);
-    assert.ok(sections[0].includes('Section 1'));
-    assert.ok(sections[1].includes('Section 2'));
+    assert.ok(sections[0].content.includes('Section 1'));
+    assert.ok(sections[1].content.includes('Section 2'));
     
     await cleanup();
   });
@@ -276,7 +329,7 @@ Section 2`;
     await fs.writeFile(smallFile, '', 'utf-8');
 
     const stats = await processor.getFileStats(smallFile);
-    assert.strictEqual(stats.sectionCount, 1); // Empty file creates one empty section
+    assert.strictEqual(stats.sectionCount, 0); // Empty file has no sections
     assert.strictEqual(stats.totalSize, 0);
 
     // File with only dividers
@@ -0,0 +1,159 @@
+import { test, describe } from "node:test";
+import assert from "node:assert";
+import {
+  IdStrategy,
+  HashIdStrategy,
+  SlugIdStrategy,
+} from "../src/lib/idStrategy.js";
+import { HashGenerator } from "../src/lib/hashGenerator.js";
+
+describe("IdStrategy", () => {
+  const section = (content, attributes = {}) => ({
+    index: 1,
+    content: `---:\n${content}`,
+    hasDivider: true,
+    originalDividerLine: "---:",
+    attributes,
+  });
+
+  test("should create the built-in strategies by name", () => {
+    assert.deepStrictEqual(IdStrategy.names(), [
+      "sha256",
+      "base32",
+      "ulid",
+      "slug",
+      "explicit",
+    ]);
+    assert.ok(IdStrategy.create() instanceof HashIdStrategy);
+
+    const slug = new SlugIdStrategy();
+    assert.strictEqual(IdStrategy.create(slug), slug);
+    assert.throws(() => IdStrategy.create("uuid"), /Unknown ID strategy: uuid/);
+  });
+
+  test("should keep truncated SHA-256 hashes as the default", () => {
+    const strategy = IdStrategy.create("sha256");
+    const id = strategy.generate(section("Chapter"));
+
+    assert.strictEqual(id, new HashGenerator().generateHash("Chapter"));
+    assert.strictEqual(strategy.generate(section("Chapter"), { length: 10 }).length, 10);
+    assert.ok(strategy.isValidId(id));
+    assert.ok(!strategy.isValidId("BEEF"));
+    assert.deepStrictEqual(strategy.describe(), {
+      name: "sha256",
+      idPattern: "[A-F0-9]+",
+      caseInsensitive: true,
+      contentAddressed: true,
+      resolvesPrefixes: true,
+    });
+  });
+
+  test("should encode the digest in base32", () => {
+    const strategy = IdStrategy.create("base32");
+    const id = strategy.generate(section("Chapter"));
+
+    assert.match(id, /^[A-Z2-7]{8}$/);
+    assert.strictEqual(strategy.generate(section("  Chapter\r\n")), id);
+    assert.ok(strategy.generate(section("Chapter"), { length: 12 }).startsWith(id));
+    assert.notStrictEqual(strategy.generate(section("Other")), id);
+  });
+
+  test("should create ULIDs and keep the ones of the previous split", () => {
+    const strategy = IdStrategy.create("ulid");
+    const timestamp = new Date("2025-08-16T16:12:30.000Z");
+
+    const id = strategy.generate(section("# Chapter\nText"), { timestamp });
+    assert.ok(strategy.isValidId(id));
+    assert.strictEqual(id.slice(0, 10), "01K2STETDG"); // Encoded timestamp
+    assert.notStrictEqual(strategy.generate(section("# Chapter\nText"), { timestamp }), id);
+
+    const other = strategy.generate(section("# Other"), { timestamp });
+    const previousSections = new Map([
+      [`${id}.md`, { index: 1, hash: id, heading: "# Chapter" }],
+      [
+        `${other}.md`,
+        {
+          index: 2,
+          hash: other,
+          digest: new HashGenerator().generateDigest("# Other"),
+          heading: null,
+        },
+      ],
+    ]);
+
+    // Matched by content and by heading, wherever the section now is
+    strategy.reset();
+    assert.strictEqual(strategy.generate(section("# Other"), { previousSections }), other);
+    assert.strictEqual(
+      strategy.generate(section("# Chapter\nEdited text"), { previousSections }),
+      id
+    );
+    // Each previous ID goes to one section only
+    assert.notStrictEqual(
+      strategy.generate(section("# Chapter\nCopy"), { previousSections }),
+      id
+    );
+
+    // An id= attribute names the ULID outright
+    strategy.reset();
+    assert.strictEqual(
+      strategy.generate(section("New", { id: other.toLowerCase() }), { previousSections }),
+      other
+    );
+  });
+
+  test("should slug the first heading and keep slugs unique", () => {
+    const strategy = IdStrategy.create("slug");
+    strategy.reset({ reserved: ["guide"] });
+
+    assert.strictEqual(
+      strategy.generate(section("Intro text\n## Getting Started — Überblick!")),
+      "getting-started-uberblick"
+    );
+    assert.strictEqual(
+      strategy.generate(section("# Getting Started — Überblick")),
+      "getting-started-uberblick-2"
+    );
+    assert.strictEqual(strategy.generate(section("# Guide")), "guide-2");
+    assert.strictEqual(strategy.generate(section("No heading here")), "no-heading-here");
+    assert.strictEqual(strategy.generate(section("# !!!")), "section");
+
+    assert.ok(strategy.isValidId("getting-started"));
+    assert.ok(!strategy.isValidId("Getting-Started"));
+    assert.strictEqual(strategy.normalizeId("getting-started"), "getting-started");
+  });
+
+  test("should use explicit ids and fall back to hashes", () => {
+    const strategy = IdStrategy.create("explicit");
+    strategy.reset();
+
+    assert.strictEqual(strategy.generate(section("Chapter", { id: "intro" })), "intro");
+    assert.strictEqual(
+      strategy.generate(section("Chapter")),
+      new HashGenerator().generateHash("Chapter")
+    );
+    assert.throws(
+      () => strategy.generate(section("Again", { id: "intro" })),
+      /Duplicate section id "intro"/
+    );
+    assert.throws(
+      () => strategy.generate(section("Bad", { id: "../etc" })),
+      /Invalid section id "..\/etc"/
+    );
+  });
+
+  test("should build reference patterns for its IDs", () => {
+    const pattern = IdStrategy.create("slug").createReferencePattern();
+    const match = "---:: getting-started 16:12:30 2025/08/16 title=Intro".match(
+      pattern
+    );
+
+    assert.deepStrictEqual(match.slice(1), [
+      "::",
+      "getting-started",
+      "16:12:30 2025/08/16",
+      "title=Intro",
+    ]);
+    assert.strictEqual("---: key=value".match(pattern), null);
+  });
+});
@@ -0,0 +1,283 @@
+import { test, describe } from "node:test";
+import assert from "node:assert";
+import fs from "fs/promises";
+import path from "path";
+import { IndexCache } from "../src/lib/indexCache.js";
+import { StreamingFileProcessor } from "../src/lib/streamingFileProcessor.js";
+import { HybridFileProcessor } from "../src/lib/hybridFileProcessor.js";
+
+describe("IndexCache", () => {
+  let cache;
+  let processor;
+  let testDir;
+  let testFile;
+
+  // Setup before tests
+  async function setup() {
+    cache = new IndexCache();
+    processor = new StreamingFileProcessor();
+    testDir = path.join(process.cwd(), "tests", "temp", "index-cache");
+    testFile = path.join(testDir, "source.md");
+
+    await fs.mkdir(testDir, { recursive: true });
+    await fs.writeFile(
+      testFile,
+      "First section\n\n---:\n\nSecond section\n\n---:\n\nThird section",
+      "utf-8"
+    );
+  }
+
+  // Cleanup after tests
+  async function cleanup() {
+    try {
+      await fs.rm(testDir, { recursive: true, force: true });
+    } catch (error) {
+      // Ignore cleanup errors
+    }
+  }
+
+  // Analyze function that counts how often the file is actually parsed
+  function countingAnalyze(counter) {
+    return () => {
+      counter.calls++;
+      return processor.analyzeFile(testFile);
+    };
+  }
+
+  test("should place the sidecar index next to the source file", async () => {
+    await setup();
+
+    assert.strictEqual(
+      cache.getIndexPath(testFile),
+      path.join(testDir, ".source.md.msindex.json")
+    );
+
+    await cleanup();
+  });
+
+  test("should reuse cached metadata instead of reanalyzing", async () => {
+    await setup();
+
+    try {
+      const counter = { calls: 0 };
+      const first = await cache.getOrCreate(testFile, countingAnalyze(counter));
+      const second = await cache.getOrCreate(testFile, countingAnalyze(counter));
+
+      assert.strictEqual(counter.calls, 1);
+      assert.deepStrictEqual(
+        second.sections.map((s) => s.hash),
+        first.sections.map((s) => s.hash)
+      );
+
+      // A fresh cache instance reads the sidecar from disk
+      const diskCache = new IndexCache();
+      const fromDisk = await diskCache.getOrCreate(
+        testFile,
+        countingAnalyze(counter)
+      );
+
+      assert.strictEqual(counter.calls, 1);
+      assert.deepStrictEqual(fromDisk.sections, first.sections);
+      assert.ok(fromDisk.hashIndex instanceof Map);
+      assert.strictEqual(fromDisk.hashIndex.size, 3);
+      assert.ok(fromDisk.lastModified instanceof Date);
+    } finally {
+      await cleanup();
+    }
+  });
+
+  test("should invalidate when the source changes", async () => {
+    await setup();
+
+    try {
+      const counter = { calls: 0 };
+      await cache.getOrCreate(testFile, countingAnalyze(counter));
+
+      await fs.writeFile(testFile, "Edited\n\n---:\n\nContent", "utf-8");
+      const metadata = await cache.getOrCreate(
+        testFile,
+        countingAnalyze(counter)
+      );
+
+      assert.strictEqual(counter.calls, 2);
+      assert.strictEqual(metadata.sections.length, 2);
+    } finally {
+      await cleanup();
+    }
+  });
+
+  test("should detect edits that keep size and mtime", async () => {
+    await setup();
+
+    try {
+      const counter = { calls: 0 };
+      const original = await fs.stat(testFile);
+      await cache.getOrCreate(testFile, countingAnalyze(counter));
+
+      // Same length, different content, original mtime restored
+      const content = await fs.readFile(testFile, "utf-8");
+      await fs.writeFile(testFile, content.replace("First", "FIRST"), "utf-8");
+      await fs.utimes(testFile, original.atime, original.mtime);
+
+      await new IndexCache().getOrCreate(testFile, countingAnalyze(counter));
+
+      assert.strictEqual(counter.calls, 2);
+    } finally {
+      await cleanup();
+    }
+  });
+
+  test("should invalidate when analysis settings change", async () => {
+    await setup();
+
+    try {
+      const counter = { calls: 0 };
+      await cache.getOrCreate(testFile, countingAnalyze(counter), {
+        settings: { length: 8 },
+      });
+      await cache.getOrCreate(testFile, countingAnalyze(counter), {
+        settings: { length: 12 },
+      });
+
+      assert.strictEqual(counter.calls, 2);
+    } finally {
+      await cleanup();
+    }
+  });
+
+  test("should remove the sidecar on invalidate", async () => {
+    await setup();
+
+    try {
+      await cache.getOrCreate(testFile, () => processor.analyzeFile(testFile));
+      await cache.invalidate(testFile);
+
+      await assert.rejects(() => fs.access(cache.getIndexPath(testFile)));
+
+      // Invalidating twice is harmless
+      await cache.invalidate(testFile);
+    } finally {
+      await cleanup();
+    }
+  });
+
+  test("should keep at most maxEntries files in memory", async () => {
+    await setup();
+
+    try {
+      cache = new IndexCache({ maxEntries: 2 });
+      const files = ["a.md", "b.md", "c.md"].map((name) =>
+        path.join(testDir, name)
+      );
+      for (const file of files) {
+        await fs.writeFile(file, `Section of ${file}`, "utf-8");
+        await cache.getOrCreate(file, () => processor.analyzeFile(file));
+      }
+      assert.deepStrictEqual([...cache.entries.keys()], files.slice(1));
+
+      // A hit makes the file the most recently used one
+      await cache.getOrCreate(files[1], () => processor.analyzeFile(files[1]));
+      await cache.getOrCreate(testFile, countingAnalyze({ calls: 0 }));
+      assert.deepStrictEqual([...cache.entries.keys()], [files[1], testFile]);
+
+      // Evicted files are still served from their sidecar
+      const counter = { calls: 0 };
+      await cache.getOrCreate(files[0], () => {
+        counter.calls++;
+        return processor.analyzeFile(files[0]);
+      });
+      assert.strictEqual(counter.calls, 0);
+      assert.strictEqual(cache.entries.size, 2);
+    } finally {
+      await cleanup();
+    }
+  });
+
+  test("should serve HybridFileProcessor queries from the cache", async () => {
+    await setup();
+
+    try {
+      // The cache is on by default
+      const hybrid = new HybridFileProcessor({ streamingThreshold: 10 });
+
+      let analyzeCalls = 0;
+      const originalAnalyze = hybrid.streamingProcessor.analyzeFile.bind(
+        hybrid.streamingProcessor
+      );
+      hybrid.streamingProcessor.analyzeFile = async (...args) => {
+        analyzeCalls++;
+        return originalAnalyze(...args);
+      };
+
+      const analysis = await hybrid.analyzeFile(testFile);
+      const stats = await hybrid.getFileStats(testFile);
+      const found = await hybrid.findSectionByHash(
+        testFile,
+        analysis.sections[1].hash
+      );
+      const section = await hybrid.extractSection(testFile, 2);
+
+      assert.strictEqual(analyzeCalls, 1);
+      assert.strictEqual(stats.sectionCount, 3);
+      assert.strictEqual(found.hash, analysis.sections[1].hash);
+      assert.ok(section.includes("Third section"));
+    } finally {
+      await cleanup();
+    }
+  });
+
+  test("should parse small files in memory without a sidecar", async () => {
+    await setup();
+
+    try {
+      const hybrid = new HybridFileProcessor();
+
+      const analysis = await hybrid.analyzeFile(testFile);
+      await hybrid.extractSection(testFile, 1);
+
+      assert.strictEqual(analysis.processingMethod, "memory");
+      assert.strictEqual(hybrid.indexCache.entries.size, 0);
+      await assert.rejects(() => fs.access(cache.getIndexPath(testFile)));
+    } finally {
+      await cleanup();
+    }
+  });
+
+  test("should cache StreamingFileProcessor lookups unless disabled", async () => {
+    await setup();
+
+    try {
+      const countCalls = (streaming) => {
+        const counter = { calls: 0 };
+        const originalAnalyze = streaming.analyzeFile.bind(streaming);
+        streaming.analyzeFile = async (...args) => {
+          counter.calls++;
+          return originalAnalyze(...args);
+        };
+        return counter;
+      };
+
+      const cached = new StreamingFileProcessor();
+      const cachedCalls = countCalls(cached);
+      const stats = await cached.getFileStats(testFile);
+      const found = await cached.findSectionByHash(testFile, stats.hashIndex[1]);
+      assert.strictEqual(cachedCalls.calls, 1);
+      assert.strictEqual(found.hash, stats.hashIndex[1]);
+
+      // A fresh processor reads the sidecar index instead of reparsing
+      const reopened = new StreamingFileProcessor();
+      const reopenedCalls = countCalls(reopened);
+      await reopened.getFileStats(testFile);
+      assert.strictEqual(reopenedCalls.calls, 0);
+
+      const uncached = new StreamingFileProcessor({ indexCache: false });
+      const uncachedCalls = countCalls(uncached);
+      await uncached.getFileStats(testFile);
+      await uncached.findSectionByHash(testFile, stats.hashIndex[1]);
+      assert.strictEqual(uncachedCalls.calls, 2);
+      assert.strictEqual(uncached.indexCache, null);
+    } finally {
+      await cleanup();
+    }
+  });
+});
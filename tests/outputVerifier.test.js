@@ -0,0 +1,260 @@
+import { test, describe } from "node:test";
+import assert from "node:assert";
+import fs from "fs/promises";
+import path from "path";
+import { OutputVerifier } from "../src/lib/outputVerifier.js";
+import { FileWriter } from "../src/lib/fileWriter.js";
+import { FileProcessor } from "../src/lib/fileProcessor.js";
+
+describe("OutputVerifier", () => {
+  const testDir = path.join(process.cwd(), "tests", "temp", "output-verifier");
+  const outputDir = path.join(testDir, "_out");
+
+  // Setup before tests
+  async function setup() {
+    await fs.rm(testDir, { recursive: true, force: true });
+    await fs.mkdir(testDir, { recursive: true });
+  }
+
+  // Cleanup after tests
+  async function cleanup() {
+    try {
+      await fs.rm(testDir, { recursive: true, force: true });
+    } catch (error) {
+      // Ignore cleanup errors
+    }
+  }
+
+  // Split a small document and return the write results
+  async function split() {
+    const sourceFile = path.join(testDir, "book.md");
+    await fs.writeFile(
+      sourceFile,
+      "Intro\n\n---:\nChapter\n\n---::\nSub",
+      "utf-8"
+    );
+
+    return await new FileWriter({ outputDir }).writeSections(
+      await new FileProcessor().readAndSplit(sourceFile),
+      { sourceFilename: sourceFile }
+    );
+  }
+
+  const filenames = (files) => files.map((file) => file.filename).sort();
+
+  test("should verify every file of an untouched split", async () => {
+    await setup();
+
+    try {
+      const results = await split();
+      const report = await new OutputVerifier({ outputDir }).verify();
+
+      assert.deepStrictEqual(report.mismatched, []);
+      assert.deepStrictEqual(report.missing, []);
+      assert.deepStrictEqual(
+        filenames(report.verified),
+        filenames(results)
+      );
+    } finally {
+      await cleanup();
+    }
+  });
+
+  test("should report edited and missing files", async () => {
+    await setup();
+
+    try {
+      const [, chapter, sub] = await split();
+
+      const content = await fs.readFile(chapter.filePath, "utf-8");
+      await fs.writeFile(
+        chapter.filePath,
+        content.replace("Chapter", "Chapter, edited by hand"),
+        "utf-8"
+      );
+      await fs.unlink(sub.filePath);
+
+      const report = await new OutputVerifier({ outputDir }).verify();
+
+      assert.deepStrictEqual(filenames(report.verified), ["book.md"]);
+      assert.deepStrictEqual(filenames(report.mismatched), [chapter.filename]);
+      assert.strictEqual(report.mismatched[0].expected, chapter.digest);
+      assert.strictEqual(report.mismatched[0].manifest, "book.manifest.json");
+      assert.deepStrictEqual(filenames(report.missing), [sub.filename]);
+    } finally {
+      await cleanup();
+    }
+  });
+
+  test("should check files without a manifest against their names", async () => {
+    await setup();
+
+    try {
+      const [, chapter, sub] = await split();
+      await fs.unlink(path.join(outputDir, "book.manifest.json"));
+
+      const content = await fs.readFile(sub.filePath, "utf-8");
+      await fs.writeFile(sub.filePath, content + "\nMore text", "utf-8");
+
+      const report = await new OutputVerifier({ outputDir }).verify();
+
+      assert.deepStrictEqual(filenames(report.verified), [chapter.filename]);
+      assert.deepStrictEqual(filenames(report.mismatched), [sub.filename]);
+      assert.strictEqual(report.mismatched[0].expected, sub.hash);
+    } finally {
+      await cleanup();
+    }
+  });
+
+  test("should keep content that ends in an ID-like ---: line when checking names", async () => {
+    await setup();
+
+    try {
+      const sourceFile = path.join(testDir, "book.md");
+      await fs.writeFile(sourceFile, "Intro\n\n---:\nChapter\n---: decade", "utf-8");
+      const [, chapter] = await new FileWriter({ outputDir }).writeSections(
+        await new FileProcessor().readAndSplit(sourceFile),
+        { sourceFilename: sourceFile }
+      );
+      await fs.unlink(path.join(outputDir, "book.manifest.json"));
+
+      const report = await new OutputVerifier({ outputDir }).verify();
+
+      assert.deepStrictEqual(filenames(report.verified), [chapter.filename]);
+      assert.deepStrictEqual(report.mismatched, []);
+    } finally {
+      await cleanup();
+    }
+  });
+
+  test("should verify with the normalization profile of the split", async () => {
+    await setup();
+
+    try {
+      const sourceFile = path.join(testDir, "book.md");
+      await fs.writeFile(
+        sourceFile,
+        "Intro\n\n---:\nA chapter\nwith two lines",
+        "utf-8"
+      );
+      const [, chapter] = await new FileWriter({
+        outputDir,
+        hashOptions: { normalization: "whitespace-insensitive" },
+      }).writeSections(await new FileProcessor().readAndSplit(sourceFile), {
+        sourceFilename: sourceFile,
+      });
+
+      const manifest = JSON.parse(
+        await fs.readFile(path.join(outputDir, "book.manifest.json"), "utf-8")
+      );
+      assert.strictEqual(
+        manifest.options.hash.normalization,
+        "whitespace-insensitive"
+      );
+
+      // Reflowing the paragraph keeps the hash
+      const content = await fs.readFile(chapter.filePath, "utf-8");
+      await fs.writeFile(
+        chapter.filePath,
+        content.replace("A chapter\nwith two lines", "A chapter with  two lines  "),
+        "utf-8"
+      );
+
+      const report = await new OutputVerifier({ outputDir }).verify();
+      assert.deepStrictEqual(report.mismatched, []);
+      assert.ok(filenames(report.verified).includes(chapter.filename));
+
+      // Without the manifest, the file is still hashed the same way
+      const copy = path.join(testDir, "copy.manifest.json");
+      await fs.rename(path.join(outputDir, "book.manifest.json"), copy);
+      const byName = await new OutputVerifier({
+        outputDir,
+        hashOptions: { normalization: "whitespace-insensitive" },
+      }).verify();
+      assert.deepStrictEqual(filenames(byName.verified), [chapter.filename]);
+    } finally {
+      await cleanup();
+    }
+  });
+
+  test("should verify a split with the ID strategy it recorded", async () => {
+    await setup();
+
+    try {
+      const sourceFile = path.join(testDir, "guide.md");
+      await fs.writeFile(
+        sourceFile,
+        "Intro\n\n---:\n# Setup\nChapter\n\n---:\n# Usage\nMore",
+        "utf-8"
+      );
+      const results = await new FileWriter({
+        outputDir,
+        idStrategy: "base32",
+      }).writeSections(await new FileProcessor().readAndSplit(sourceFile), {
+        sourceFilename: sourceFile,
+      });
+
+      const report = await new OutputVerifier({ outputDir }).verify();
+      assert.deepStrictEqual(report.mismatched, []);
+      assert.deepStrictEqual(report.unreferenced, []);
+      assert.deepStrictEqual(filenames(report.verified), filenames(results));
+    } finally {
+      await cleanup();
+    }
+  });
+
+  test("should report missing references and unreferenced sections", async () => {
+    await setup();
+
+    try {
+      await fs.mkdir(outputDir, { recursive: true });
+      await fs.writeFile(
+        path.join(outputDir, "main.md"),
+        "Intro\n\n---: 99990000",
+        "utf-8"
+      );
+      const [orphan] = await new FileWriter({ outputDir }).writeSections([
+        {
+          index: 1,
+          content: "---:\nOrphan",
+          hasDivider: true,
+          originalDividerLine: "---:",
+        },
+      ]);
+
+      const report = await new OutputVerifier({ outputDir }).verify();
+
+      // Unreachable files are not checked against their names
+      assert.deepStrictEqual(report.verified, []);
+      assert.deepStrictEqual(filenames(report.missing), ["99990000.md"]);
+      assert.deepStrictEqual(filenames(report.unreferenced), [orphan.filename]);
+    } finally {
+      await cleanup();
+    }
+  });
+
+  test("should report stray section files as unreferenced, not edited", async () => {
+    await setup();
+
+    try {
+      const results = await split();
+      await fs.writeFile(path.join(outputDir, "DEADBEEF.md"), "Stray notes", "utf-8");
+
+      const report = await new OutputVerifier({ outputDir }).verify();
+
+      assert.deepStrictEqual(report.mismatched, []);
+      assert.deepStrictEqual(filenames(report.verified), filenames(results));
+      assert.deepStrictEqual(filenames(report.unreferenced), ["DEADBEEF.md"]);
+    } finally {
+      await cleanup();
+    }
+  });
+
+  test("should fail for a missing output directory", async () => {
+    const verifier = new OutputVerifier({
+      outputDir: path.join(testDir, "does-not-exist"),
+    });
+
+    await assert.rejects(() => verifier.verify(), /Output directory not found/);
+  });
+});
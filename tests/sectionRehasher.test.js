@@ -0,0 +1,267 @@
+import { test, describe } from "node:test";
+import assert from "node:assert";
+import fs from "fs/promises";
+import path from "path";
+import { SectionRehasher } from "../src/lib/sectionRehasher.js";
+import { OutputVerifier } from "../src/lib/outputVerifier.js";
+import { FileWriter } from "../src/lib/fileWriter.js";
+import { FileProcessor } from "../src/lib/fileProcessor.js";
+import { HashGenerator } from "../src/lib/hashGenerator.js";
+
+describe("SectionRehasher", () => {
+  const testDir = path.join(process.cwd(), "tests", "temp", "section-rehasher");
+  const outputDir = path.join(testDir, "_out");
+  const hashGenerator = new HashGenerator();
+
+  // Setup before tests
+  async function setup() {
+    await fs.rm(testDir, { recursive: true, force: true });
+    await fs.mkdir(outputDir, { recursive: true });
+  }
+
+  // Cleanup after tests
+  async function cleanup() {
+    try {
+      await fs.rm(testDir, { recursive: true, force: true });
+    } catch (error) {
+      // Ignore cleanup errors
+    }
+  }
+
+  const read = (filename) =>
+    fs.readFile(path.join(outputDir, filename), "utf-8");
+
+  test("should rename an edited section and update every reference", async () => {
+    await setup();
+
+    try {
+      const sourceFile = path.join(testDir, "book.md");
+      await fs.writeFile(
+        sourceFile,
+        "Intro\n\n---:\nChapter\n\n---::\nSub",
+        "utf-8"
+      );
+      const [, chapter, sub] = await new FileWriter({ outputDir }).writeSections(
+        await new FileProcessor().readAndSplit(sourceFile),
+        { sourceFilename: sourceFile }
+      );
+
+      // Edit the subsection by hand
+      const content = await read(sub.filename);
+      await fs.writeFile(
+        sub.filePath,
+        content.replace("Sub", "Sub, edited"),
+        "utf-8"
+      );
+
+      const newHash = hashGenerator.generateHash("Sub, edited");
+      const result = await new SectionRehasher({ outputDir }).rehash({
+        now: new Date("2025-08-16T16:12:30.000Z"),
+      });
+
+      assert.deepStrictEqual(
+        result.renames.map((rename) => [rename.from, rename.to, rename.merged]),
+        [[sub.hash, newHash, false]]
+      );
+      assert.deepStrictEqual(result.updatedFiles, [
+        chapter.filename,
+        `${newHash}.md`,
+      ]);
+      assert.deepStrictEqual(result.updatedManifests, ["book.manifest.json"]);
+
+      await assert.rejects(() => fs.access(sub.filePath));
+      assert.match(
+        await read(`${newHash}.md`),
+        new RegExp(`^---:: ${newHash} \\d{2}:\\d{2}:\\d{2} \\d{4}/\\d{2}/\\d{2} [+-]\\d{2}:\\d{2}\nSub, edited`)
+      );
+      assert.match(await read(chapter.filename), new RegExp(`\n---:: ${newHash}\n$`));
+
+      const map = JSON.parse(await read("rehash.map.json"));
+      assert.deepStrictEqual(map.renames, [
+        {
+          from: sub.hash,
+          to: newHash,
+          digest: hashGenerator.generateDigest("Sub, edited"),
+          renamedAt: "2025-08-16T16:12:30.000Z",
+        },
+      ]);
+
+      // Everything checks out afterwards
+      const report = await new OutputVerifier({ outputDir }).verify();
+      assert.deepStrictEqual(report.mismatched, []);
+      assert.deepStrictEqual(report.missing, []);
+      assert.deepStrictEqual(report.unreferenced, []);
+    } finally {
+      await cleanup();
+    }
+  });
+
+  test("should update prefix references and leave code samples alone", async () => {
+    await setup();
+
+    try {
+      await fs.writeFile(
+        path.join(outputDir, "main.md"),
+        "Intro\n\n```\n---: AAAA1111\n```\n\n---: AAAA",
+        "utf-8"
+      );
+      await fs.writeFile(
+        path.join(outputDir, "AAAA1111.md"),
+        "---: AAAA1111 16:12:30 2025/08/16\nChapter",
+        "utf-8"
+      );
+
+      const newHash = hashGenerator.generateHash("Chapter");
+      await new SectionRehasher({ outputDir }).rehash();
+
+      assert.strictEqual(
+        await read("main.md"),
+        `Intro\n\n\`\`\`\n---: AAAA1111\n\`\`\`\n\n---: ${newHash}`
+      );
+      assert.strictEqual(
+        await read(`${newHash}.md`),
+        `---: ${newHash} 16:12:30 2025/08/16\nChapter`
+      );
+    } finally {
+      await cleanup();
+    }
+  });
+
+  test("should rename sections of the ID strategy the split recorded", async () => {
+    await setup();
+
+    try {
+      const sourceFile = path.join(testDir, "book.md");
+      await fs.writeFile(
+        sourceFile,
+        "Intro\n\n---:\nChapter\n\n---::\nSub",
+        "utf-8"
+      );
+      const [, chapter, sub] = await new FileWriter({
+        outputDir,
+        idStrategy: "base32",
+      }).writeSections(await new FileProcessor().readAndSplit(sourceFile), {
+        sourceFilename: sourceFile,
+      });
+
+      const content = await read(sub.filename);
+      await fs.writeFile(
+        sub.filePath,
+        content.replace("Sub", "Sub, edited"),
+        "utf-8"
+      );
+
+      const result = await new SectionRehasher({ outputDir }).rehash();
+
+      assert.strictEqual(result.renames.length, 1);
+      const [{ from, to }] = result.renames;
+      assert.strictEqual(from, sub.hash);
+      assert.match(to, /^[A-Z2-7]{8}$/);
+      assert.match(await read(chapter.filename), new RegExp(`\n---:: ${to}\n$`));
+
+      const report = await new OutputVerifier({ outputDir }).verify();
+      assert.deepStrictEqual(report.mismatched, []);
+      assert.deepStrictEqual(report.missing, []);
+      assert.deepStrictEqual(report.unreferenced, []);
+    } finally {
+      await cleanup();
+    }
+  });
+
+  test("should leave sections of a stable ID strategy in place", async () => {
+    await setup();
+
+    try {
+      const sourceFile = path.join(testDir, "book.md");
+      await fs.writeFile(sourceFile, "Intro\n\n---:\n# Setup\nChapter", "utf-8");
+      const [, chapter] = await new FileWriter({
+        outputDir,
+        idStrategy: "slug",
+      }).writeSections(await new FileProcessor().readAndSplit(sourceFile), {
+        sourceFilename: sourceFile,
+      });
+
+      const content = await read(chapter.filename);
+      await fs.writeFile(
+        chapter.filePath,
+        content.replace("Chapter", "Chapter, edited"),
+        "utf-8"
+      );
+
+      const result = await new SectionRehasher({ outputDir }).rehash();
+
+      assert.deepStrictEqual(result.renames, []);
+      assert.ok(await read("setup.md"));
+    } finally {
+      await cleanup();
+    }
+  });
+
+  test("should merge into an existing section with the same content", async () => {
+    await setup();
+
+    try {
+      const hash = hashGenerator.generateHash("Chapter");
+      await fs.writeFile(
+        path.join(outputDir, "main.md"),
+        `Intro\n\n---: ${hash}\n---: BBBB2222`,
+        "utf-8"
+      );
+      await fs.writeFile(
+        path.join(outputDir, `${hash}.md`),
+        `---: ${hash}\nChapter`,
+        "utf-8"
+      );
+      await fs.writeFile(
+        path.join(outputDir, "BBBB2222.md"),
+        "---: BBBB2222\nChapter",
+        "utf-8"
+      );
+
+      const result = await new SectionRehasher({ outputDir }).rehash();
+
+      assert.strictEqual(result.renames[0].merged, true);
+      assert.deepStrictEqual((await fs.readdir(outputDir)).sort(), [
+        `${hash}.md`,
+        "main.md",
+        "rehash.map.json",
+      ]);
+      assert.strictEqual(
+        await read("main.md"),
+        `Intro\n\n---: ${hash}\n---: ${hash}`
+      );
+    } finally {
+      await cleanup();
+    }
+  });
+
+  test("should not change anything in dry run mode", async () => {
+    await setup();
+
+    try {
+      await fs.writeFile(
+        path.join(outputDir, "main.md"),
+        "Intro\n\n---: AAAA1111",
+        "utf-8"
+      );
+      await fs.writeFile(
+        path.join(outputDir, "AAAA1111.md"),
+        "---: AAAA1111\nChapter",
+        "utf-8"
+      );
+
+      const result = await new SectionRehasher({ outputDir }).rehash({
+        dryRun: true,
+      });
+
+      assert.strictEqual(result.renames.length, 1);
+      assert.strictEqual(result.mapPath, null);
+      assert.deepStrictEqual((await fs.readdir(outputDir)).sort(), [
+        "AAAA1111.md",
+        "main.md",
+      ]);
+    } finally {
+      await cleanup();
+    }
+  });
+});
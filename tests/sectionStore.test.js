@@ -0,0 +1,101 @@
+import { test, describe } from "node:test";
+import assert from "node:assert";
+import fs from "fs/promises";
+import path from "path";
+import { SectionStore } from "../src/lib/sectionStore.js";
+
+describe("SectionStore", () => {
+  const storeDir = path.join(process.cwd(), "tests", "temp", "section-store");
+
+  // Cleanup after tests
+  async function cleanup() {
+    try {
+      await fs.rm(storeDir, { recursive: true, force: true });
+    } catch (error) {
+      // Ignore cleanup errors
+    }
+  }
+
+  async function storeSection(store, hash) {
+    await fs.writeFile(store.getFilePath(hash), `---: ${hash}\nContent`, "utf-8");
+    store.record(hash, { timestamp: "2025-08-16T16:12:30.000Z" });
+  }
+
+  test("should require a store directory", () => {
+    assert.throws(() => new SectionStore(), /Store directory is required/);
+  });
+
+  test("should count owners and release sections nobody owns", async () => {
+    await cleanup();
+
+    try {
+      const store = await new SectionStore({ storeDir }).load();
+      await storeSection(store, "AAAA1111");
+      await storeSection(store, "BBBB2222");
+
+      await store.setOwner("../a/a.manifest.json", ["AAAA1111", "BBBB2222"]);
+      await store.setOwner("../b/b.manifest.json", ["AAAA1111"]);
+      assert.strictEqual(store.refCount("AAAA1111"), 2);
+      assert.strictEqual(store.refCount("BBBB2222"), 1);
+
+      // Document a drops BBBB2222, which has no other owner
+      const released = await store.setOwner("../a/a.manifest.json", ["AAAA1111"]);
+      assert.deepStrictEqual(released, ["BBBB2222"]);
+      assert.strictEqual(await store.get("BBBB2222"), null);
+      await assert.rejects(() => fs.access(store.getFilePath("BBBB2222")));
+
+      assert.deepStrictEqual(await store.releaseOwner("../a/a.manifest.json"), []);
+      assert.strictEqual(store.refCount("AAAA1111"), 1);
+      assert.deepStrictEqual(await store.releaseOwner("../b/b.manifest.json"), [
+        "AAAA1111",
+      ]);
+    } finally {
+      await cleanup();
+    }
+  });
+
+  test("should persist the refs index", async () => {
+    await cleanup();
+
+    try {
+      const store = await new SectionStore({ storeDir }).load();
+      await storeSection(store, "AAAA1111");
+      await store.setOwner(
+        store.getOwnerId(path.join(storeDir, "..", "docs", "doc.manifest.json")),
+        ["AAAA1111"]
+      );
+      await store.save();
+
+      const reloaded = await new SectionStore({ storeDir }).load();
+      const entry = await reloaded.get("AAAA1111");
+      assert.deepStrictEqual([...entry.owners], ["../docs/doc.manifest.json"]);
+      assert.strictEqual(entry.timestamp, "2025-08-16T16:12:30.000Z");
+
+      // An indexed section whose file was deleted must be written again
+      await fs.unlink(reloaded.getFilePath("AAAA1111"));
+      assert.strictEqual(await reloaded.get("AAAA1111"), null);
+    } finally {
+      await cleanup();
+    }
+  });
+
+  test("should reject an index from another version", async () => {
+    await cleanup();
+
+    try {
+      await fs.mkdir(storeDir, { recursive: true });
+      await fs.writeFile(
+        path.join(storeDir, "store.refs.json"),
+        JSON.stringify({ version: 99, sections: {} }),
+        "utf-8"
+      );
+
+      await assert.rejects(
+        () => new SectionStore({ storeDir }).load(),
+        /Unsupported store index version 99/
+      );
+    } finally {
+      await cleanup();
+    }
+  });
+});
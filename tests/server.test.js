@@ -91,6 +91,17 @@ describe('Web Server API', () => {
         assert.ok(data.file);
         assert.strictEqual(data.file.hash, hashFile.hash);
         assert.ok(data.file.content);
+
+        // A unique prefix resolves to the same file; an ambiguous one lists candidates
+        const prefix = hashFile.hash.slice(0, 6);
+        const { status: prefixStatus, data: prefixData } = await fetchAPI(`/api/hash/${prefix}`);
+        if (prefixStatus === 200) {
+          assert.strictEqual(prefixData.file.hash, hashFile.hash);
+          assert.strictEqual(prefixData.file.foundBy, 'prefix');
+        } else {
+          assert.strictEqual(prefixStatus, 409);
+          assert.ok(prefixData.candidates.some(c => c.hash === hashFile.hash));
+        }
       }
     } catch (error) {
       console.log('⚠️  Server not running, skipping API tests');
@@ -132,4 +143,29 @@ describe('Web Server API', () => {
       console.log('⚠️  Server not running, skipping API tests');
     }
   });
+
+  test('should load documents from their split manifest', async () => {
+    try {
+      const { status, data } = await fetchAPI('/api/documents');
+
+      assert.strictEqual(status, 200);
+      assert.strictEqual(data.success, true);
+      assert.ok(Array.isArray(data.documents));
+
+      if (data.documents.length > 0) {
+        const { name } = data.documents[0];
+        const { status: docStatus, data: docData } = await fetchAPI(`/api/documents/${name}`);
+
+        assert.strictEqual(docStatus, 200);
+        assert.strictEqual(docData.document.name, name);
+        assert.ok(Array.isArray(docData.document.sections));
+        assert.deepStrictEqual(
+          docData.document.sections.map(section => section.index),
+          [...docData.document.sections.keys()]
+        );
+      }
+    } catch (error) {
+      console.log('⚠️  Server not running, skipping API tests');
+    }
+  });
 });
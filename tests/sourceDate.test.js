@@ -0,0 +1,82 @@
+import { test, describe } from "node:test";
+import assert from "node:assert";
+import fs from "fs/promises";
+import path from "path";
+import { SourceDate } from "../src/lib/sourceDate.js";
+
+describe("SourceDate", () => {
+  const testDir = path.join(process.cwd(), "tests", "temp", "source-date");
+  const sourceFile = path.join(testDir, "guide.md");
+
+  // Setup before tests
+  async function setup() {
+    await fs.rm(testDir, { recursive: true, force: true });
+    await fs.mkdir(testDir, { recursive: true });
+    await fs.writeFile(sourceFile, "Intro\n\n---:\nChapter", "utf-8");
+  }
+
+  // Cleanup after tests
+  async function cleanup() {
+    try {
+      await fs.rm(testDir, { recursive: true, force: true });
+    } catch (error) {
+      // Ignore cleanup errors
+    }
+  }
+
+  test("should prefer SOURCE_DATE_EPOCH", async () => {
+    await setup();
+
+    try {
+      const env = { SOURCE_DATE_EPOCH: "1755360750" };
+      assert.deepStrictEqual(await SourceDate.resolve(sourceFile, { env }), {
+        date: new Date("2025-08-16T16:12:30.000Z"),
+        source: "env",
+      });
+
+      await assert.rejects(
+        () => SourceDate.resolve(sourceFile, { env: { SOURCE_DATE_EPOCH: "soon" } }),
+        /Invalid SOURCE_DATE_EPOCH: soon/
+      );
+      await assert.rejects(
+        () => SourceDate.resolve(sourceFile, { source: "env", env: {} }),
+        /SOURCE_DATE_EPOCH is not set/
+      );
+    } finally {
+      await cleanup();
+    }
+  });
+
+  test("should fall back to the modification time in whole seconds", async () => {
+    await setup();
+
+    try {
+      const mtime = new Date("2025-08-16T16:12:30.750Z");
+      await fs.utimes(sourceFile, mtime, mtime);
+
+      const result = await SourceDate.resolve(sourceFile, {
+        source: "mtime",
+        env: {},
+      });
+      assert.deepStrictEqual(result, {
+        date: new Date("2025-08-16T16:12:30.000Z"),
+        source: "mtime",
+      });
+
+      // Untracked files have no commit, so auto ends up at the same time
+      const auto = await SourceDate.resolve(sourceFile, { env: {} });
+      assert.deepStrictEqual(auto.date, result.date);
+      assert.ok(["git", "mtime"].includes(auto.source));
+    } finally {
+      await cleanup();
+    }
+  });
+
+  test("should reject unknown sources", async () => {
+    await assert.rejects(
+      () => SourceDate.resolve(sourceFile, { source: "clock" }),
+      /Unknown source date: clock \(expected auto, env, git, mtime\)/
+    );
+    assert.deepStrictEqual(SourceDate.sources(), ["env", "git", "mtime"]);
+  });
+});
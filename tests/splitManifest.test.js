@@ -0,0 +1,167 @@
+import { test, describe } from "node:test";
+import assert from "node:assert";
+import fs from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+import { SplitManifest } from "../src/lib/splitManifest.js";
+
+describe("SplitManifest", () => {
+  let testDir;
+
+  // Setup before tests
+  async function setup() {
+    testDir = path.join(process.cwd(), "tests", "temp", "split-manifest");
+    await fs.mkdir(testDir, { recursive: true });
+  }
+
+  // Cleanup after tests
+  async function cleanup() {
+    try {
+      await fs.rm(testDir, { recursive: true, force: true });
+    } catch (error) {
+      // Ignore cleanup errors
+    }
+  }
+
+  test("should name the manifest after the source file", () => {
+    assert.strictEqual(
+      SplitManifest.getManifestPath("_out", "docs/book.md"),
+      path.join("_out", "book.manifest.json")
+    );
+  });
+
+  test("should digest the source from its sections", () => {
+    const manifest = new SplitManifest({ sourceFilename: "docs/book.md" });
+    manifest.addSource({ content: "Intro\n" });
+    manifest.addSource({ content: "---:\nChapter" });
+
+    const built = manifest.build([]);
+
+    assert.deepStrictEqual(built.source, {
+      path: "docs/book.md",
+      filename: "book.md",
+      sha256: crypto
+        .createHash("sha256")
+        .update("Intro\n\n---:\nChapter")
+        .digest("hex"),
+      sectionCount: 2,
+    });
+  });
+
+  test("should describe sections and their restore information", () => {
+    const timestamp = new Date("2025-08-16T16:12:30.000Z");
+    const manifest = new SplitManifest({
+      sourceFilename: "book.md",
+      options: { fileExtension: ".md" },
+    });
+    const built = manifest.build([
+      {
+        success: true,
+        hash: "AAAA1111",
+        digest: "aaaa1111" + "0".repeat(56),
+        filename: "book.md",
+        size: 30,
+        timestamp,
+        section: {
+          index: 0,
+          hasDivider: false,
+          originalDividerLine: null,
+          level: 0,
+          parentIndex: null,
+          lineStart: 1,
+          lineEnd: 2,
+          heading: "# Book",
+        },
+        restore: {
+          leadingWhitespace: "\n",
+          trailingWhitespace: "\n\n",
+          referenceBlockLength: 16,
+        },
+      },
+      {
+        success: false,
+        reason: "file_exists",
+        hash: "BBBB2222",
+        filename: "BBBB2222.md",
+        section: {
+          index: 1,
+          hasDivider: true,
+          originalDividerLine: "---:",
+          level: 1,
+          parentIndex: 0,
+          lineStart: 3,
+          lineEnd: 4,
+        },
+      },
+      { success: false, reason: "write_error", section: { index: 2 } },
+    ]);
+
+    assert.deepStrictEqual(built.options, { fileExtension: ".md" });
+    assert.deepStrictEqual(built.sections, [
+      {
+        index: 0,
+        hash: "AAAA1111",
+        digest: "aaaa1111" + "0".repeat(56),
+        filename: "book.md",
+        level: 0,
+        parentIndex: null,
+        lineStart: 1,
+        lineEnd: 2,
+        size: 30,
+        timestamp: "2025-08-16T16:12:30.000Z",
+        written: true,
+        hasDivider: false,
+        originalDividerLine: null,
+        heading: "# Book",
+        leadingWhitespace: "\n",
+        trailingWhitespace: "\n\n",
+        referenceBlockLength: 16,
+      },
+      {
+        index: 1,
+        hash: "BBBB2222",
+        digest: null,
+        filename: "BBBB2222.md",
+        level: 1,
+        parentIndex: 0,
+        lineStart: 3,
+        lineEnd: 4,
+        size: null,
+        timestamp: null,
+        written: false,
+        hasDivider: true,
+        originalDividerLine: "---:",
+        heading: null,
+        leadingWhitespace: "",
+        trailingWhitespace: "",
+        referenceBlockLength: 0,
+      },
+    ]);
+  });
+
+  test("should save and load manifests", async () => {
+    await setup();
+
+    try {
+      const manifest = new SplitManifest({ sourceFilename: "book.md" });
+      manifest.addSource({ content: "Intro" });
+      const manifestPath = await manifest.save(testDir, []);
+
+      const loaded = await SplitManifest.load(manifestPath);
+      assert.strictEqual(loaded.source.sectionCount, 1);
+
+      await fs.writeFile(manifestPath, JSON.stringify({ version: 99 }), "utf-8");
+      await assert.rejects(
+        () => SplitManifest.load(manifestPath),
+        /Unsupported manifest version 99/
+      );
+
+      await assert.rejects(
+        () => SplitManifest.load(path.join(testDir, "missing.manifest.json")),
+        /Manifest not found/
+      );
+    } finally {
+      await cleanup();
+    }
+  });
+});
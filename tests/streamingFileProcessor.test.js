@@ -3,6 +3,7 @@ import assert from "node:assert";
 import fs from "fs/promises";
 import path from "path";
 import { StreamingFileProcessor } from "../src/lib/streamingFileProcessor.js";
+import { FileProcessor } from "../src/lib/fileProcessor.js";
 
 describe("StreamingFileProcessor", () => {
   let processor;
@@ -71,8 +72,8 @@ Final content`;
 
     // Check section metadata
     const firstSection = metadata.sections[0];
-    assert.strictEqual(firstSection.startLine, 1);
-    assert.strictEqual(firstSection.endLine, 3);
+    assert.strictEqual(firstSection.lineStart, 1);
+    assert.strictEqual(firstSection.lineEnd, 3);
     assert.ok(firstSection.hash);
 
     await cleanup();
@@ -100,6 +101,82 @@ Line 6`;
     await cleanup();
   });
 
+  test("should record byte ranges for random-access extraction", async () => {
+    await setup();
+
+    const content = "Première section\r\nÄ second line\r\n---:\r\nSecond section\r\n\r\n---:\nThird ✓ section\n";
+
+    testFile = path.join(testDir, "test-byte-ranges.md");
+    await fs.writeFile(testFile, content, "utf-8");
+
+    const metadata = await processor.analyzeFile(testFile);
+    const sections = await processor.streamSplit(testFile);
+
+    assert.strictEqual(metadata.sections.length, 3);
+
+    for (let i = 0; i < sections.length; i++) {
+      const { byteOffset, byteLength } = metadata.sections[i];
+      const slice = await processor.extractSectionBytes(
+        testFile,
+        byteOffset,
+        byteLength
+      );
+      assert.strictEqual(slice, sections[i].content);
+    }
+
+    const buffer = await fs.readFile(testFile);
+    const first = metadata.sections[0];
+    assert.strictEqual(first.byteOffset, 0);
+    assert.strictEqual(
+      buffer.subarray(0, first.byteLength).toString("utf-8"),
+      "Première section\r\nÄ second line\r"
+    );
+
+    await assert.rejects(
+      () => processor.extractSectionBytes(testFile, buffer.length, 10),
+      /outside of/
+    );
+
+    await cleanup();
+  });
+
+  test("should extract line ranges from the indexed byte ranges", async () => {
+    await setup();
+
+    const content = "Intro\n---:\nChapter ✓\nMore\n---:\nLast\nEnd\n";
+    testFile = path.join(testDir, "test-indexed-extract.md");
+    await fs.writeFile(testFile, content, "utf-8");
+
+    const expected = async (startLine, endLine) =>
+      new StreamingFileProcessor({ indexCache: false }).extractSection(
+        testFile,
+        startLine,
+        endLine
+      );
+
+    // Once the file is indexed, lines are never read from the top again
+    await processor.getMetadata(testFile);
+    const readLines = processor.readLines;
+    processor.readLines = () => {
+      throw new Error("Line scan");
+    };
+
+    for (const [startLine, endLine] of [[1, 1], [3, 4], [4, 7], [2, 99], [6, 8]]) {
+      assert.strictEqual(
+        await processor.extractSection(testFile, startLine, endLine),
+        await expected(startLine, endLine),
+        `${startLine}-${endLine}`
+      );
+    }
+    assert.strictEqual(
+      await processor.generateSectionHash(testFile, 6, 7),
+      processor.hashGenerator.generateSectionHash({ content: "Last\nEnd" })
+    );
+
+    processor.readLines = readLines;
+    await cleanup();
+  });
+
   test("should generate hashes for sections efficiently", async () => {
     await setup();
 
@@ -146,8 +223,8 @@ More content`;
     const foundSection = await processor.findSectionByHash(testFile, firstHash);
 
     assert.ok(foundSection);
-    assert.strictEqual(foundSection.startLine, 1);
-    assert.strictEqual(foundSection.endLine, 3);
+    assert.strictEqual(foundSection.lineStart, 1);
+    assert.strictEqual(foundSection.lineEnd, 3);
     assert.strictEqual(foundSection.hash, firstHash);
 
     await cleanup();
@@ -208,6 +285,50 @@ Section 3`;
     await cleanup();
   });
 
+  test("should hash sections in a single pass without re-reading the file", async () => {
+    await setup();
+
+    const content = `First section
+Content here
+
+---:
+
+Second section
+More content
+
+---:
+
+Third section`;
+
+    testFile = path.join(testDir, "test-single-pass.md");
+    await fs.writeFile(testFile, content, "utf-8");
+
+    // Any per-section re-read would go through extractSection
+    let extractCalls = 0;
+    const originalExtract = processor.extractSection.bind(processor);
+    processor.extractSection = async (...args) => {
+      extractCalls++;
+      return originalExtract(...args);
+    };
+
+    const metadata = await processor.analyzeFile(testFile);
+    const sections = await processor.streamSplit(testFile);
+
+    assert.strictEqual(extractCalls, 0);
+    assert.strictEqual(metadata.sections.length, 3);
+    assert.strictEqual(sections.length, 3);
+
+    // Incremental hashes match hashing the extracted content
+    for (const section of sections) {
+      assert.strictEqual(
+        section.hash,
+        processor.hashGenerator.generateSectionHash(section)
+      );
+    }
+
+    await cleanup();
+  });
+
   test("should stream-split file into sections", async () => {
     await setup();
 
@@ -234,6 +355,86 @@ More content`;
     await cleanup();
   });
 
+  test("should emit the same sections as FileProcessor", async () => {
+    await setup();
+
+    const memoryProcessor = new FileProcessor();
+    const documents = [
+      "Intro\n\n---:\n\nSecond\n\n---:\nThird\n",
+      "---:\nStarts with divider\n---:\n---:\nAfter empty section",
+      "Windows\r\nline endings\r\n---:\r\nSecond\r\n",
+      "No dividers at all",
+      "Trailing divider\n---:",
+    ];
+
+    for (const [i, content] of documents.entries()) {
+      testFile = path.join(testDir, `test-parity-${i}.md`);
+      await fs.writeFile(testFile, content, "utf-8");
+
+      const expected = memoryProcessor.splitContent(content);
+      const actual = await processor.streamSplit(testFile);
+
+      assert.deepStrictEqual(
+        actual.map(({ hash, metadata, byteOffset, byteLength, ...section }) => section),
+        expected,
+        `document ${i}`
+      );
+
+      // Streaming hashes match what FileWriter computes for the same section
+      actual.forEach((section) => {
+        assert.strictEqual(
+          section.hash,
+          processor.hashGenerator.generateSectionHash(section)
+        );
+      });
+
+      await cleanup();
+    }
+  });
+
+  test("should stream sections lazily", async () => {
+    await setup();
+
+    const content = `First section
+
+---:
+
+Second section
+
+---:
+
+Third section`;
+
+    testFile = path.join(testDir, "test-stream-sections.md");
+    await fs.writeFile(testFile, content, "utf-8");
+
+    const expected = await processor.streamSplit(testFile);
+    const streamed = [];
+    for await (const section of processor.streamSections(testFile)) {
+      streamed.push(section);
+    }
+
+    // Streamed sections only know their parent; children need the full list
+    assert.deepStrictEqual(
+      streamed,
+      expected.map(({ metadata, children, ...section }) => section)
+    );
+
+    // Stopping early closes the underlying file stream
+    for await (const section of processor.streamSections(testFile)) {
+      assert.strictEqual(section.index, 0);
+      break;
+    }
+
+    await assert.rejects(async () => {
+      for await (const section of processor.streamSections("/non/existent.md")) {
+        // never reached
+      }
+    }, /File not found/);
+
+    await cleanup();
+  });
+
   test("should handle files without dividers", async () => {
     await setup();
 
@@ -293,8 +494,9 @@ Just plain content`;
     testFile = path.join(testDir, "test-dividers-only.md");
     await fs.writeFile(testFile, dividersOnly, "utf-8");
 
+    // Like FileProcessor, every divider opens a (divider-only) section
     const metadata2 = await processor.analyzeFile(testFile);
-    assert.strictEqual(metadata2.sections.length, 0);
+    assert.strictEqual(metadata2.sections.length, 3);
     assert.strictEqual(metadata2.dividerLines.length, 3);
 
     await cleanup();
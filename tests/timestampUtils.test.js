@@ -1,6 +1,7 @@
 import { test, describe } from "node:test";
 import assert from "node:assert";
 import { TimestampUtils } from "../src/lib/timestampUtils.js";
+import { IdStrategy } from "../src/lib/idStrategy.js";
 
 describe("TimestampUtils", () => {
   let timestampUtils;
@@ -18,7 +19,7 @@ describe("TimestampUtils", () => {
     const testDate = new Date("2025-08-16T16:12:30.000Z");
     const timestamp = timestampUtils.formatTimestamp(testDate, true); // UTC
 
-    assert.strictEqual(timestamp, "16:12:30 2025/08/16");
+    assert.strictEqual(timestamp, "16:12:30 2025/08/16 +00:00");
   });
 
   test("should generate current timestamp", () => {
@@ -27,7 +28,7 @@ describe("TimestampUtils", () => {
     const timestamp = timestampUtils.generateTimestamp();
 
     // Should match the expected format
-    assert.match(timestamp, /^\d{2}:\d{2}:\d{2} \d{4}\/\d{2}\/\d{2}$/);
+    assert.match(timestamp, /^\d{2}:\d{2}:\d{2} \d{4}\/\d{2}\/\d{2} [+-]\d{2}:\d{2}$/);
   });
 
   test("should parse timestamp correctly", () => {
@@ -80,7 +81,35 @@ describe("TimestampUtils", () => {
 
     assert.strictEqual(timestampUtils.parseTimestamp("invalid"), null);
     assert.strictEqual(timestampUtils.parseTimestamp("16:12 2025/08/16"), null);
-    // Note: Date constructor is very forgiving, so we just test clearly invalid formats
+  });
+
+  test("should reject out-of-range dates and times", () => {
+    timestampUtils = new TimestampUtils();
+
+    for (const timestamp of [
+      "16:12:30 2025/02/31", // No 31st of February
+      "16:12:30 2025/02/29", // Not a leap year
+      "16:12:30 2025/13/16",
+      "16:12:30 2025/00/16",
+      "16:12:30 2025/08/00",
+      "24:00:00 2025/08/16",
+      "16:60:30 2025/08/16",
+      "16:12:60 2025/08/16",
+    ]) {
+      assert.strictEqual(timestampUtils.isValidTimestamp(timestamp), false, timestamp);
+      assert.strictEqual(timestampUtils.parseTimestamp(timestamp), null, timestamp);
+    }
+    assert.strictEqual(timestampUtils.isValidTimestamp("16:12:30 2024/02/29"), true);
+    assert.strictEqual(
+      timestampUtils.parseDividerLine("---: ABCD1234 16:12:30 2025/02/31"),
+      null
+    );
+
+    // Token formats are checked the same way
+    const tokens = new TimestampUtils({ format: "MM/DD/YYYY HH:mm" });
+    assert.strictEqual(tokens.isValidTimestamp("08/16/2025 16:12"), true);
+    assert.strictEqual(tokens.isValidTimestamp("13/45/2025 16:12"), false);
+    assert.strictEqual(tokens.isValidTimestamp("08/16/2025 25:99"), false);
   });
 
   test("should create divider line correctly", () => {
@@ -93,7 +122,7 @@ describe("TimestampUtils", () => {
     // Should include hash and timestamp
     assert.match(
       dividerLine,
-      /^---: ABCD1234 \d{2}:\d{2}:\d{2} \d{4}\/\d{2}\/\d{2}$/
+      /^---: ABCD1234 \d{2}:\d{2}:\d{2} \d{4}\/\d{2}\/\d{2} [+-]\d{2}:\d{2}$/
     );
   });
 
@@ -109,6 +138,74 @@ describe("TimestampUtils", () => {
     assert.ok(parsed.timestamp instanceof Date);
   });
 
+  test("should create and parse divider lines with attributes", () => {
+    timestampUtils = new TimestampUtils({ timezone: "utc" });
+
+    const dividerLine = timestampUtils.createDividerLine(
+      "ABCD1234",
+      new Date("2025-08-16T16:12:30.000Z"),
+      { title: "Intro text", id: "intro" }
+    );
+
+    assert.strictEqual(
+      dividerLine,
+      '---: ABCD1234 16:12:30 2025/08/16 +00:00 title="Intro text" id=intro'
+    );
+
+    const parsed = timestampUtils.parseDividerLine(dividerLine);
+    assert.strictEqual(parsed.hash, "ABCD1234");
+    assert.strictEqual(parsed.timestampStr, "16:12:30 2025/08/16 +00:00");
+    assert.deepStrictEqual(parsed.attributes, {
+      title: "Intro text",
+      id: "intro",
+    });
+
+    assert.strictEqual(
+      timestampUtils.parseDividerLine("---: ABCD1234 16:12:30 2025/08/16 junk"),
+      null
+    );
+  });
+
+  test("should keep the divider level in created and parsed lines", () => {
+    timestampUtils = new TimestampUtils({ timezone: "utc" });
+
+    const dividerLine = timestampUtils.createDividerLine(
+      "ABCD1234",
+      new Date("2025-08-16T16:12:30.000Z"),
+      null,
+      2
+    );
+
+    assert.strictEqual(dividerLine, "---:: ABCD1234 16:12:30 2025/08/16 +00:00");
+    assert.strictEqual(timestampUtils.parseDividerLine(dividerLine).level, 2);
+    assert.strictEqual(
+      timestampUtils.parseDividerLine("---: ABCD1234 16:12:30 2025/08/16").level,
+      1
+    );
+  });
+
+  test("should parse dividers with the IDs of every strategy", () => {
+    timestampUtils = new TimestampUtils();
+
+    for (const id of ["ABCD1234", "MFRGG2LT", "01J5B8Z3QK", "getting-started"]) {
+      assert.strictEqual(
+        timestampUtils.parseDividerLine(`---: ${id} 16:12:30 2025/08/16`).hash,
+        id
+      );
+    }
+
+    // With a strategy, only its IDs match and they are normalized
+    const base32 = new TimestampUtils({ idStrategy: IdStrategy.create("base32") });
+    assert.strictEqual(
+      base32.parseDividerLine("---: mfrgg2lt 16:12:30 2025/08/16").hash,
+      "MFRGG2LT"
+    );
+    assert.strictEqual(
+      base32.parseDividerLine("---: getting-started 16:12:30 2025/08/16"),
+      null
+    );
+  });
+
   test("should handle invalid divider line parsing", () => {
     timestampUtils = new TimestampUtils();
 
@@ -128,7 +225,7 @@ describe("TimestampUtils", () => {
     const testDate = new Date("2025-01-01T01:01:01.000Z");
     const timestamp = timestampUtils.formatTimestamp(testDate, true);
 
-    assert.strictEqual(timestamp, "01:01:01 2025/01/01");
+    assert.strictEqual(timestamp, "01:01:01 2025/01/01 +00:00");
   });
 
   test("should handle timezone conversion", () => {
@@ -141,7 +238,7 @@ describe("TimestampUtils", () => {
       "UTC",
       testDate
     );
-    assert.match(timestamp, /^\d{2}:\d{2}:\d{2} \d{4}\/\d{2}\/\d{2}$/);
+    assert.match(timestamp, /^\d{2}:\d{2}:\d{2} \d{4}\/\d{2}\/\d{2} [+-]\d{2}:\d{2}$/);
   });
 
   test("should handle invalid timezone gracefully", () => {
@@ -154,7 +251,7 @@ describe("TimestampUtils", () => {
       "Invalid/Timezone",
       testDate
     );
-    assert.match(timestamp, /^\d{2}:\d{2}:\d{2} \d{4}\/\d{2}\/\d{2}$/);
+    assert.match(timestamp, /^\d{2}:\d{2}:\d{2} \d{4}\/\d{2}\/\d{2} [+-]\d{2}:\d{2}$/);
   });
 
   test("should handle UTC vs local time", () => {
@@ -166,10 +263,92 @@ describe("TimestampUtils", () => {
     const localTimestamp = timestampUtils.formatTimestamp(testDate, false);
 
     // Both should be valid format
-    assert.match(utcTimestamp, /^\d{2}:\d{2}:\d{2} \d{4}\/\d{2}\/\d{2}$/);
-    assert.match(localTimestamp, /^\d{2}:\d{2}:\d{2} \d{4}\/\d{2}\/\d{2}$/);
+    assert.match(utcTimestamp, /^\d{2}:\d{2}:\d{2} \d{4}\/\d{2}\/\d{2} [+-]\d{2}:\d{2}$/);
+    assert.match(localTimestamp, /^\d{2}:\d{2}:\d{2} \d{4}\/\d{2}\/\d{2} [+-]\d{2}:\d{2}$/);
 
     // UTC should be exactly what we expect
-    assert.strictEqual(utcTimestamp, "16:12:30 2025/08/16");
+    assert.strictEqual(utcTimestamp, "16:12:30 2025/08/16 +00:00");
+  });
+
+  test("should format and parse custom token formats", () => {
+    timestampUtils = new TimestampUtils({ format: "YYYY.MM.DD HH:MM", timezone: "utc" });
+    const testDate = new Date("2025-08-16T16:12:30.000Z");
+
+    // MM after "HH:" is minutes, elsewhere the month
+    assert.strictEqual(timestampUtils.generateTimestamp(testDate), "2025.08.16 16:12 +00:00");
+    assert.strictEqual(
+      timestampUtils.parseTimestamp("2025.08.16 16:12 +00:00").getTime(),
+      new Date("2025-08-16T16:12:00.000Z").getTime()
+    );
+    assert.strictEqual(timestampUtils.isValidTimestamp("16:12:30 2025/08/16"), false);
+    assert.strictEqual(
+      timestampUtils.parseDividerLine("---: ABCD1234 2025.08.16 16:12 id=x").timestampStr,
+      "2025.08.16 16:12"
+    );
+
+    assert.throws(
+      () => new TimestampUtils({ format: "HH:mm:ss" }),
+      /Invalid timestamp format "HH:mm:ss"/
+    );
+  });
+
+  test("should write and read ISO 8601 timestamps with offsets", () => {
+    timestampUtils = new TimestampUtils({ format: "iso" });
+    const testDate = new Date("2025-08-16T16:12:30.000Z");
+
+    assert.strictEqual(timestampUtils.format, "YYYY-MM-DDTHH:mm:ssZ");
+    assert.strictEqual(timestampUtils.formatTimestamp(testDate, true), "2025-08-16T16:12:30Z");
+    assert.strictEqual(
+      timestampUtils.generateTimestampForTimezone("Asia/Kolkata", testDate),
+      "2025-08-16T21:42:30+05:30"
+    );
+
+    // Every offset names the same instant
+    for (const text of [
+      "2025-08-16T16:12:30Z",
+      "2025-08-16T21:42:30+05:30",
+      "2025-08-16T12:12:30-0400",
+    ]) {
+      assert.strictEqual(timestampUtils.parseTimestamp(text).getTime(), testDate.getTime());
+    }
+
+    const parsed = timestampUtils.parseDividerLine(
+      "---:: ABCD1234 2025-08-16T21:42:30+05:30 title=Intro"
+    );
+    assert.strictEqual(parsed.timestamp.getTime(), testDate.getTime());
+    assert.strictEqual(parsed.level, 2);
+    assert.deepStrictEqual(parsed.attributes, { title: "Intro" });
+  });
+
+  test("should write timestamps in the configured time zone with its offset", () => {
+    timestampUtils = new TimestampUtils({ timezone: "America/New_York" });
+    const summer = new Date("2025-08-16T16:12:30.000Z");
+    const winter = new Date("2025-01-16T16:12:30.000Z");
+
+    assert.strictEqual(timestampUtils.generateTimestamp(summer), "12:12:30 2025/08/16 -04:00");
+    assert.strictEqual(timestampUtils.generateTimestamp(winter), "11:12:30 2025/01/16 -05:00");
+
+    // Read back as the same instant in any other zone
+    const parsed = new TimestampUtils({ timezone: "Asia/Tokyo" }).parseDividerLine(
+      "---: ABCD1234 12:12:30 2025/08/16 -04:00"
+    );
+    assert.strictEqual(parsed.timestamp.getTime(), summer.getTime());
+    assert.strictEqual(parsed.offset, -240);
+
+    assert.throws(
+      () => new TimestampUtils({ timezone: "Mars/Olympus" }),
+      /Unknown timezone: Mars\/Olympus/
+    );
+  });
+
+  test("should read timestamps without an offset in the configured zone", () => {
+    const line = "---: ABCD1234 16:12:30 2025/08/16";
+
+    const utc = new TimestampUtils({ timezone: "utc" }).parseDividerLine(line);
+    assert.strictEqual(utc.timestamp.toISOString(), "2025-08-16T16:12:30.000Z");
+    assert.strictEqual(utc.offset, null);
+
+    const berlin = new TimestampUtils({ timezone: "Europe/Berlin" }).parseDividerLine(line);
+    assert.strictEqual(berlin.timestamp.toISOString(), "2025-08-16T14:12:30.000Z");
   });
 });
@@ -0,0 +1,189 @@
+import { test, describe } from "node:test";
+import assert from "node:assert";
+import fs from "fs/promises";
+import path from "path";
+import { WriteTransaction } from "../src/lib/writeTransaction.js";
+
+describe("WriteTransaction", () => {
+  const testDir = path.join(process.cwd(), "tests", "temp", "write-transaction");
+
+  // Setup before tests
+  async function setup() {
+    await fs.rm(testDir, { recursive: true, force: true });
+    await fs.mkdir(testDir, { recursive: true });
+    await fs.writeFile(path.join(testDir, "main.md"), "Old intro", "utf-8");
+    await fs.writeFile(path.join(testDir, "AAAA1111.md"), "Old chapter", "utf-8");
+  }
+
+  // Cleanup after tests
+  async function cleanup() {
+    try {
+      await fs.rm(testDir, { recursive: true, force: true });
+    } catch (error) {
+      // Ignore cleanup errors
+    }
+  }
+
+  const read = (filename) => fs.readFile(path.join(testDir, filename), "utf-8");
+  const list = async () => (await fs.readdir(testDir)).sort();
+
+  test("should only change files on commit", async () => {
+    await setup();
+
+    try {
+      const transaction = new WriteTransaction();
+      const mainPath = path.join(testDir, "main.md");
+      await transaction.writeFile(mainPath, "Intro");
+      await transaction.writeFile(mainPath, "Intro\n\n---: BBBB2222\n");
+      await transaction.writeFile(path.join(testDir, "BBBB2222.md"), "Chapter");
+      await transaction.remove(path.join(testDir, "AAAA1111.md"));
+
+      // Staged content is readable, the files themselves are untouched
+      assert.strictEqual(
+        await fs.readFile(transaction.resolve(mainPath), "utf-8"),
+        "Intro\n\n---: BBBB2222\n"
+      );
+      await assert.rejects(() =>
+        fs.access(transaction.resolve(path.join(testDir, "AAAA1111.md")))
+      );
+      assert.strictEqual(await read("main.md"), "Old intro");
+      assert.strictEqual(await read("AAAA1111.md"), "Old chapter");
+
+      await transaction.commit();
+
+      assert.deepStrictEqual(await list(), ["BBBB2222.md", "main.md"]);
+      assert.strictEqual(await read("main.md"), "Intro\n\n---: BBBB2222\n");
+      assert.strictEqual(await read("BBBB2222.md"), "Chapter");
+      await assert.rejects(
+        () => transaction.writeFile(mainPath, "Again"),
+        /Write transaction is already committed/
+      );
+    } finally {
+      await cleanup();
+    }
+  });
+
+  test("should leave every file as it was on rollback", async () => {
+    await setup();
+
+    try {
+      const transaction = new WriteTransaction();
+      await transaction.writeFile(path.join(testDir, "main.md"), "Intro");
+      await transaction.remove(path.join(testDir, "AAAA1111.md"));
+      await transaction.rollback();
+
+      assert.deepStrictEqual(await list(), ["AAAA1111.md", "main.md"]);
+      assert.strictEqual(await read("main.md"), "Old intro");
+    } finally {
+      await cleanup();
+    }
+  });
+
+  test("should undo a partial commit", async () => {
+    await setup();
+
+    try {
+      // A directory cannot be replaced by a file, so the second rename fails
+      await fs.mkdir(path.join(testDir, "BBBB2222.md"));
+
+      const transaction = new WriteTransaction();
+      await transaction.writeFile(path.join(testDir, "main.md"), "Intro");
+      await transaction.remove(path.join(testDir, "AAAA1111.md"));
+      await transaction.writeFile(path.join(testDir, "BBBB2222.md"), "Chapter");
+
+      await assert.rejects(
+        () => transaction.commit(),
+        /Failed to commit file changes/
+      );
+
+      assert.deepStrictEqual(await list(), ["AAAA1111.md", "BBBB2222.md", "main.md"]);
+      assert.strictEqual(await read("main.md"), "Old intro");
+      assert.strictEqual(await read("AAAA1111.md"), "Old chapter");
+    } finally {
+      await cleanup();
+    }
+  });
+
+  // Left behind by a process that no longer exists
+  const dead = "999999999-0badc0de";
+
+  test("should sweep the leftovers of a finished transaction", async () => {
+    await setup();
+
+    try {
+      // The commit finished (no journal) before its files were cleaned up
+      await fs.writeFile(path.join(testDir, `.BBBB2222.md.${dead}.tmp`), "Chapter");
+      await fs.writeFile(path.join(testDir, `.main.md.${dead}.bak`), "Older intro");
+      await fs.writeFile(path.join(testDir, `.CCCC3333.md.${dead}.bak`), "Removed");
+
+      // Staged by a transaction that is still open
+      const transaction = new WriteTransaction();
+      await transaction.writeFile(path.join(testDir, "main.md"), "Intro");
+
+      assert.ok(WriteTransaction.isTransactionFile(`.main.md.${dead}.bak`));
+      assert.ok(WriteTransaction.isTransactionFile(`.commit.${dead}.journal`));
+      assert.ok(!WriteTransaction.isTransactionFile("main.md"));
+
+      const result = await WriteTransaction.sweep(testDir);
+
+      assert.deepStrictEqual(result, {
+        swept: [
+          `.BBBB2222.md.${dead}.tmp`,
+          `.CCCC3333.md.${dead}.bak`,
+          `.main.md.${dead}.bak`,
+        ],
+        rolledBack: [],
+      });
+      assert.deepStrictEqual(
+        (await list()).filter((file) => !WriteTransaction.isTransactionFile(file)),
+        ["AAAA1111.md", "main.md"]
+      );
+      assert.strictEqual(await read("main.md"), "Old intro");
+
+      await transaction.commit();
+      assert.deepStrictEqual(await list(), ["AAAA1111.md", "main.md"]);
+      assert.strictEqual(await read("main.md"), "Intro");
+    } finally {
+      await cleanup();
+    }
+  });
+
+  test("should roll back a commit whose process died halfway", async (t) => {
+    await setup();
+
+    try {
+      const transaction = new WriteTransaction();
+      transaction.id = dead;
+      await transaction.writeFile(path.join(testDir, "BBBB2222.md"), "New chapter");
+      await transaction.writeFile(path.join(testDir, "main.md"), "Intro");
+      await transaction.remove(path.join(testDir, "AAAA1111.md"));
+      await transaction.writeFile(path.join(testDir, "CCCC3333.md"), "Not reached");
+
+      // The process dies during the fourth rename: it never returns
+      const rename = fs.rename;
+      let renames = 0;
+      t.mock.method(fs, "rename", (...args) =>
+        ++renames < 4 ? rename(...args) : new Promise(() => {})
+      );
+      transaction.commit();
+      while (renames < 4) {
+        await new Promise((resolve) => setImmediate(resolve));
+      }
+      t.mock.restoreAll();
+
+      // Half of the commit is in place
+      assert.strictEqual(await read("BBBB2222.md"), "New chapter");
+      assert.strictEqual(await read("main.md"), "Intro");
+      await assert.rejects(() => read("AAAA1111.md"));
+
+      const result = await WriteTransaction.sweep(testDir);
+
+      assert.deepStrictEqual(result.rolledBack, [dead]);
+      assert.deepStrictEqual(await list(), ["AAAA1111.md", "main.md"]);
+      assert.strictEqual(await read("main.md"), "Old intro");
+      assert.strictEqual(await read("AAAA1111.md"), "Old chapter");
+    } finally {
+      await cleanup();
+    }
+  });
+});